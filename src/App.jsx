@@ -5,6 +5,7 @@ import LogicEditorPage from './components/LogicEditorPage';
 import {
   listLogics,
   createLogic,
+  saveLogic,
   deleteLogic,
   reorderLogics,
   saveTheme as saveThemeToStorage,
@@ -85,6 +86,18 @@ const App = () => {
     }
   };
 
+  // 내보낸 파일에서 복원한 그래프로 새 로직을 만들고 바로 편집기로 연다 (그래프는 편집기가 importGraph로 로드)
+  const handleImportLogic = ({ name, graph }) => {
+    const meta = createLogic(name);
+    // 저장 실패(브라우저 저장 공간 초과 등) 시 빈 로직을 지우고 호출한 쪽에서 오류 토스트로 안내
+    if (!saveLogic({ id: meta.id, name: meta.name, data: { graph } })) {
+      deleteLogic(meta.id);
+      throw new Error('로직을 저장하지 못했습니다. 브라우저 저장 공간이 부족할 수 있습니다.');
+    }
+    setLogics((prev) => [...prev, meta]);
+    handleLogicClick(meta.id);
+  };
+
   const handleDeleteLogic = async (logicIdToDelete) => {
     try {
       // 낙관적 업데이트로 즉시 UI 반영하고, 이후 비동기 저장
@@ -127,6 +140,7 @@ const App = () => {
           onLogicClick={handleLogicClick}
           onAddNewLogic={handleAddNewLogic}
           onDeleteLogic={handleDeleteLogic}
+          onImportLogic={handleImportLogic}
           theme={theme}
           onReorderLogics={async (items)=>{
             // items: [{id,name,stock?,order?, _temp?}]
@@ -0,0 +1,63 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+
+// ----------------------------------------------------------------
+// CodePreview: 줄 번호가 붙은 Python 코드 미리보기
+// ranges: [{ nodeId, startLine, endLine }] (generateMappedPythonCode 결과)
+// highlightedNodeId 블록을 강조하고, 줄 클릭 시 onSelectNode(nodeId)로 노드 이동
+// ----------------------------------------------------------------
+const CodePreview = ({ code, ranges, highlightedNodeId, onSelectNode }) => {
+    const containerRef = useRef(null);
+    const lines = useMemo(() => code.split('\n'), [code]);
+
+    // 줄 번호(1부터) → 해당 줄을 만든 노드 id
+    const lineOwners = useMemo(() => {
+        const owners = new Array(lines.length + 1).fill(null);
+        for (const range of ranges) {
+            for (let line = range.startLine; line <= range.endLine; line++) owners[line] = range.nodeId;
+        }
+        return owners;
+    }, [lines, ranges]);
+
+    // 강조된 블록이 보이도록 스크롤
+    const highlightedStart = ranges.find((r) => r.nodeId === highlightedNodeId)?.startLine;
+    useEffect(() => {
+        if (!highlightedStart) return;
+        const el = containerRef.current?.querySelector(`[data-line="${highlightedStart}"]`);
+        el?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }, [highlightedStart]);
+
+    return (
+        <pre
+            ref={containerRef}
+            className="bg-neutral-950 border border-neutral-800 rounded-lg py-4 text-sm font-mono overflow-x-auto"
+            style={{ color: 'var(--text-primary)' }}
+        >
+            <code>
+                {lines.map((text, index) => {
+                    const line = index + 1;
+                    const owner = lineOwners[line];
+                    const active = !!owner && owner === highlightedNodeId;
+                    return (
+                        <div
+                            key={line}
+                            data-line={line}
+                            onClick={owner ? () => onSelectNode(owner) : undefined}
+                            title={owner ? '클릭하여 노드로 이동' : undefined}
+                            className={[
+                                'flex pr-4',
+                                owner ? 'cursor-pointer hover:bg-neutral-800/60' : '',
+                                active ? 'bg-cyan-900/40' : ''
+                            ].join(' ')}
+                            style={active ? { boxShadow: 'inset 3px 0 0 #22d3ee' } : undefined}
+                        >
+                            <span className="flex-none w-12 pr-3 text-right text-gray-600 select-none">{line}</span>
+                            <span className="whitespace-pre">{text || ' '}</span>
+                        </div>
+                    );
+                })}
+            </code>
+        </pre>
+    );
+};
+
+export default CodePreview;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { fuzzyFilter } from '../utils/fuzzySearch';
+
+// ----------------------------------------------------------------
+// CommandPalette: Ctrl+K 빠른 추가(노드 검색) 및 에디터 명령 실행
+// items: [{ id, group: 'node' | 'command', title, subtitle?, keywords: string[], shortcut?, run }]
+// ----------------------------------------------------------------
+const GROUP_LABELS = { node: '노드 추가', command: '명령' };
+
+const CommandPalette = ({ open, onClose, items }) => {
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const inputRef = useRef(null);
+    const listRef = useRef(null);
+
+    // 열릴 때마다 검색어 초기화 및 입력창 포커스
+    useEffect(() => {
+        if (!open) return;
+        setQuery('');
+        setActiveIndex(0);
+        requestAnimationFrame(() => inputRef.current?.focus());
+    }, [open]);
+
+    const results = useMemo(
+        () => fuzzyFilter(query, items, (item) => [item.title, item.subtitle || '', ...(item.keywords || [])]),
+        [query, items]
+    );
+
+    useEffect(() => {
+        setActiveIndex(0);
+    }, [query]);
+
+    // 활성 항목이 보이도록 스크롤
+    useEffect(() => {
+        const el = listRef.current?.querySelector(`[data-index="${activeIndex}"]`);
+        if (el && typeof el.scrollIntoView === 'function') el.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    if (!open) return null;
+
+    const runItem = (item) => {
+        if (!item) return;
+        onClose();
+        // 팔레트가 닫힌 뒤 실행 (포커스/토스트가 모달에 가리지 않도록)
+        setTimeout(() => { void item.run(); }, 0);
+    };
+
+    const onKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex((i) => Math.min(i + 1, Math.max(results.length - 1, 0)));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex((i) => Math.max(i - 1, 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runItem(results[activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div
+            className="fixed inset-0 flex items-start justify-center z-50 p-4 pt-[15vh]"
+            style={{ backgroundColor: 'rgba(0, 0, 0, 0.55)' }}
+            onClick={onClose}
+        >
+            <div
+                className="bg-neutral-900 rounded-2xl border border-neutral-700 shadow-2xl w-full max-w-xl flex flex-col overflow-hidden"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <input
+                    ref={inputRef}
+                    type="text"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={onKeyDown}
+                    placeholder="노드 또는 명령 검색 (예: 분류기, scaler, ㄷㅇㅌ, 저장)"
+                    className="w-full px-5 py-4 text-base bg-transparent text-gray-100 border-b border-neutral-700 outline-none placeholder:text-gray-500"
+                />
+                <div ref={listRef} className="max-h-[50vh] overflow-y-auto py-2">
+                    {results.length === 0 && (
+                        <div className="px-5 py-6 text-sm text-gray-500 text-center">일치하는 항목이 없습니다.</div>
+                    )}
+                    {results.map((item, index) => {
+                        // 검색 중에는 점수 순으로 섞이므로 구분 제목은 전체 목록일 때만 표시
+                        const showGroup = !query && (index === 0 || results[index - 1].group !== item.group);
+                        const active = index === activeIndex;
+                        return (
+                            <React.Fragment key={item.id}>
+                                {showGroup && (
+                                    <div className="px-5 pt-2 pb-1 text-xs font-semibold text-gray-500 select-none">
+                                        {GROUP_LABELS[item.group] || item.group}
+                                    </div>
+                                )}
+                                <div
+                                    data-index={index}
+                                    onMouseEnter={() => setActiveIndex(index)}
+                                    onClick={() => runItem(item)}
+                                    className={[
+                                        'mx-2 px-3 py-2 rounded-lg flex items-center justify-between cursor-pointer select-none',
+                                        active ? 'bg-cyan-600/20 text-gray-100' : 'text-gray-300'
+                                    ].join(' ')}
+                                >
+                                    <span className="truncate">
+                                        {item.title}
+                                        {item.subtitle && <span className="ml-2 text-sm text-gray-500">{item.subtitle}</span>}
+                                    </span>
+                                    {item.shortcut && (
+                                        <span className="ml-3 text-xs text-gray-500 border border-neutral-700 rounded px-1.5 py-0.5">
+                                            {item.shortcut}
+                                        </span>
+                                    )}
+                                </div>
+                            </React.Fragment>
+                        );
+                    })}
+                </div>
+                <div className="px-5 py-2 text-xs text-gray-500 border-t border-neutral-800 flex gap-4 select-none">
+                    <span>↑↓ 이동</span>
+                    <span>Enter 실행</span>
+                    <span>Esc 닫기</span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CommandPalette;
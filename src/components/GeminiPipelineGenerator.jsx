@@ -350,7 +350,7 @@ const GeminiPipelineGenerator = ({ onApplyPipeline, logicId }) => {
                                         nodeType: guide.nodeType,
                                         controls: guide.settings || {},
                                         settings: guide.settings || {}
-                                        // position은 LogicEditorPage에서 자동 계산됨
+                                        // position은 LogicEditorPage에서 자동 배치(arrangeNodes)로 계산됨
                                     })),
                                     connections: []
                                 };
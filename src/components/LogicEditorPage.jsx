@@ -1,13 +1,20 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useToast } from './toast/ToastProvider.jsx';
 import { useReteAppEditor } from '../hooks/useReteAppEditor';
-import { createNodeByKind, clientToWorld, exportGraph, importGraph, setCurrentLogicId } from '../rete/app-editor';
+import { createNodeByKind, clientToWorld, exportGraph, importGraph, getPipelineSettings, setPipelineSettings, setCurrentLogicId, zoomToFit } from '../rete/app-editor';
+import { NODE_KINDS, NODE_KIND_LABELS, isNodeKind, SIDEBAR_GROUPS } from '../nodes';
+import { arrangeNodes } from '../rete/layout';
 import { ClassicPreset } from 'rete';
 import { loadLogic as loadLogicFromStorage } from '../utils/logicStorage';
-import { generatePythonCode, generateJupyterNotebook, generatePythonScript } from '../utils/pipelineToCode';
+import { strToU8, zipSync } from 'fflate';
+import { DEFAULT_PIPELINE_SETTINGS, generatePythonCode, generateMappedPythonCode, generateJupyterNotebook, generatePythonScript, generatePythonProject } from '../utils/pipelineToCode';
 import { enhanceCodeWithAI } from '../utils/geminiPipeline';
 import CSVDataManager from './CSVDataManager.jsx';
 import GeminiPipelineGenerator from './GeminiPipelineGenerator.jsx';
+import CommandPalette from './CommandPalette.jsx';
+import ValidationPanel from './ValidationPanel.jsx';
+import PipelineSettingsPanel from './PipelineSettingsPanel.jsx';
+import CodePreview from './CodePreview.jsx';
 
 // ----------------------------------------------------------------
 // LogicEditorPage: ML 파이프라인을 편집하는 컴포넌트
@@ -17,14 +24,27 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
     const [logic, setLogic] = useState(null);
     const [logicName, setLogicName] = useState('');
     const canvasRef = useRef(null);
-    const { editorRef, areaRef, ready } = useReteAppEditor(canvasRef);
+    const { editorRef, areaRef, historyRef, validationRef, focusNodeRef, ready } = useReteAppEditor(canvasRef);
+    const [canUndo, setCanUndo] = useState(false);
+    const [canRedo, setCanRedo] = useState(false);
+    const [issues, setIssues] = useState([]);
     const [showCodePreview, setShowCodePreview] = useState(false);
     const [generatedCode, setGeneratedCode] = useState('');
+    // 미리보기 코드의 노드별 줄 범위와 강조할 노드
+    const [codeRanges, setCodeRanges] = useState([]);
+    const [highlightedNodeId, setHighlightedNodeId] = useState(null);
     const [enhancedCode, setEnhancedCode] = useState('');
     const [userIntent, setUserIntent] = useState('');
     const [isEnhancing, setIsEnhancing] = useState(false);
     const [showIntentInput, setShowIntentInput] = useState(false);
     const [showEnhancedCode, setShowEnhancedCode] = useState(false); // AI 개선 코드 표시 여부
+    const [showPalette, setShowPalette] = useState(false);
+    // 코드 생성 방식 (script: 전역 X_train 갱신, pipeline: 모델별 sklearn Pipeline)
+    const [codegenMode, setCodegenMode] = useState(() => localStorage.getItem('codegen_mode') || 'script');
+    // 로직별 파이프라인 설정 (에디터에 보관되어 그래프와 함께 저장, 여기서는 화면 표시용 사본)
+    const [pipelineSettings, setPipelineSettingsState] = useState(DEFAULT_PIPELINE_SETTINGS);
+    // 캔버스 위 마지막 포인터 위치 (빠른 추가 시 노드를 놓을 위치)
+    const lastPointerRef = useRef(null);
 
     // localStorage에서 AI 개선 코드 불러오기
     useEffect(() => {
@@ -44,6 +64,10 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
         }
     }, [selectedLogicId]);
 
+    useEffect(() => {
+        localStorage.setItem('codegen_mode', codegenMode);
+    }, [codegenMode]);
+
     // AI 개선 코드와 의도를 localStorage에 저장 (디바운싱)
     useEffect(() => {
         if (selectedLogicId && enhancedCode) {
@@ -130,6 +154,86 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
         return errors;
     }, []);
 
+    // 편집 히스토리 상태 구독 (툴바 버튼 활성화용)
+    useEffect(() => {
+        const history = historyRef.current;
+        if (!ready || !history) return;
+        const sync = () => {
+            setCanUndo(history.canUndo());
+            setCanRedo(history.canRedo());
+        };
+        sync();
+        return history.subscribe(sync);
+    }, [ready, historyRef]);
+
+    // 실시간 검증 결과 구독 (검증 패널용)
+    useEffect(() => {
+        const validation = validationRef.current;
+        if (!ready || !validation) return;
+        setIssues(validation.getIssues());
+        return validation.subscribe(setIssues);
+    }, [ready, validationRef]);
+
+    const handleFocusNode = useCallback((nodeId) => {
+        void focusNodeRef.current?.(nodeId);
+    }, [focusNodeRef]);
+
+    // 코드 미리보기 줄 클릭 → 해당 노드 선택 후 화면 중앙으로
+    const handleSelectCodeLine = useCallback((nodeId) => {
+        setHighlightedNodeId(nodeId);
+        handleFocusNode(nodeId);
+    }, [handleFocusNode]);
+
+    // 캔버스에서 노드를 클릭하면 미리보기에서 그 노드의 코드 블록 강조
+    useEffect(() => {
+        const onPicked = (event) => setHighlightedNodeId(event.detail?.id ?? null);
+        window.addEventListener('node-picked', onPicked);
+        return () => window.removeEventListener('node-picked', onPicked);
+    }, []);
+
+    // 미리보기가 열려 있으면 그래프가 바뀔 때(검증 갱신)마다 코드와 줄 범위를 다시 생성
+    useEffect(() => {
+        const editor = editorRef.current;
+        if (!showCodePreview || !editor) return;
+        try {
+            const { code, ranges } = generateMappedPythonCode(exportGraph(editor, areaRef.current), logic?.id, { mode: codegenMode, omitEmbeddedData: true });
+            setGeneratedCode(code);
+            setCodeRanges(ranges);
+        } catch {
+            // 오류는 검증 패널에 표시되므로 마지막으로 생성된 코드를 유지
+        }
+    }, [issues, showCodePreview, editorRef, areaRef, logic, codegenMode, pipelineSettings]);
+
+    // 호환되지 않는 소켓 연결이 거부되면 안내
+    useEffect(() => {
+        const onRejected = (event) => {
+            const message = event.detail?.message || '호환되지 않는 소켓입니다.';
+            try { toast.warning(message); } catch {}
+        };
+        window.addEventListener('connection-rejected', onRejected);
+        return () => window.removeEventListener('connection-rejected', onRejected);
+    }, [toast]);
+
+    const handleUndo = useCallback(() => { void historyRef.current?.undo(); }, [historyRef]);
+    const handleRedo = useCallback(() => { void historyRef.current?.redo(); }, [historyRef]);
+
+    // 자동 배치 (계층형 좌→우 레이아웃)
+    const handleAutoLayout = useCallback(async () => {
+        const editor = editorRef.current;
+        const area = areaRef.current;
+        if (!editor || !area) return;
+        if (editor.getNodes().length === 0) {
+            toast.info('정렬할 노드가 없습니다.');
+            return;
+        }
+        try {
+            await arrangeNodes(editor, area, historyRef.current);
+        } catch (e) {
+            console.error('자동 배치 오류:', e);
+            toast.error('자동 배치 중 오류가 발생했습니다.');
+        }
+    }, [editorRef, areaRef, historyRef, toast]);
+
     // 1) 선택된 로직의 메타/본문 로드 (지연 로드)
     useEffect(() => {
         if (selectedLogicId) {
@@ -167,6 +271,9 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
             try {
                 if (ready && editor && area && graph) {
                     await importGraph(editor, area, graph);
+                    setPipelineSettingsState(getPipelineSettings(editor));
+                    // 저장된 로직을 여는 것은 실행 취소 대상이 아님
+                    historyRef.current?.clear();
                     if (typeof editor.reteUiEnhance === 'function') {
                         try { editor.reteUiEnhance() } catch {}
                     }
@@ -175,7 +282,7 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                 console.warn('그래프 로드 중 오류:', e);
             }
         })();
-    }, [logic, selectedLogicId, ready, editorRef, areaRef]);
+    }, [logic, selectedLogicId, ready, editorRef, areaRef, historyRef]);
 
         // 노드 드래그 시작 핸들러
         const onDragStart = useCallback((e, kind) => {
@@ -188,15 +295,11 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
             if (!dt) return null;
             const raw = (dt.getData('application/x-rete-node') || dt.getData('text/plain') || '').trim();
             if (!raw) return null;
-            const allowed = [
-                // ML Pipeline nodes
-                'dataLoader','dataSplit','scaler','featureSelection','classifier','regressor','neuralNet','evaluate','predict','hyperparamTune'
-            ];
             // exact match 우선
-            if (allowed.includes(raw)) return raw;
+            if (isNodeKind(raw)) return raw;
             // 다중 줄/문자 포함 시 포함 여부로 추출
             const lower = raw.toLowerCase();
-            const found = allowed.find(k => lower.includes(k.toLowerCase()));
+            const found = NODE_KINDS.find(k => lower.includes(k.toLowerCase()));
             return found || null;
         };
 
@@ -204,11 +307,7 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
             e.preventDefault();
             const kind = extractKind(e.dataTransfer);
             if (!kind) return;
-            const allowed = [
-                // ML Pipeline nodes
-                'dataLoader','dataSplit','scaler','featureSelection','classifier','regressor','neuralNet','evaluate','predict','hyperparamTune'
-            ];
-            if (!allowed.includes(kind)) { console.warn('드롭된 kind 무시:', kind); return; }
+            if (!isNodeKind(kind)) { console.warn('드롭된 kind 무시:', kind); return; }
 
             const editor = editorRef.current;
             const area = areaRef.current;
@@ -222,6 +321,28 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
             await area.nodeViews.get(node.id)?.translate(x, y);
         }, [editorRef, areaRef]);
 
+        // 빠른 추가: 마지막 포인터 위치(캔버스 밖이면 화면 중앙)에 노드 생성
+        const addNodeAtPointer = useCallback(async (kind) => {
+            const editor = editorRef.current;
+            const area = areaRef.current;
+            const container = canvasRef.current;
+            if (!editor || !area || !container) return;
+
+            const rect = container.getBoundingClientRect();
+            const pos = lastPointerRef.current || { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+            const { x, y } = clientToWorld(area, container, pos.x, pos.y);
+            const node = createNodeByKind(kind);
+            await editor.addNode(node);
+            await area.nodeViews.get(node.id)?.translate(x, y);
+        }, [editorRef, areaRef]);
+
+    // 설정 변경은 에디터에 바로 반영 (저장 시 그래프와 함께 기록)
+    const handleSettingsChange = useCallback((patch) => {
+        const editor = editorRef.current;
+        if (!editor) return;
+        setPipelineSettingsState(setPipelineSettings(editor, { ...getPipelineSettings(editor), ...patch }));
+    }, [editorRef]);
+
     const handleSave = async () => {
         try {
             const editor = editorRef.current;
@@ -265,15 +386,31 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                 return;
             }
 
-            const code = generatePythonCode(graph, logic?.id);
+            // 미리보기에는 내장 CSV 데이터를 빼고 표시 (복사/내보내기는 전체 코드)
+            const { code, ranges } = generateMappedPythonCode(graph, logic?.id, { mode: codegenMode, omitEmbeddedData: true });
             setGeneratedCode(code);
+            setCodeRanges(ranges);
             setShowCodePreview(true);
             toast.success('Python 코드가 생성되었습니다!');
         } catch (error) {
             console.error('코드 생성 오류:', error);
             toast.error(error.message || '코드 생성에 실패했습니다.');
         }
-    }, [editorRef, areaRef, validatePipeline, toast]);
+    }, [editorRef, areaRef, validatePipeline, toast, codegenMode]);
+
+    // 클립보드 복사는 내장 데이터를 포함한 전체 코드로 다시 생성
+    const handleCopyCode = useCallback(async () => {
+        const editor = editorRef.current;
+        if (!editor) return;
+        try {
+            const code = generatePythonCode(exportGraph(editor, areaRef.current), logic?.id, { mode: codegenMode });
+            await navigator.clipboard.writeText(code);
+            toast.success('코드가 클립보드에 복사되었습니다!');
+        } catch (error) {
+            console.error('코드 복사 오류:', error);
+            toast.error(error.message || '코드 복사에 실패했습니다.');
+        }
+    }, [editorRef, areaRef, logic, toast, codegenMode]);
 
     // CSV 파일들 다운로드
     const handleDownloadCSVFiles = useCallback(() => {
@@ -327,7 +464,7 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
             const graph = editor && area ? exportGraph(editor, area) : { nodes: [], connections: [] };
 
             // 노드 기반 코드로 Jupyter Notebook 생성
-            const notebookContent = generateJupyterNotebook(graph, logicName || 'ML Pipeline', logic?.id);
+            const notebookContent = generateJupyterNotebook(graph, logicName || 'ML Pipeline', logic?.id, { mode: codegenMode });
             
             const blob = new Blob([notebookContent], { type: 'application/json' });
             const url = URL.createObjectURL(blob);
@@ -346,7 +483,7 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                 console.error('Jupyter export error:', error);
             }
         }
-    }, [editorRef, areaRef, logicName, toast]);
+    }, [editorRef, areaRef, logicName, toast, codegenMode]);
 
     // Python Script 다운로드
     const handleExportPython = useCallback(() => {
@@ -357,7 +494,7 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
             const graph = editor && area ? exportGraph(editor, area) : { nodes: [], connections: [] };
 
             // 노드 기반 코드로 Python 스크립트 생성
-            const scriptContent = generatePythonScript(graph, logicName || 'ML Pipeline', logic?.id);
+            const scriptContent = generatePythonScript(graph, logicName || 'ML Pipeline', logic?.id, { mode: codegenMode });
             
             const blob = new Blob([scriptContent], { type: 'text/x-python' });
             const url = URL.createObjectURL(blob);
@@ -376,7 +513,41 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                 console.error('Python export error:', error);
             }
         }
-    }, [editorRef, areaRef, logicName, toast]);
+    }, [editorRef, areaRef, logicName, toast, codegenMode]);
+
+    // 실행 가능한 프로젝트(zip) 내보내기: pipeline.py + requirements.txt + README.md + data/
+    const handleExportProject = useCallback(() => {
+        try {
+            const editor = editorRef.current;
+            const area = areaRef.current;
+
+            const graph = editor && area ? exportGraph(editor, area) : { nodes: [], connections: [] };
+            const projectName = logicName || 'pipeline';
+            const files = generatePythonProject(graph, logicName || 'ML Pipeline', logic?.id, { mode: codegenMode });
+
+            // zip 안에서는 프로젝트 이름 폴더 아래에 둠
+            const folder = projectName.replace(/[\\/:*?"<>|]/g, '_');
+            const entries = Object.fromEntries(
+                Object.entries(files).map(([path, content]) => [`${folder}/${path}`, strToU8(content)])
+            );
+            const blob = new Blob([zipSync(entries)], { type: 'application/zip' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${folder}.zip`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            toast.success('프로젝트 번들(.zip)이 다운로드되었습니다!');
+        } catch (error) {
+            if (error.name === 'PipelineValidationError') {
+                toast.error(error.message);
+            } else {
+                toast.error('프로젝트 번들 생성 중 오류가 발생했습니다.');
+                console.error('Project export error:', error);
+            }
+        }
+    }, [editorRef, areaRef, logicName, logic, toast, codegenMode]);
 
     // Gemini에서 생성된 파이프라인을 캔버스에 추가
     const applyPipelineToCanvas = useCallback(async (pipeline) => {
@@ -405,6 +576,8 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
 
             // 노드 ID와 Rete 노드 객체 매핑
             const nodeMap = new Map();
+            // 위치가 지정되지 않은 노드가 있으면 연결 후 자동 배치
+            const needsLayout = pipeline.nodes.some(n => !n.position);
             
             // 소켓 이름 매핑 테이블 (Gemini 출력 → Rete 실제 소켓)
             const socketNameMapping = {
@@ -592,6 +765,10 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                 }
             }
 
+            if (needsLayout) {
+                await arrangeNodes(editor, area);
+            }
+
             // 화면 업데이트
             await area.area.update();
             
@@ -606,6 +783,61 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
         }
     }, [editorRef, areaRef, toast, validatePipeline]);
 
+    // 캔버스 교체 전체를 하나의 실행 취소 단위로 기록
+    const applyPipelineWithHistory = useCallback((pipeline) => {
+        const history = historyRef.current;
+        return history
+            ? history.batch(() => applyPipelineToCanvas(pipeline))
+            : applyPipelineToCanvas(pipeline);
+    }, [historyRef, applyPipelineToCanvas]);
+
+    // 보이는 노드 전체가 화면에 들어오도록 맞춤
+    const handleZoomToFit = useCallback(async () => {
+        const editor = editorRef.current;
+        const area = areaRef.current;
+        if (!editor || !area) return;
+        await zoomToFit(editor, area);
+    }, [editorRef, areaRef]);
+
+    // Ctrl/Cmd+K: 명령 팔레트 열기/닫기
+    useEffect(() => {
+        const onKey = (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.shiftKey && String(e.key || '').toLowerCase() === 'k') {
+                e.preventDefault();
+                setShowPalette((open) => !open);
+            }
+        };
+        window.addEventListener('keydown', onKey);
+        return () => window.removeEventListener('keydown', onKey);
+    }, []);
+
+    // 팔레트 항목: 노드 종류(한/영 라벨, kind 로 검색) + 에디터 명령
+    const paletteItems = [
+        ...NODE_KINDS.map((kind) => {
+            const [ko, en, ...aliases] = NODE_KIND_LABELS[kind];
+            return {
+                id: `node:${kind}`,
+                group: 'node',
+                title: en,
+                subtitle: ko,
+                keywords: [kind, ...aliases],
+                run: () => addNodeAtPointer(kind),
+            };
+        }),
+        {
+            id: 'cmd:save', group: 'command', title: '저장', subtitle: 'Save', keywords: [],
+            run: () => (logicName ? handleSave() : toast.warning('로직 이름을 먼저 입력하세요.')),
+        },
+        { id: 'cmd:code', group: 'command', title: '코드 생성', subtitle: 'Generate code', keywords: ['python', '코드 보기'], run: handleGenerateCode },
+        { id: 'cmd:notebook', group: 'command', title: '노트북 내보내기', subtitle: 'Export notebook', keywords: ['jupyter', 'ipynb'], run: handleExportJupyter },
+        { id: 'cmd:script', group: 'command', title: '스크립트 내보내기', subtitle: 'Export .py', keywords: ['python', 'py'], run: handleExportPython },
+        { id: 'cmd:project', group: 'command', title: '프로젝트 내보내기', subtitle: 'Export project .zip', keywords: ['zip', 'bundle', 'requirements'], run: handleExportProject },
+        { id: 'cmd:fit', group: 'command', title: '화면에 맞추기', subtitle: 'Zoom to fit', keywords: ['zoom', 'fit', '줌'], run: handleZoomToFit },
+        { id: 'cmd:layout', group: 'command', title: '자동 정렬', subtitle: 'Auto layout', keywords: ['layout', 'arrange', '정렬'], run: handleAutoLayout },
+        { id: 'cmd:undo', group: 'command', title: '실행 취소', subtitle: 'Undo', keywords: [], shortcut: 'Ctrl+Z', run: handleUndo },
+        { id: 'cmd:redo', group: 'command', title: '다시 실행', subtitle: 'Redo', keywords: [], shortcut: 'Ctrl+Shift+Z', run: handleRedo },
+    ];
+
   return (
     <div className="w-full max-w-[2400px] p-4 sm:p-6 lg:p-8 rounded-3xl shadow-2xl flex flex-col bg-neutral-950 text-gray-200 border border-neutral-800/70">
         {/* 상단 헤더: 로직 이름 수정 및 거래소/종목 선택 + 저장/뒤로가기 버튼 */}
@@ -618,7 +850,47 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                 className="text-2xl font-semibold tracking-tight bg-transparent text-gray-100 border-b border-transparent focus:border-cyan-400/60 outline-none placeholder:text-gray-500"
             />
                         <div className="flex gap-3 items-center">
+                {/* 실행 취소 / 다시 실행 */}
+                <button
+                    onClick={handleUndo}
+                    disabled={!canUndo}
+                    className="px-3 py-2 text-base font-semibold text-gray-200 bg-neutral-800 border border-neutral-700 rounded-lg hover:bg-neutral-700 disabled:opacity-40"
+                    title="실행 취소 (Ctrl+Z)"
+                >
+                    ↶
+                </button>
+                <button
+                    onClick={handleRedo}
+                    disabled={!canRedo}
+                    className="px-3 py-2 text-base font-semibold text-gray-200 bg-neutral-800 border border-neutral-700 rounded-lg hover:bg-neutral-700 disabled:opacity-40"
+                    title="다시 실행 (Ctrl+Shift+Z)"
+                >
+                    ↷
+                </button>
+                <button
+                    onClick={() => setShowPalette(true)}
+                    className="px-3 py-2 text-base font-semibold text-gray-200 bg-neutral-800 border border-neutral-700 rounded-lg hover:bg-neutral-700"
+                    title="빠른 추가 / 명령 (Ctrl+K)"
+                >
+                    🔍
+                </button>
+                <button
+                    onClick={handleAutoLayout}
+                    className="px-3 py-2 text-base font-semibold text-gray-200 bg-neutral-800 border border-neutral-700 rounded-lg hover:bg-neutral-700"
+                    title="노드 자동 정렬 (좌→우 계층 배치)"
+                >
+                    🧭 정렬
+                </button>
                 {/* Python 코드 생성 버튼들 */}
+                <select
+                    value={codegenMode}
+                    onChange={(e) => setCodegenMode(e.target.value)}
+                    className="px-2 py-2 text-sm text-gray-200 bg-neutral-800 border border-neutral-700 rounded-lg"
+                    title="코드 생성 방식: 전역 변수(X_train 갱신) 또는 모델별 sklearn Pipeline"
+                >
+                    <option value="script">전역 변수 코드</option>
+                    <option value="pipeline">sklearn Pipeline</option>
+                </select>
                 <button 
                     onClick={handleGenerateCode}
                     className="px-4 py-2 text-base font-semibold text-white bg-purple-600 rounded-lg hover:bg-purple-500 shadow-[0_10px_30px_-10px_rgba(168,85,247,0.5)]"
@@ -640,6 +912,13 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                 >
                     📄 .py
                 </button>
+                <button 
+                    onClick={handleExportProject}
+                    className="px-4 py-2 text-base font-semibold text-white bg-violet-600 rounded-lg hover:bg-violet-500 shadow-[0_10px_30px_-10px_rgba(124,58,237,0.5)]"
+                    title="실행 가능한 프로젝트(.zip)로 내보내기: pipeline.py, requirements.txt, README, data/"
+                >
+                    📦 .zip
+                </button>
                 <button onClick={onBack} className="px-4 py-2 text-base font-semibold text-gray-200 bg-neutral-800 border border-neutral-700 rounded-lg hover:bg-neutral-700">
                     &larr; 뒤로가기
                 </button>
@@ -653,85 +932,7 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
         <div className="flex mt-4 gap-6 pb-8">
             {/* 1. RETE 노드 (왼쪽 사이드바) */}
             <div className="w-[15%] p-4 bg-neutral-900/60 rounded-2xl border border-neutral-800/70 flex flex-col text-center gap-7 overflow-y-auto" style={{ maxHeight: 'calc(100vh - 200px)' }}>
-                {[
-                    { 
-                        title: '📊 Data Source', 
-                        items: 
-                        [ 
-                            { 
-                                label: 'Data Loader', 
-                                kind: 'dataLoader',
-                                tip: 'CSV 파일에서 데이터 로드\n출력: data'
-                            }
-                        ]
-                    },
-                    
-                    {
-                        title: '🔧 Preprocessing',
-                        items: [
-                            { 
-                                label: 'Data Split', 
-                                kind: 'dataSplit',
-                                tip: '훈련/테스트 데이터 분할\n입력: data\n출력: X_train, y_train, X_test, y_test'
-                            },
-                            { 
-                                label: 'Scaler', 
-                                kind: 'scaler',
-                                tip: '데이터 정규화 (StandardScaler/MinMaxScaler)\n입력: X_train\n출력: X_train (정규화됨)'
-                            },
-                            { 
-                                label: 'Feature Selection', 
-                                kind: 'featureSelection',
-                                tip: '중요한 피처만 선택\n입력: X_train, y_train\n출력: X_train (선택된 피처)'
-                            }
-                        ]
-                    },
-                    {
-                        title: '🤖 Models',
-                        items: [
-                            { 
-                                label: 'Classifier', 
-                                kind: 'classifier',
-                                tip: '분류 모델 학습 (RandomForest, SVM 등)\n입력: X_train, y_train\n출력: model'
-                            },
-                            { 
-                                label: 'Regressor', 
-                                kind: 'regressor',
-                                tip: '회귀 모델 학습 (LinearRegression 등)\n입력: X_train, y_train\n출력: model'
-                            },
-                            { 
-                                label: 'Neural Network', 
-                                kind: 'neuralNet',
-                                tip: '신경망 모델 학습 (MLP)\n입력: X_train, y_train\n출력: model'
-                            }
-                        ]
-                    },
-                    {
-                        title: '📈 Evaluation',
-                        items: [
-                            { 
-                                label: 'Evaluate Model', 
-                                kind: 'evaluate',
-                                tip: '모델 성능 평가\n옵션1: model + X_test + y_test\n옵션2: prediction + y_test\n출력: metrics'
-                            },
-                            { 
-                                label: 'Predict', 
-                                kind: 'predict',
-                                tip: '새 데이터 예측\n입력: model, X_test\n출력: prediction'
-                            }
-                        ]
-                    },
-                    {
-                        title: '⚙️ Optimization',
-                        items: [
-                            { 
-                                label: 'Hyperparameter Tuning', 
-                                kind: 'hyperparamTune',
-                                tip: '최적 하이퍼파라미터 탐색 (GridSearch)\n입력: X_train, y_train\n출력: model (최적화됨)'
-                            }
-                        ]
-                    }
-                ].map((group, i, arr) => (
+                {SIDEBAR_GROUPS.map((group) => (
                     <div key={group.title} className="flex flex-col gap-2">
                         <div className="sidebar-section__bar">
                           <span className="sidebar-section__icon" aria-hidden="true" />
@@ -760,6 +961,8 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                     ref={canvasRef}
                     onDragOver={(e) => e.preventDefault()}
                     onDrop={(e) => handleDropOn(e)}
+                    onPointerMoveCapture={(e) => { lastPointerRef.current = { x: e.clientX, y: e.clientY }; }}
+                    onPointerLeave={() => { lastPointerRef.current = null; }}
                     className="w-full h-full relative overflow-hidden bg-[radial-gradient(ellipse_at_center,_rgba(255,255,255,0.03),_transparent_60%)] outline-none"
                     title="여기로 드래그하여 노드를 추가"
                     style={{ outline: 'none' }}
@@ -773,7 +976,7 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
             {/* 3. 정보 및 실행 패널 (오른쪽 사이드바) */}
             <div className="w-[18%] flex flex-col gap-4" style={{ maxHeight: 'calc(100vh - 200px)', overflowY: 'auto' }}>
                 {/* Gemini AI Python 코드 생성기 */}
-                <GeminiPipelineGenerator onApplyPipeline={applyPipelineToCanvas} logicId={logic?.id} />
+                <GeminiPipelineGenerator onApplyPipeline={applyPipelineWithHistory} logicId={logic?.id} />
                 
                 {/* CSV 데이터 관리 */}
                 <CSVDataManager 
@@ -785,6 +988,12 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                     logicId={logic?.id}
                 />
                 
+                {/* 검증 패널 */}
+                <ValidationPanel issues={issues} onFocusNode={handleFocusNode} />
+
+                {/* 파이프라인 설정 */}
+                <PipelineSettingsPanel settings={pipelineSettings} onChange={handleSettingsChange} />
+
                 {/* 정보 패널 */}
                 <div className="p-4 bg-neutral-900/60 rounded-2xl border border-neutral-800/70 flex flex-col">
                     <div className="flex items-center justify-between mb-2">
@@ -799,18 +1008,11 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
             </div>
         </div>
 
-        {/* Python 코드 미리보기 모달 */}
+        {/* Python 코드 미리보기 패널 (캔버스를 가리지 않도록 오른쪽에 고정, 노드 ↔ 코드 이동) */}
         {showCodePreview && (
-            <div
-                className="fixed inset-0 flex items-center justify-center z-50 p-4"
-                style={{ backgroundColor: 'rgba(0, 0, 0, 0.75)' }}
-                onClick={() => setShowCodePreview(false)}
-            >
-                <div 
-                    className="bg-neutral-900 rounded-2xl border border-neutral-700 shadow-2xl max-w-5xl w-full max-h-[85vh] flex flex-col"
-                    onClick={(e) => e.stopPropagation()}
-                >
-                    {/* 모달 헤더 */}
+            <div className="fixed inset-y-0 right-0 z-50 p-4 w-full max-w-3xl flex pointer-events-none">
+                <div className="bg-neutral-900 rounded-2xl border border-neutral-700 shadow-2xl w-full flex flex-col pointer-events-auto">
+                    {/* 패널 헤더 */}
                     <div className="flex items-center justify-between p-6 border-b border-neutral-700">
                         <h2 className="text-2xl font-bold text-gray-100">
                             🐍 생성된 Python 코드
@@ -825,12 +1027,15 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                     
                     {/* 코드 영역 */}
                     <div className="flex-1 overflow-auto p-6">
-                        <pre className="bg-neutral-950 border border-neutral-800 rounded-lg p-4 text-sm font-mono overflow-x-auto" style={{ color: 'var(--text-primary)' }}>
-                            <code>{generatedCode}</code>
-                        </pre>
+                        <CodePreview
+                            code={generatedCode}
+                            ranges={codeRanges}
+                            highlightedNodeId={highlightedNodeId}
+                            onSelectNode={handleSelectCodeLine}
+                        />
                     </div>
 
-                    {/* 모달 푸터 */}
+                    {/* 패널 푸터 */}
                     <div className="flex flex-col gap-3 p-6 border-t border-neutral-700">
                         {/* CSV 다운로드 버튼 */}
                         {/* <button
@@ -843,10 +1048,7 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                         {/* 다운로드 버튼들 */}
                         <div className="flex gap-3">
                             <button
-                                onClick={() => {
-                                    navigator.clipboard.writeText(generatedCode);
-                                    toast.success('코드가 클립보드에 복사되었습니다!');
-                                }}
+                                onClick={handleCopyCode}
                                 className="flex-1 px-4 py-2 text-base font-semibold text-white bg-cyan-600 rounded-lg hover:bg-cyan-500"
                             >
                                 📋 복사
@@ -863,11 +1065,20 @@ const LogicEditorPage = ({ selectedLogicId, onBack, onSave, defaultNewLogicName
                             >
                                 📄 .py
                             </button>
+                            <button
+                                onClick={handleExportProject}
+                                className="flex-1 px-4 py-2 text-base font-semibold text-white bg-violet-600 rounded-lg hover:bg-violet-500"
+                            >
+                                📦 .zip
+                            </button>
                         </div>
                     </div>
                 </div>
             </div>
         )}
+
+        {/* Ctrl+K 명령 팔레트 */}
+        <CommandPalette open={showPalette} onClose={() => setShowPalette(false)} items={paletteItems} />
     </div>
     );
 };
@@ -1,5 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
+import { useToast } from './toast/ToastProvider.jsx';
+import { readEmbeddedPipeline } from '../utils/graphEmbed';
 
 // ---------------------------------------------------------------
 // LogicListPage: 로직 목록 페이지
@@ -10,13 +12,16 @@ const LogicListPage = ({
   onDeleteLogic,
   onReorderLogics,
   onCreateLogic,
+  onImportLogic,
   theme
 }) => {
+  const toast = useToast();
   const [openedMenuId, setOpenedMenuId] = useState(null);
   const [editingId, setEditingId] = useState(null);
   const [editingValue, setEditingValue] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
   const mainContainerRef = useRef(null);
+  const importInputRef = useRef(null);
 
   // 검색된 로직 목록
   const filteredLogics = React.useMemo(() => {
@@ -59,6 +64,27 @@ const LogicListPage = ({
     }, 100);
   };
 
+  // 내보낸 노트북(.ipynb)/스크립트(.py)에서 로직 복원
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { name, graph, edited } = readEmbeddedPipeline(await file.text(), file.name);
+      if (edited) {
+        const proceed = window.confirm(
+          '내보낸 뒤 코드가 수정된 파일입니다.\n수정한 코드는 반영되지 않고 내보낼 당시의 그래프로 복원됩니다. 계속하시겠습니까?'
+        );
+        if (!proceed) return;
+      }
+      const logicName = name || file.name.replace(/\.(ipynb|py)$/i, '');
+      await onImportLogic?.({ name: logicName, graph });
+      toast.success(`"${logicName}" 로직을 가져왔습니다.`);
+    } catch (error) {
+      toast.error(error.message || '파일을 가져오지 못했습니다.');
+    }
+  };
+
   // 생성 확정 (Enter 또는 blur 시)
   const commitCreateNewLogic = () => {
     if (!editingId) return;
@@ -518,6 +544,22 @@ const LogicListPage = ({
           <span className="text-sm opacity-70">( Double-click으로 빠른 편집 )</span>
         </div>
       </button>
+
+      {/* 내보낸 노트북/스크립트 가져오기 */}
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".ipynb,.py"
+        className="hidden"
+        onChange={handleImportFile}
+      />
+      <button
+        className="flex items-center justify-center gap-2 w-full p-3 mt-3 text-base font-semibold text-gray-200 bg-neutral-800 border border-neutral-700 rounded-xl hover:bg-neutral-700 flex-shrink-0"
+        onClick={() => importInputRef.current?.click()}
+        title="이 앱에서 내보낸 .ipynb / .py 파일을 다시 로직으로 가져옵니다"
+      >
+        📥 노트북/스크립트에서 가져오기
+      </button>
     </div>
   );
 };
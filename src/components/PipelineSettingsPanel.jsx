@@ -0,0 +1,76 @@
+import React from 'react';
+
+// ----------------------------------------------------------------
+// PipelineSettingsPanel: 로직별 파이프라인 설정 (그래프와 함께 저장)
+// settings: { seed, testSize, stratify, nJobs, verbosity, showPreview }
+// 숫자 입력은 포커스를 잃을 때 반영 (범위를 벗어나면 기본값으로 되돌림)
+// ----------------------------------------------------------------
+const VERBOSITY_OPTIONS = [
+    { value: 'quiet', label: '간략 (평가 결과만)' },
+    { value: 'normal', label: '보통 (단계별 요약)' },
+    { value: 'verbose', label: '상세 (학습 로그 포함)' }
+];
+
+const inputClass = 'w-24 px-2 py-1 text-sm text-gray-200 bg-neutral-800 border border-neutral-700 rounded';
+
+const PipelineSettingsPanel = ({ settings, onChange }) => {
+    // key에 현재 값을 넣어 정규화된 값으로 입력창을 다시 그림
+    const numberField = (name, label, title, props) => (
+        <label className="flex items-center justify-between gap-2" title={title}>
+            <span>{label}</span>
+            <input
+                key={`${name}-${settings[name]}`}
+                type="number"
+                defaultValue={settings[name]}
+                onBlur={(e) => onChange({ [name]: Number(e.target.value) })}
+                onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                className={inputClass}
+                {...props}
+            />
+        </label>
+    );
+
+    return (
+        <div className="p-4 bg-neutral-900/60 rounded-2xl border border-neutral-800/70 flex flex-col">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-gray-200">파이프라인 설정</h3>
+                <span className="text-xs text-gray-400">코드 생성 전체에 적용</span>
+            </div>
+            <div className="flex flex-col gap-2 text-sm text-gray-300">
+                {numberField('seed', '난수 시드', 'random_state, 신경망 시드 등에 사용', { min: 0, step: 1 })}
+                {numberField('testSize', '테스트 비율', '학습 비율이 비어 있는 Data Split에 사용 (0~1)', { min: 0.05, max: 0.95, step: 0.05 })}
+                {numberField('nJobs', 'n_jobs', '병렬 작업 수 기본값 (-1: 모든 CPU 코어)', { step: 1 })}
+                <label className="flex items-center justify-between gap-2" title="Data Split 노드가 '기본'일 때 층화 추출 사용 여부">
+                    <span>층화 추출</span>
+                    <input
+                        type="checkbox"
+                        checked={settings.stratify}
+                        onChange={(e) => onChange({ stratify: e.target.checked })}
+                    />
+                </label>
+                <label className="flex items-center justify-between gap-2" title="데이터 로드 후 head() 출력">
+                    <span>데이터 미리보기</span>
+                    <input
+                        type="checkbox"
+                        checked={settings.showPreview}
+                        onChange={(e) => onChange({ showPreview: e.target.checked })}
+                    />
+                </label>
+                <label className="flex items-center justify-between gap-2" title="생성 코드의 print / 학습 로그 출력 수준">
+                    <span>출력</span>
+                    <select
+                        value={settings.verbosity}
+                        onChange={(e) => onChange({ verbosity: e.target.value })}
+                        className="px-2 py-1 text-sm text-gray-200 bg-neutral-800 border border-neutral-700 rounded"
+                    >
+                        {VERBOSITY_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+        </div>
+    );
+};
+
+export default PipelineSettingsPanel;
@@ -0,0 +1,54 @@
+import React from 'react';
+
+// ----------------------------------------------------------------
+// ValidationPanel: 실시간 파이프라인 검증 결과 목록
+// issues: [{ severity: 'error' | 'warning', message, nodeId? }]
+// 항목 클릭 시 onFocusNode(nodeId)로 해당 노드로 이동
+// ----------------------------------------------------------------
+const SEVERITY_STYLES = {
+    error: { icon: '⛔', text: 'text-red-300' },
+    warning: { icon: '⚠️', text: 'text-amber-300' }
+};
+
+const ValidationPanel = ({ issues, onFocusNode }) => {
+    const errorCount = issues.filter((i) => i.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+
+    return (
+        <div className="p-4 bg-neutral-900/60 rounded-2xl border border-neutral-800/70 flex flex-col">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-gray-200">검증</h3>
+                <span className="text-xs text-gray-400">
+                    {issues.length === 0 ? '문제 없음' : `오류 ${errorCount} · 경고 ${warningCount}`}
+                </span>
+            </div>
+            {issues.length === 0 ? (
+                <p className="text-sm text-gray-500">✅ 코드를 생성할 수 있습니다.</p>
+            ) : (
+                <ul className="flex flex-col gap-1 text-sm overflow-auto" style={{ maxHeight: '30vh' }}>
+                    {issues.map((issue, index) => {
+                        const style = SEVERITY_STYLES[issue.severity] || SEVERITY_STYLES.warning;
+                        const clickable = !!issue.nodeId;
+                        return (
+                            <li
+                                key={`${issue.nodeId || 'graph'}-${issue.code}-${index}`}
+                                onClick={clickable ? () => onFocusNode(issue.nodeId) : undefined}
+                                title={clickable ? '클릭하여 노드로 이동' : undefined}
+                                className={[
+                                    'flex gap-2 px-2 py-1.5 rounded-lg',
+                                    style.text,
+                                    clickable ? 'cursor-pointer hover:bg-neutral-800' : ''
+                                ].join(' ')}
+                            >
+                                <span className="flex-none">{style.icon}</span>
+                                <span>{issue.message}</span>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ValidationPanel;
@@ -2,7 +2,7 @@
 Presets.classic의 RefSocket/RefControl로 입력·출력 소켓과 컨트롤을 정렬·렌더링함.*/
 
 import { type ClassicScheme, type RenderEmit, Presets } from "rete-react-plugin";
-import { type JSX, useEffect, useState } from "react";
+import { type JSX, useEffect, useRef, useState } from "react";
 import styled, { css, type FlattenSimpleInterpolation } from "styled-components";
 import { $nodewidth, $socketmargin, $socketsize } from "./vars";
 
@@ -10,8 +10,20 @@ const { RefSocket, RefControl } = Presets.classic;
 
 type NodeExtraData = { width?: number; height?: number };
 type ControlHints = Record<string, { label?: string; title?: string }>;
-type NodeMeta = { _controlHints?: ControlHints };
-type NodeStyleProps = NodeExtraData & { selected: boolean };
+type NodeIssue = { severity: "error" | "warning"; message: string };
+type NodeMeta = {
+  _controlHints?: ControlHints;
+  issues?: NodeIssue[];
+  comment?: string;
+  onCommentChange?: (comment: string) => void;
+  disabled?: boolean;
+  onToggleDisabled?: () => void;
+};
+type NodeStyleProps = NodeExtraData & {
+  selected: boolean;
+  issueLevel?: NodeIssue["severity"];
+  disabled?: boolean;
+};
 type NodeStyleFn = (props: NodeStyleProps) => FlattenSimpleInterpolation | string | undefined;
 
 export const NodeStyles = styled.div<
@@ -39,6 +51,20 @@ export const NodeStyles = styled.div<
       border-color: var(--accent);
       box-shadow: 0 0 0 2px var(--accent-weak), 0 12px 32px rgba(0,0,0,.35);
     `}
+  ${(props) =>
+    props.issueLevel &&
+    !props.selected &&
+    css`
+      border-color: ${props.issueLevel === "error" ? "rgba(248,113,113,0.8)" : "rgba(251,191,36,0.7)"};
+    `}
+  /* 비활성화(우회): 회색 처리, 코드 생성에서 건너뜀 */
+  ${(props) =>
+    props.disabled &&
+    css`
+      border-style: dashed;
+      filter: grayscale(1);
+      opacity: 0.5;
+    `}
   .title {
     color: var(--title-color);
     font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, Noto Sans, "Apple Color Emoji", "Segoe UI Emoji";
@@ -46,6 +72,73 @@ export const NodeStyles = styled.div<
     font-weight: 600;
     letter-spacing: -0.01em;
     padding: 10px 10px 6px 10px;
+    display: flex;
+    align-items: center;
+    gap: 8px;
+  }
+  /* 검증 배지 (메시지는 툴팁으로 표시) */
+  .issue-badge {
+    flex: none;
+    width: 20px;
+    height: 20px;
+    border-radius: 50%;
+    font-size: 13px;
+    font-weight: 700;
+    line-height: 20px;
+    text-align: center;
+    color: #111827;
+    cursor: help;
+  }
+  .issue-badge.error { background: #f87171; }
+  .issue-badge.warning { background: #fbbf24; }
+  .title-text { flex: 1; min-width: 0; }
+  .comment-toggle {
+    flex: none;
+    border: none;
+    border-radius: 6px;
+    background: transparent;
+    color: var(--muted);
+    cursor: pointer;
+    font-size: 13px;
+    padding: 0 4px;
+    opacity: 0.6;
+  }
+  .comment-toggle:hover, .comment-toggle.active { opacity: 1; }
+  .bypass-tag {
+    flex: none;
+    font-size: 11px;
+    font-weight: 500;
+    color: var(--muted);
+    border: 1px solid var(--control-border);
+    border-radius: 6px;
+    padding: 0 4px;
+  }
+  /* 노드 코멘트 (노트북 마크다운 셀로 출력) */
+  .node-comment {
+    margin: 0 10px 6px 10px;
+    padding: 6px 8px;
+    border-left: 3px solid rgba(250, 204, 21, 0.7);
+    border-radius: 4px;
+    background: rgba(250, 204, 21, 0.08);
+    color: var(--muted);
+    font-size: 12px;
+    line-height: 1.4;
+    white-space: pre-wrap;
+    word-break: break-word;
+  }
+  .node-comment textarea {
+    width: 100%;
+    min-height: 56px;
+    box-sizing: border-box;
+    resize: vertical;
+    background: var(--control-bg);
+    color: var(--control-fg);
+    border: 1px solid var(--control-border);
+    border-radius: 6px;
+    padding: 4px 6px;
+    font: inherit;
+    outline: none;
+    user-select: text;
   }
   .output {
     text-align: right;
@@ -109,6 +202,59 @@ export const NodeStyles = styled.div<
   ${(props) => props.styles && props.styles(props)}
 `;
 
+// 노드 코멘트 표시/편집 (편집 종료 시 한 번만 onChange 호출 → 히스토리 한 단계)
+function NodeComment(props: {
+  comment: string;
+  editing: boolean;
+  onEditingChange: (editing: boolean) => void;
+  onChange?: (comment: string) => void;
+}) {
+  const { comment, editing, onEditingChange, onChange } = props;
+  const [draft, setDraft] = useState(comment);
+  const cancelRef = useRef(false);
+
+  useEffect(() => {
+    if (!editing) setDraft(comment);
+  }, [comment, editing]);
+
+  if (!editing) {
+    if (!comment) return null;
+    return (
+      <div className="node-comment" data-testid="node-comment">
+        {comment}
+      </div>
+    );
+  }
+
+  return (
+    <div className="node-comment" data-testid="node-comment">
+      <textarea
+        autoFocus
+        value={draft}
+        placeholder="이 노드에 대한 설명 (예: 이상치가 많아 RobustScaler 사용)"
+        onPointerDown={(e) => e.stopPropagation()}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => {
+          onEditingChange(false);
+          if (cancelRef.current) {
+            cancelRef.current = false;
+            setDraft(comment);
+          } else if (draft !== comment) {
+            onChange?.(draft);
+          }
+        }}
+        onKeyDown={(e) => {
+          // Esc: 변경 취소
+          if (e.key === "Escape") {
+            cancelRef.current = true;
+            e.currentTarget.blur();
+          }
+        }}
+      />
+    </div>
+  );
+}
+
 // 커스텀 Input 컴포넌트 (Rete InputControl과 연동)
 function CustomInput(props: {
   control: any;
@@ -121,6 +267,12 @@ function CustomInput(props: {
   const [value, setValue] = useState(() => {
     return typeof control.getValue === 'function' ? control.getValue() : control.value;
   });
+  const controlValue = typeof control.getValue === 'function' ? control.getValue() : control.value;
+
+  // 외부에서 값이 바뀐 경우(실행 취소 등) 화면 값 동기화
+  useEffect(() => {
+    setValue(controlValue);
+  }, [controlValue]);
 
   useEffect(() => {
     const update = () => {
@@ -305,8 +457,16 @@ export function CustomNode<Scheme extends ClassicScheme>(props: Props<Scheme>) {
   const outputs = Object.entries(props.data.outputs);
   const controls = Object.entries(props.data.controls);
   const selected = props.data.selected || false;
-  const { id, label, width, height } = props.data;
+  // width/height는 그룹 크기 계산용 실측값이므로 카드 크기는 내용에 맞춘다
+  const { id, label } = props.data;
   const controlHints: ControlHints = props.data._controlHints || {};
+  const issues = props.data.issues || [];
+  const comment = props.data.comment || "";
+  const [editingComment, setEditingComment] = useState(false);
+  const disabled = Boolean(props.data.disabled);
+  const issueLevel = issues.length
+    ? (issues.some((i) => i.severity === "error") ? "error" : "warning")
+    : undefined;
   
   // Debug logging
   if (label === 'Data Split') {
@@ -356,14 +516,56 @@ export function CustomNode<Scheme extends ClassicScheme>(props: Props<Scheme>) {
   return (
     <NodeStyles
       selected={selected}
-      width={width}
-      height={height}
+      issueLevel={issueLevel}
+      disabled={disabled}
       styles={props.styles}
       data-testid="node"
     >
       <div className="title" data-testid="title">
-        {label}
+        <span className="title-text">{label}</span>
+        {disabled && <span className="bypass-tag">우회</span>}
+        {issueLevel && (
+          <span
+            className={`issue-badge ${issueLevel}`}
+            title={issues.map((i) => i.message).join("\n")}
+            data-testid="issue-badge"
+          >
+            !
+          </span>
+        )}
+        <button
+          type="button"
+          className={`comment-toggle${comment || editingComment ? " active" : ""}`}
+          title={comment ? "코멘트 편집" : "코멘트 추가"}
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={(e) => {
+            e.stopPropagation();
+            setEditingComment(true);
+          }}
+          data-testid="comment-toggle"
+        >
+          💬
+        </button>
+        <button
+          type="button"
+          className={`comment-toggle${disabled ? " active" : ""}`}
+          title={disabled ? "다시 활성화" : "비활성화 (입력을 그대로 다음 노드로 전달)"}
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={(e) => {
+            e.stopPropagation();
+            props.data.onToggleDisabled?.();
+          }}
+          data-testid="bypass-toggle"
+        >
+          ⏻
+        </button>
       </div>
+      <NodeComment
+        comment={comment}
+        editing={editingComment}
+        onEditingChange={setEditingComment}
+        onChange={props.data.onCommentChange}
+      />
       {/* Outputs */}
       {outputs.map(
         ([key, output]) =>
@@ -2,6 +2,17 @@
 import { type ClassicPreset } from "rete";
 import styled from "styled-components";
 import { $socketsize } from "./vars";
+import { getSocketLabel } from "../rete/sockets";
+
+// 소켓 타입별 색상 (sockets.ts 의 SocketType 과 동일한 키)
+const SOCKET_COLORS: Record<string, string> = {
+  dataframe: "#38bdf8", // sky-400
+  split: "#a78bfa", // violet-400
+  data: "#2dd4bf", // teal-400
+  model: "#f59e0b", // amber-500
+  prediction: "#f472b6", // pink-400
+  metrics: "#4ade80", // green-400
+};
 
 const Styles = styled.div`
   display: inline-block;
@@ -13,7 +24,7 @@ const Styles = styled.div`
   box-sizing: border-box;
   border-radius: 9999px;
   background: radial-gradient(50% 50% at 50% 50%, var(--socket-grad-1) 0%, var(--socket-grad-2) 100%);
-  border: 2px solid var(--socket-border);
+  border: 2px solid var(--socket-type-color, var(--socket-border));
   box-shadow: 0 0 0 1px rgba(15,23,42,0.35), inset 0 0 8px var(--accent-weak);
   transition: box-shadow .15s ease, border-color .15s ease, transform .15s ease;
   &:hover {
@@ -26,5 +37,11 @@ const Styles = styled.div`
 export function CustomSocket<T extends ClassicPreset.Socket>(props: {
   data: T;
 }) {
-  return <Styles title={props.data.name} />;
+  const color = SOCKET_COLORS[props.data.name];
+  return (
+    <Styles
+      title={getSocketLabel(props.data.name)}
+      style={color ? ({ "--socket-type-color": color } as React.CSSProperties) : undefined}
+    />
+  );
 }
@@ -0,0 +1,116 @@
+/*그룹 노드(rete-scopes-plugin 부모 노드) 렌더링 컴포넌트로, 하위 노드를 감싸는 접이식 프레임과
+이름 입력(RefControl), 접기/펼치기 버튼을 표시함. 크기는 스코프 플러그인이 계산한 width/height를 따름.*/
+
+import { type ClassicScheme, type RenderEmit, Presets } from "rete-react-plugin";
+import styled, { css } from "styled-components";
+
+const { RefControl } = Presets.classic;
+
+type GroupExtraData = {
+  width?: number;
+  height?: number;
+  collapsed?: boolean;
+  onToggleCollapse?: () => void;
+};
+
+const GroupStyles = styled.div<{ selected: boolean; collapsed: boolean }>`
+  box-sizing: border-box;
+  position: relative;
+  border: 1px dashed var(--node-border);
+  border-radius: 16px;
+  background: rgba(148, 163, 184, 0.06);
+  cursor: pointer;
+  user-select: none;
+  transition: border-color .2s ease, box-shadow .2s ease;
+  ${(props) =>
+    props.collapsed &&
+    css`
+      border-style: solid;
+      background: linear-gradient(180deg, var(--node-bg-start) 0%, var(--node-bg-end) 100%);
+      box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+    `}
+  ${(props) =>
+    props.selected &&
+    css`
+      border-color: var(--accent);
+      box-shadow: 0 0 0 2px var(--accent-weak);
+    `}
+  .group-header {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    height: 36px;
+    padding: 6px 10px;
+    box-sizing: border-box;
+  }
+  .group-toggle {
+    flex: none;
+    width: 22px;
+    height: 22px;
+    border: none;
+    border-radius: 6px;
+    background: transparent;
+    color: var(--muted);
+    cursor: pointer;
+    line-height: 22px;
+  }
+  .group-toggle:hover { background: rgba(148, 163, 184, 0.15); color: var(--title-color); }
+  .group-name { flex: 1; min-width: 0; }
+  .group-name input {
+    width: 100%;
+    box-sizing: border-box;
+    background: transparent;
+    color: var(--title-color);
+    border: 1px solid transparent;
+    border-radius: 8px;
+    padding: 2px 6px;
+    font-size: 14px;
+    font-weight: 600;
+    outline: none;
+  }
+  .group-name input:focus {
+    background: var(--control-bg);
+    border-color: var(--accent);
+  }
+`;
+
+type Props<S extends ClassicScheme> = {
+  data: S["Node"] & GroupExtraData;
+  emit: RenderEmit<S>;
+};
+
+export function GroupNodeView<Scheme extends ClassicScheme>(props: Props<Scheme>) {
+  const { width, height } = props.data;
+  const collapsed = Boolean(props.data.collapsed);
+  const selected = props.data.selected || false;
+  const nameControl = (props.data.controls as Record<string, any>).name;
+
+  return (
+    <GroupStyles
+      selected={selected}
+      collapsed={collapsed}
+      style={{ width: `${width}px`, height: `${height}px` }}
+      data-testid="group"
+    >
+      <div className="group-header">
+        <button
+          type="button"
+          className="group-toggle"
+          title={collapsed ? "그룹 펼치기" : "그룹 접기"}
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={(e) => {
+            e.stopPropagation();
+            props.data.onToggleCollapse?.();
+          }}
+        >
+          {collapsed ? "▸" : "▾"}
+        </button>
+        {nameControl && (
+          <div className="group-name">
+            <RefControl name="control" emit={props.emit} payload={nameControl} />
+          </div>
+        )}
+      </div>
+    </GroupStyles>
+  );
+}
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ClassicPreset } from 'rete';
+
+/**
+ * 여러 항목을 고르는 체크박스 목록 Rete Control (값은 쉼표로 구분한 문자열)
+ */
+export class MultiSelectControl extends ClassicPreset.Control {
+    public value: string;
+    public options: string[];
+
+    constructor(options: string[], initial?: string) {
+        super();
+        this.options = options;
+        this.value = initial || '';
+    }
+
+    setValue(val: string) {
+        this.value = val;
+    }
+}
+
+function splitValues(value: string): string[] {
+    return value.split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * MultiSelectControl을 렌더링하는 React 컴포넌트
+ */
+export function MultiSelectControlComponent(props: { data: MultiSelectControl }) {
+    const { data } = props;
+    const [selected, setSelected] = React.useState(() => splitValues(data.value));
+
+    // 외부에서 값이 바뀐 경우(실행 취소 등) 화면 값 동기화
+    React.useEffect(() => {
+        setSelected(splitValues(data.value));
+    }, [data.value]);
+
+    // 현재 CSV에 없는 기존 선택도 표시해서 해제할 수 있게 함
+    const options = [...data.options, ...selected.filter((value) => !data.options.includes(value))];
+
+    const toggle = (option: string) => {
+        const next = selected.includes(option)
+            ? selected.filter((value) => value !== option)
+            : options.filter((value) => value === option || selected.includes(value));
+        setSelected(next);
+        data.setValue(next.join(','));
+    };
+
+    return (
+        <div
+            className="nodrag w-full flex flex-col gap-1 px-2 py-1.5 bg-neutral-800 border border-neutral-700 rounded-lg text-gray-200 text-sm overflow-y-auto"
+            style={{ minWidth: '150px', maxHeight: '120px' }}
+            onPointerDown={(e) => e.stopPropagation()}
+            onWheel={(e) => e.stopPropagation()}
+        >
+            {options.map((option) => (
+                <label key={option} className="flex items-center gap-2 cursor-pointer select-none">
+                    <input
+                        type="checkbox"
+                        checked={selected.includes(option)}
+                        onChange={() => toggle(option)}
+                    />
+                    <span className="truncate">{option}</span>
+                </label>
+            ))}
+        </div>
+    );
+}
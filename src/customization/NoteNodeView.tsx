@@ -0,0 +1,158 @@
+/*캔버스 메모(스티키 노트) 렌더링 컴포넌트로, 'text' 컨트롤 값을 마크다운으로 표시하고
+편집 버튼을 누르면 textarea로 바꿔 입력함. 소켓이 없으며 코드 생성 대상이 아님.*/
+
+import { type ClassicScheme, type RenderEmit } from "rete-react-plugin";
+import { useEffect, useMemo, useRef, useState } from "react";
+import styled, { css } from "styled-components";
+import { renderMarkdownLite } from "../utils/markdownLite";
+
+const NoteStyles = styled.div<{ selected: boolean }>`
+  box-sizing: border-box;
+  width: 220px;
+  min-height: 120px;
+  border-radius: 10px;
+  border: 1px solid rgba(202, 138, 4, 0.55);
+  background: linear-gradient(180deg, rgba(254, 240, 138, 0.95) 0%, rgba(253, 224, 71, 0.9) 100%);
+  color: #3f3f1f;
+  box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+  cursor: pointer;
+  user-select: none;
+  ${(props) =>
+    props.selected &&
+    css`
+      border-color: var(--accent);
+      box-shadow: 0 0 0 2px var(--accent-weak), 0 12px 32px rgba(0,0,0,.35);
+    `}
+  .note-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 6px 8px 0 10px;
+    font-size: 12px;
+    font-weight: 600;
+    opacity: 0.7;
+  }
+  .note-edit {
+    border: none;
+    border-radius: 6px;
+    background: transparent;
+    cursor: pointer;
+    font-size: 12px;
+    padding: 2px 6px;
+  }
+  .note-edit:hover { background: rgba(0,0,0,0.08); }
+  .note-body {
+    padding: 4px 12px 12px 12px;
+    font-size: 13px;
+    line-height: 1.5;
+    word-break: break-word;
+  }
+  .note-body p, .note-body ul, .note-body ol { margin: 0 0 6px 0; }
+  .note-body ul, .note-body ol { padding-left: 18px; }
+  .note-body h3, .note-body h4, .note-body h5 { margin: 0 0 6px 0; font-weight: 700; }
+  .note-body h3 { font-size: 16px; }
+  .note-body h4 { font-size: 14px; }
+  .note-body h5 { font-size: 13px; }
+  .note-body code {
+    font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    background: rgba(0,0,0,0.08);
+    border-radius: 4px;
+    padding: 0 3px;
+  }
+  .note-body a { color: #1d4ed8; text-decoration: underline; }
+  .note-placeholder { opacity: 0.55; font-style: italic; }
+  textarea {
+    width: 100%;
+    min-height: 110px;
+    box-sizing: border-box;
+    resize: vertical;
+    border: 1px solid rgba(0,0,0,0.15);
+    border-radius: 6px;
+    background: rgba(255,255,255,0.6);
+    color: inherit;
+    font: inherit;
+    padding: 6px;
+    outline: none;
+    user-select: text;
+  }
+`;
+
+type Props<S extends ClassicScheme> = {
+  data: S["Node"];
+  emit: RenderEmit<S>;
+};
+
+export function NoteNodeView<Scheme extends ClassicScheme>(props: Props<Scheme>) {
+  const selected = props.data.selected || false;
+  const control = (props.data.controls as Record<string, any>).text;
+  const controlValue: string = control?.value ?? "";
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(controlValue);
+  const cancelRef = useRef(false);
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+
+  // 외부에서 값이 바뀐 경우(실행 취소 등) 편집 중이 아니면 동기화
+  useEffect(() => {
+    if (!editing) setDraft(controlValue);
+  }, [controlValue, editing]);
+
+  const html = useMemo(() => renderMarkdownLite(controlValue), [controlValue]);
+
+  // 편집 종료 시 한 번만 값 반영 (히스토리 한 단계)
+  const commit = () => {
+    setEditing(false);
+    if (cancelRef.current) {
+      cancelRef.current = false;
+      setDraft(controlValue);
+      return;
+    }
+    if (control && draft !== controlValue) control.setValue(draft);
+  };
+
+  return (
+    <NoteStyles selected={selected} data-testid="note">
+      <div className="note-header">
+        <span>📝 메모</span>
+        <button
+          type="button"
+          className="note-edit"
+          title={editing ? "편집 완료" : "메모 편집 (마크다운)"}
+          onPointerDown={(e) => e.stopPropagation()}
+          // 편집 중 포커스를 유지해야 완료 클릭이 blur(commit) 한 번으로 처리됨
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={(e) => {
+            e.stopPropagation();
+            if (editing) textareaRef.current?.blur();
+            else setEditing(true);
+          }}
+        >
+          {editing ? "완료" : "✏️"}
+        </button>
+      </div>
+      <div className="note-body">
+        {editing ? (
+          <textarea
+            ref={textareaRef}
+            autoFocus
+            value={draft}
+            placeholder="마크다운으로 메모를 작성하세요 (예: **왜 RobustScaler?**)"
+            onPointerDown={(e) => e.stopPropagation()}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+              // Esc: 변경 취소
+              if (e.key === "Escape") {
+                cancelRef.current = true;
+                e.currentTarget.blur();
+              }
+            }}
+          />
+        ) : controlValue.trim() ? (
+          <div dangerouslySetInnerHTML={{ __html: html }} />
+        ) : (
+          <div className="note-placeholder">✏️ 버튼을 눌러 메모를 작성하세요</div>
+        )}
+      </div>
+    </NoteStyles>
+  );
+}
@@ -35,6 +35,11 @@ export function SelectControlComponent(props: { data: SelectControl }) {
     const { data } = props;
     const [value, setValue] = React.useState(data.value);
 
+    // 외부에서 값이 바뀐 경우(실행 취소 등) 화면 값 동기화
+    React.useEffect(() => {
+        setValue(data.value);
+    }, [data.value]);
+
     const handleChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
         const newValue = e.target.value;
         setValue(newValue);
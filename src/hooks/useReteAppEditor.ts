@@ -6,6 +6,11 @@ export function useReteAppEditor(containerRef: React.RefObject<HTMLElement>) {
   const editorRef = useRef<any>(null);
     // Rete.js Area Plugin 인스턴스를 저장하기 위한 Ref (화면 렌더링, 줌/패닝 관리)
   const areaRef = useRef<any>(null);
+    // 편집 히스토리(Undo/Redo) 인스턴스를 저장하기 위한 Ref
+  const historyRef = useRef<any>(null);
+    // 실시간 검증 인스턴스와 노드 이동(포커스) 함수를 저장하기 위한 Ref
+  const validationRef = useRef<any>(null);
+  const focusNodeRef = useRef<((id: string) => Promise<void>) | null>(null);
     // 에디터 초기화 완료 상태를 저장하는 State
   const [ready, setReady] = useState(false);
 
@@ -26,7 +31,7 @@ export function useReteAppEditor(containerRef: React.RefObject<HTMLElement>) {
         const mod: any = await import('../rete/app-editor.js');
 
           // 모듈의 createAppEditor 함수를 호출하여 에디터 인스턴스 생성
-        const { editor, area, destroy: d } = await mod.createAppEditor(el);
+        const { editor, area, history, validation, focusNode, destroy: d } = await mod.createAppEditor(el);
         if (cancelled) {
           d();
           return;
@@ -35,6 +40,9 @@ export function useReteAppEditor(containerRef: React.RefObject<HTMLElement>) {
          // 성공적으로 생성된 인스턴스를 Ref에 저장
         editorRef.current = editor;
         areaRef.current = area;
+        historyRef.current = history;
+        validationRef.current = validation;
+        focusNodeRef.current = focusNode;
         destroy = d;
         setReady(true);
       } catch (e) {
@@ -60,5 +68,5 @@ export function useReteAppEditor(containerRef: React.RefObject<HTMLElement>) {
   }, [containerRef]); // containerRef가 변경될 때만 Effect 재실행
 
     // Rete.js 인스턴스와 준비 상태를 반환
-  return { editorRef, areaRef, ready } as const;
+  return { editorRef, areaRef, historyRef, validationRef, focusNodeRef, ready } as const;
 }
@@ -0,0 +1,24 @@
+// 캔버스 전용 노드 (코드 생성 대상 아님)
+import { defineNode } from './spec'
+
+export const group = defineNode({
+    kind: 'group',
+    labels: { ko: '그룹', en: 'Group' },
+    category: 'canvas',
+    sidebar: {
+        section: 'canvas',
+        tip: '노드를 묶는 접이식 그룹 프레임\n노드를 그룹 위에 놓으면 그룹에 포함됩니다\n선택 후 우클릭 → 그룹으로 묶기'
+    },
+    controls: [{ key: 'name', type: 'text', initial: '그룹' }]
+})
+
+export const note = defineNode({
+    kind: 'note',
+    labels: { ko: '메모', en: 'Note', aliases: ['Sticky Note', 'Comment'] },
+    category: 'canvas',
+    sidebar: {
+        section: 'canvas',
+        tip: '마크다운 메모 (스티키 노트)\n노트북 내보내기 시 가장 가까운 노드의 코드 앞에 마크다운 셀로 들어갑니다\n노드별 코멘트는 노드 제목의 💬 버튼'
+    },
+    controls: [{ key: 'text', type: 'text', initial: '' }]
+})
@@ -0,0 +1,195 @@
+// 교차 검증 노드 (KFold / StratifiedKFold / GroupKFold / TimeSeriesSplit)
+import type { NodeData } from '../utils/pipelineToCode'
+import { defineNode, type NodeIssue, type ValidationContext } from './spec'
+import { toInt, TUNING_SCORING } from './tuning'
+
+export type CVSplitter = 'KFold' | 'StratifiedKFold' | 'GroupKFold' | 'TimeSeriesSplit'
+
+const SPLITTERS: Record<CVSplitter, string> = {
+    KFold: 'K-Fold',
+    StratifiedKFold: 'Stratified K-Fold (분류)',
+    GroupKFold: 'Group K-Fold (그룹 컬럼)',
+    TimeSeriesSplit: 'Time Series Split (시간 순서)'
+}
+
+// scikit-learn 평가 지표 → 비교표 이름 (Evaluate 노드와 같은 이름을 써서 비교표 열을 맞춤)
+// neg_* 지표는 부호를 뒤집어 오차 값으로 표시
+const SCORER_LABELS: Record<string, string> = {
+    accuracy: 'Accuracy',
+    f1_weighted: 'F1 (weighted)',
+    precision_weighted: 'Precision (weighted)',
+    recall_weighted: 'Recall (weighted)',
+    roc_auc: 'ROC AUC',
+    r2: 'R2',
+    neg_mean_squared_error: 'MSE',
+    neg_root_mean_squared_error: 'RMSE',
+    neg_mean_absolute_error: 'MAE',
+    neg_mean_absolute_percentage_error: 'MAPE'
+}
+
+const DEFAULT_SCORING = {
+    classification: ['accuracy', 'f1_weighted'],
+    regression: ['r2', 'neg_root_mean_squared_error']
+}
+
+interface CVConfig {
+    splitter: CVSplitter
+    nSplits: number
+    targetColumn: string
+    groupColumn: string
+    scoring: string[]       // 비어 있으면 모델 종류에 맞는 기본 지표
+    errors: string[]
+}
+
+/**
+ * CrossValidate 노드 컨트롤 → 교차 검증 설정 (검증 오류 포함)
+ */
+function readCVConfig(node: NodeData): CVConfig {
+    const c = node.controls || {}
+    const splitter: CVSplitter = SPLITTERS[c.splitter as CVSplitter] ? c.splitter : 'KFold'
+    const scoring = String(c.scoring ?? '').split(',').map(s => s.trim()).filter(Boolean)
+
+    const config: CVConfig = {
+        splitter,
+        nSplits: toInt(c.n_splits, 5),
+        targetColumn: c.targetColumn || 'target',
+        groupColumn: String(c.groupColumn ?? '').trim(),
+        scoring: Array.from(new Set(scoring)),
+        errors: []
+    }
+
+    if (config.nSplits < 2) config.errors.push('폴드 수는 2 이상이어야 합니다.')
+    if (splitter === 'GroupKFold' && !config.groupColumn) config.errors.push('GroupKFold는 그룹 컬럼이 필요합니다.')
+    if (splitter === 'GroupKFold' && config.groupColumn === config.targetColumn) {
+        config.errors.push('그룹 컬럼은 타겟 컬럼과 달라야 합니다.')
+    }
+    for (const name of config.scoring) {
+        if (!SCORER_LABELS[name]) config.errors.push(`'${name}' 은(는) 지원하지 않는 평가 지표입니다. (${Object.keys(SCORER_LABELS).join(', ')})`)
+    }
+    return config
+}
+
+function validateCV(node: NodeData, { getSourceNode, isRegression, isSklearnEstimator }: ValidationContext): NodeIssue[] {
+    const config = readCVConfig(node)
+    const issues: NodeIssue[] = config.errors.map(message => ({ code: 'invalid-value', severity: 'error', message }))
+    const model = getSourceNode('model')
+    if (!model) return issues
+
+    if (!isSklearnEstimator(model)) {
+        issues.push({ code: 'invalid-value', severity: 'error', message: 'scikit-learn 모델만 교차 검증할 수 있습니다. (Keras/PyTorch 신경망 제외)' })
+    }
+    const task = isRegression(model) ? 'regression' : 'classification'
+    if (task === 'regression' && config.splitter === 'StratifiedKFold') {
+        issues.push({ code: 'invalid-value', severity: 'error', message: 'StratifiedKFold는 분류 모델에서만 사용할 수 있습니다.' })
+    }
+    const mismatched = config.scoring.filter(name => SCORER_LABELS[name] && !TUNING_SCORING[task].includes(name))
+    if (mismatched.length) {
+        issues.push({ code: 'invalid-value', severity: 'error', message: `${mismatched.join(', ')} 지표는 ${task === 'regression' ? '회귀' : '분류'} 모델에 사용할 수 없습니다.` })
+    }
+    return issues
+}
+
+export const crossValidate = defineNode({
+    kind: 'crossValidate',
+    labels: { ko: '교차 검증', en: 'Cross Validate', aliases: ['CrossValidate'] },
+    category: 'ml-evaluation',
+    sidebar: {
+        section: 'evaluation',
+        tip: 'k-폴드 교차 검증 (KFold / Stratified / Group / TimeSeries)\n입력: data (전체 데이터), model\n출력: metrics (지표별 평균 ± 표준편차)'
+    },
+    inputs: [
+        { key: 'data', socket: 'dataframe', label: '데이터' },
+        { key: 'model', socket: 'model', label: '모델' }
+    ],
+    outputs: [{ key: 'metrics', socket: 'metrics', label: '평가결과' }],
+    controls: [
+        {
+            key: 'targetColumn', type: 'csvColumn', initial: 'target', placeholder: '🎯 타겟 컬럼 선택...',
+            hint: { label: '타겟 컬럼', title: '예측할 목표 변수의 컬럼명' }
+        },
+        {
+            key: 'splitter', type: 'select', initial: 'KFold',
+            options: Object.entries(SPLITTERS).map(([value, label]) => ({ value, label })),
+            hint: { label: '분할 방식', title: 'TimeSeriesSplit은 행 순서를 시간 순서로 간주합니다' }
+        },
+        { key: 'n_splits', type: 'number', initial: 5, hint: { label: '폴드 수', title: '2 이상' } },
+        {
+            key: 'groupColumn', type: 'csvColumn', initial: '', placeholder: '👥 그룹 컬럼 선택...',
+            hint: { label: '그룹 컬럼', title: 'GroupKFold 전용: 같은 그룹이 훈련/검증에 나뉘지 않도록 함' }
+        },
+        {
+            key: 'scoring', type: 'text', initial: '',
+            hint: { label: '평가 지표', title: `쉼표로 구분 (예: accuracy,f1_weighted), 비우면 모델 종류에 맞는 기본 지표\n${Object.keys(SCORER_LABELS).join(', ')}` }
+        }
+    ],
+    codegen: {
+        varName: 'cv',
+        requiredInputs: { inputs: ['data', 'model'], message: '데이터와 모델을 모두 연결해주세요.' },
+        reportsResults: true,
+        validate: validateCV,
+        comparisonLabel: ({ node, varName, getSourceNode, describeModel }) => {
+            const model = getSourceNode('model')
+            const config = readCVConfig(node)
+            return `${model ? describeModel(model) : varName} · ${config.nSplits}-fold ${config.splitter}`
+        },
+        imports: node => [
+            `from sklearn.model_selection import cross_validate, ${readCVConfig(node).splitter}`,
+            // script 모드에서 전처리 단계를 폴드마다 다시 학습하도록 묶을 때 사용
+            'from sklearn.pipeline import Pipeline',
+            'from sklearn.base import clone'
+        ],
+        toCode: ({ node, varName, settings, seed, pipelineMode, getSourceNode, getSourceVarName, varNameOf, contextOf, isRegression, describeModel }) => {
+            const config = readCVConfig(node)
+            const model = getSourceNode('model')
+            const modelVar = (model && varNameOf(model.id)) || 'model'
+            const sourceVar = getSourceVarName('data')
+            const scoring = config.scoring.length
+                ? config.scoring
+                : DEFAULT_SCORING[isRegression(model) ? 'regression' : 'classification']
+            const dropColumns = [config.targetColumn, ...(config.splitter === 'GroupKFold' ? [config.groupColumn] : [])]
+
+            const lines = [
+                `# 교차 검증 (${config.splitter} · ${config.nSplits} 폴드) - ${model ? describeModel(model) : modelVar}`,
+                `${varName}_X = ${sourceVar}.drop(columns=[${dropColumns.map(c => `'${c}'`).join(', ')}])`,
+                `${varName}_y = ${sourceVar}['${config.targetColumn}']`
+            ]
+            if (config.splitter === 'GroupKFold') lines.push(`${varName}_groups = ${sourceVar}['${config.groupColumn}']`)
+
+            // pipeline 모드의 모델은 이미 전처리를 포함, script 모드는 전처리 단계를 모델 앞에 묶음 (폴드 간 데이터 누수 방지)
+            const steps = !pipelineMode && model ? contextOf(model).preprocessingSteps() : []
+            let estimator = modelVar
+            if (steps.length) {
+                estimator = `${varName}_estimator`
+                lines.push(
+                    `${estimator} = Pipeline([`,
+                    ...steps.map(step => `    ('${step}', clone(${step})),`),
+                    `    ('model', clone(${modelVar})),`,
+                    '])'
+                )
+            }
+
+            // TimeSeriesSplit/GroupKFold는 순서/그룹을 유지해야 하므로 섞지 않음
+            const shuffles = config.splitter === 'KFold' || config.splitter === 'StratifiedKFold'
+            lines.push(
+                `${varName}_splitter = ${config.splitter}(n_splits=${config.nSplits}${shuffles ? `, shuffle=True, random_state=${seed}` : ''})`,
+                `${varName}_results = cross_validate(`,
+                `    ${estimator}, ${varName}_X, ${varName}_y,`,
+                ...(config.splitter === 'GroupKFold' ? [`    groups=${varName}_groups,`] : []),
+                `    cv=${varName}_splitter,`,
+                `    scoring=[${scoring.map(s => `'${s}'`).join(', ')}],`,
+                `    n_jobs=${settings.nJobs},`,
+                ')',
+                '',
+                '# 지표별 평균 ± 표준편차 (neg_* 지표는 부호를 뒤집어 오차로 표시)',
+                `${varName}_metrics = {}`,
+                'for scorer, label, sign in [',
+                ...scoring.map(s => `    ('${s}', '${SCORER_LABELS[s]}', ${s.startsWith('neg_') ? -1 : 1}),`),
+                ']:',
+                `    scores = sign * ${varName}_results[f'test_{scorer}']`,
+                `    ${varName}_metrics[label] = scores.mean()`,
+                '    print(f"{label}: {scores.mean():.4f} ± {scores.std():.4f}")'
+            )
+            return lines.join('\n')
+        }
+    }
+})
@@ -0,0 +1,349 @@
+// 데이터 소스/분할 노드
+import { gzipSync, strToU8 } from 'fflate'
+import type { NodeData } from '../utils/pipelineToCode'
+import { defineNode, type CodegenContext, type NodeIssue, type ValidationContext } from './spec'
+
+// 업로드된 CSV 원문 (로직별로 분리된 데이터 사용, 없으면 null)
+export function readStoredCsv(fileName: string, logicId?: string): string | null {
+    const storageKey = logicId ? `csv_data_${logicId}_${fileName}` : `csv_data_global_${fileName}`
+    return typeof window !== 'undefined' ? localStorage.getItem(storageKey) : null
+}
+
+// 번들의 data/ 폴더에 넣을 파일 이름 (경로 구분자 제거)
+export function dataFileName(fileName: string): string {
+    return fileName.replace(/[\\/]/g, '_')
+}
+
+// DataLoader 코드의 컬럼명 정리와 같은 규칙 (업로드된 CSV의 원래 컬럼명 → 코드에서 쓰는 이름)
+export function cleanColumnName(name: string): string {
+    return name.split('(')[0].trim().replace(/#/g, '').replace(/ /g, '_').toLowerCase()
+}
+
+// 쉼표로 구분한 컬럼 목록 (csvColumns 컨트롤 값)
+export function parseColumnList(value: unknown): string[] {
+    const columns = String(value ?? '').split(',').map(c => cleanColumnName(c)).filter(Boolean)
+    return Array.from(new Set(columns))
+}
+
+// 날짜/시간 컬럼으로 볼 이름 (정리된 컬럼명 기준: date, order_date, created_at, 날짜 등)
+const DATE_COLUMN_PATTERN = /^(date|datetime|timestamp|time|ds|period)$|(^|_)(date|datetime|timestamp)(_|$)|_(at|dt)$|날짜|일자|일시|년월/
+
+// CSV 헤더에서 날짜 컬럼 감지 (시간 순서 분할/시계열 특성의 기본 선택)
+export function detectDateColumn(columns: string[]): string | undefined {
+    return columns.find(column => DATE_COLUMN_PATTERN.test(cleanColumnName(column)))
+}
+
+// 파이썬 문자열 리터럴 (작은따옴표)
+export function pyString(value: string): string {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+// 파이썬 리스트 리터럴 (['a', 'b'])
+export function pyList(values: string[]): string {
+    return `[${values.map(pyString).join(', ')}]`
+}
+
+// 데이터 위치
+// embedded: 업로드된 CSV를 gzip+base64로 코드에 포함 (업로드된 데이터가 없으면 파일 이름으로 읽음)
+// path: 코드 기준 상대 경로, url: URL 또는 $환경변수 (실행 시 지정)
+export type DataSource = 'embedded' | 'path' | 'url'
+
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i
+const ENV_PATTERN = /^\$([A-Za-z_]\w*)$/
+
+function readDataSource(node: NodeData): { source: DataSource; fileName: string; location: string } {
+    const c = node.controls || {}
+    const source: DataSource = c.source === 'path' || c.source === 'url' ? c.source : 'embedded'
+    return { source, fileName: c.fileName || 'data.csv', location: String(c.location ?? '').trim() }
+}
+
+function validateDataSource(node: NodeData): NodeIssue[] {
+    const { source, location } = readDataSource(node)
+    if (source === 'url') {
+        if (!location) return [{ code: 'missing-value', severity: 'warning', message: 'URL 또는 $환경변수를 입력해주세요.' }]
+        if (!URL_PATTERN.test(location) && !ENV_PATTERN.test(location)) {
+            return [{ code: 'invalid-value', severity: 'error', message: `'${location}' 은(는) URL(https://...) 또는 $환경변수 형식이어야 합니다.` }]
+        }
+        return []
+    }
+    const issues: NodeIssue[] = node.controls?.fileName ? [] : [
+        { code: 'missing-value', severity: 'warning', message: '데이터 파일을 선택해주세요.' }
+    ]
+    if (source === 'path' && /^([A-Za-z]:)?[\\/]/.test(location)) {
+        issues.push({ code: 'invalid-value', severity: 'warning', message: '절대 경로는 다른 환경에서 실행되지 않을 수 있습니다. 상대 경로를 사용해주세요.' })
+    }
+    return issues
+}
+
+function toBase64(bytes: Uint8Array): string {
+    if (typeof btoa === 'undefined') return Buffer.from(bytes).toString('base64')
+    // 큰 배열은 나눠서 문자열로 변환 (인자 개수 제한)
+    let binary = ''
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    }
+    return btoa(binary)
+}
+
+function dataLoaderCode({ node, varName, logicId, options, settings }: CodegenContext): string {
+    // exportGraph는 이미 .value를 추출해서 controls에 저장함
+    const { source, fileName, location } = readDataSource(node)
+    // 읽기 코드 뒤에 붙는 컬럼 정리와 요약 출력 (미리보기는 설정에서 끌 수 있음)
+    const preview = settings.showPreview ? `\nprint("\\nFirst 5 rows:")\nprint(${varName}.head())` : ''
+    const loaded = (header: string, loadedFrom: string = '') => `${header}
+
+# 컬럼명 정리 (공백 및 특수문자 제거)
+${varName}.columns = ${varName}.columns.str.strip()
+${varName}.columns = [col.split('(')[0].strip().replace('#', '').replace(' ', '_').lower() for col in ${varName}.columns]
+
+print(f"Data loaded${loadedFrom}: {${varName}.shape}")
+print(f"Columns: {${varName}.columns.tolist()}")${preview}`
+
+    if (source === 'url') {
+        const env = ENV_PATTERN.exec(location)
+        if (env) {
+            return loaded(`# Load Data from environment variable ${env[1]} (CSV 경로 또는 URL)
+${varName} = pd.read_csv(os.environ[${pyString(env[1])}])`)
+        }
+        return loaded(`# Load Data from URL: ${location}
+${varName} = pd.read_csv(${pyString(location)})`)
+    }
+
+    if (options.dataDir) {
+        // 프로젝트 번들: data/ 폴더의 CSV 파일을 읽음
+        return loaded(`# Load Data from ${options.dataDir}/${dataFileName(fileName)}
+${varName} = pd.read_csv(os.path.join(${options.dataDir}, '${dataFileName(fileName)}'))`)
+    }
+
+    if (source === 'path') {
+        const path = location || fileName
+        return loaded(`# Load Data from relative path: ${path} (코드 실행 위치 기준)
+${varName} = pd.read_csv(${pyString(path)})`)
+    }
+
+    // localStorage에서 실제 CSV 데이터 확인 (로직별로 분리된 데이터 사용)
+    const storedData = readStoredCsv(fileName, logicId)
+
+    if (storedData) {
+        // 업로드된 CSV를 gzip 압축 후 Base64로 포함 (미리보기에서는 압축하지 않고 크기만 표시)
+        const sizeKb = Math.ceil(strToU8(storedData).length / 1024)
+        const blob = options.omitEmbeddedData
+            ? `<${sizeKb} KB 내장 데이터 - 미리보기에서 생략>`
+            : toBase64(gzipSync(strToU8(storedData), { level: 9, mtime: 0 }))
+
+        return loaded(`# Load Data from uploaded CSV: ${fileName}
+import io
+import base64
+import zlib
+
+# Embedded CSV data (uploaded from browser, gzip + base64 · 원본 ${sizeKb} KB)
+csv_content = zlib.decompress(base64.b64decode('${blob}'), 16 + zlib.MAX_WBITS).decode('utf-8')
+${varName} = pd.read_csv(io.StringIO(csv_content))`, ` from ${fileName}`)
+    }
+
+    // 파일 경로만 있는 경우 (기존 방식)
+    return loaded(`# Load Data from file
+${varName} = pd.read_csv('${fileName}')`)
+}
+
+export const dataLoader = defineNode({
+    kind: 'dataLoader',
+    labels: { ko: '데이터 로더', en: 'Data Loader', aliases: ['DataLoader'] },
+    category: 'ml-source',
+    sidebar: { section: 'source', tip: 'CSV 파일에서 데이터 로드\n내장(압축) / 상대 경로 / URL·환경 변수 중 선택\n출력: data' },
+    outputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    controls: [
+        {
+            key: 'fileName', type: 'csvFile', initial: 'data.csv', placeholder: '📁 CSV 파일 선택...',
+            hint: { label: '데이터 파일', title: 'CSV 파일을 선택하거나 경로를 입력하세요' }
+        },
+        {
+            key: 'source', type: 'select', initial: 'embedded',
+            options: [
+                { value: 'embedded', label: '코드에 내장 (gzip 압축)' },
+                { value: 'path', label: '상대 경로' },
+                { value: 'url', label: 'URL / 환경 변수' }
+            ],
+            hint: { label: '데이터 위치', title: '내장: 업로드한 CSV를 압축해 코드에 포함\n상대 경로·URL: 실행 시 파일을 읽음 (큰 파일에 권장)' }
+        },
+        {
+            key: 'location', type: 'text', initial: '',
+            hint: { label: '경로 / URL', title: '상대 경로: 비우면 데이터 파일 이름 (예: data/train.csv)\nURL: https://... 또는 $환경변수 (예: $DATA_CSV)' }
+        }
+    ],
+    codegen: {
+        varName: 'data',
+        role: 'source',
+        validate: validateDataSource,
+        imports: node => {
+            const { source, location } = readDataSource(node)
+            return source === 'url' && ENV_PATTERN.test(location) ? ['import os'] : []
+        },
+        toCode: dataLoaderCode,
+        // URL/환경 변수는 실행 시 읽으므로 번들에 넣지 않음
+        dataFile: node => {
+            const { source, fileName } = readDataSource(node)
+            return source === 'url' ? undefined : fileName
+        }
+    }
+})
+
+// 학습 비율 입력값 (비어 있으면 undefined: 파이프라인 설정의 테스트 비율 사용)
+function readRatio(value: unknown): number | undefined {
+    // 숫자 입력을 지우면 NaN(저장 시 null)이 됨
+    if (typeof value === 'number') return Number.isNaN(value) ? undefined : value
+    return value === undefined || value === null || String(value).trim() === '' ? undefined : Number(value)
+}
+
+function validateDataSplit(node: NodeData, { requiresTarget }: ValidationContext): NodeIssue[] {
+    const c = node.controls || {}
+    const issues: NodeIssue[] = []
+    const ratio = readRatio(c.ratio)
+    if (ratio !== undefined && !(ratio > 0 && ratio < 1)) {
+        issues.push({ code: 'invalid-value', severity: 'error', message: `학습 비율은 0보다 크고 1보다 작아야 합니다. (현재: ${c.ratio})` })
+    }
+    // 군집/차원 축소 노드만 연결된 경우 타겟 컬럼 없이 분할
+    if (!c.targetColumn && requiresTarget()) {
+        issues.push({ code: 'missing-value', severity: 'warning', message: "타겟 컬럼을 선택해주세요. (미선택 시 'target')" })
+    }
+    if (c.dateColumn) {
+        if (c.targetColumn && cleanColumnName(String(c.dateColumn)) === cleanColumnName(String(c.targetColumn))) {
+            issues.push({ code: 'invalid-value', severity: 'error', message: '날짜 컬럼과 타겟 컬럼이 같습니다.' })
+        }
+        if (c.stratify === 'true') {
+            issues.push({ code: 'invalid-value', severity: 'warning', message: '시간 순서 분할에서는 층화 추출을 사용하지 않습니다.' })
+        }
+    }
+    return issues
+}
+
+// 시간 순서 분할: 날짜로 정렬해 앞부분은 훈련, 뒷부분은 테스트 (섞지 않음, 날짜 컬럼은 특성에서 제외)
+function timeSplitCode(varName: string, sourceVar: string, dateColumn: string, targetColumn: string | undefined, ratio: number): string {
+    const sorted = `${varName}_sorted`
+    const index = `${varName}_index`
+    const date = `${sorted}[${pyString(dateColumn)}]`
+    const lines = [
+        `# 훈련/테스트 데이터 분할 (시간 순서: '${dateColumn}' 기준, 섞지 않음)`,
+        ...(targetColumn ? [`# 목표 변수: '${targetColumn}'`] : []),
+        `${sorted} = ${sourceVar}.sort_values(${pyString(dateColumn)}, key=pd.to_datetime).reset_index(drop=True)`,
+        `${index} = int(len(${sorted}) * ${ratio.toFixed(2)})`
+    ]
+    if (targetColumn) {
+        lines.push(
+            `X = ${sorted}.drop(columns=${pyList([targetColumn, dateColumn])})`,
+            `y = ${sorted}[${pyString(targetColumn)}]`,
+            `X_train, X_test = X.iloc[:${index}], X.iloc[${index}:]`,
+            `y_train, y_test = y.iloc[:${index}], y.iloc[${index}:]`
+        )
+    } else {
+        lines.push(
+            `X = ${sorted}.drop(columns=${pyList([dateColumn])})`,
+            `X_train, X_test = X.iloc[:${index}], X.iloc[${index}:]`
+        )
+    }
+    lines.push(
+        `print(f"훈련 기간: {${date}.iloc[0]} ~ {${date}.iloc[${index} - 1]} ({${index}}개)")`,
+        `print(f"테스트 기간: {${date}.iloc[${index}]} ~ {${date}.iloc[-1]} ({len(${sorted}) - ${index}}개)")`
+    )
+    return lines.join('\n')
+}
+
+export const dataSplit = defineNode({
+    kind: 'dataSplit',
+    labels: { ko: '데이터 분할', en: 'Data Split', aliases: ['DataSplit'] },
+    category: 'ml-preprocessing',
+    sidebar: { section: 'preprocessing', tip: '훈련/테스트 데이터 분할 (날짜 컬럼 선택 시 시간 순서로 분할)\n입력: data\n출력: X_train, y_train, X_test, y_test' },
+    inputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    outputs: [
+        { key: 'train', socket: 'split', label: '훈련용' },
+        { key: 'test', socket: 'split', label: '테스트용' }
+    ],
+    controls: [
+        {
+            key: 'targetColumn', type: 'csvColumn', initial: 'target', placeholder: '🎯 타겟 컬럼 선택...',
+            hint: { label: '타겟 컬럼', title: '예측할 목표 변수의 컬럼명 (군집/차원 축소만 연결하면 비워둘 수 있음)' }
+        },
+        { key: 'ratio', type: 'number', initial: '', hint: { label: '학습 비율', title: '학습 데이터 비율 (0~1, 비워두면 파이프라인 설정의 테스트 비율 사용, 기본 0.8)' } },
+        {
+            key: 'stratify', type: 'select', initial: '',
+            options: [
+                { value: '', label: '기본 (파이프라인 설정)' },
+                { value: 'true', label: '사용' },
+                { value: 'false', label: '사용 안 함' }
+            ],
+            hint: { label: '층화 추출', title: '타겟 클래스 비율을 훈련/테스트에 동일하게 유지 (분류 전용)' }
+        },
+        {
+            key: 'dateColumn', type: 'csvColumn', initial: '', placeholder: '📅 날짜 컬럼 (시간 순서 분할)...',
+            autoSelect: detectDateColumn,
+            hint: { label: '날짜 컬럼', title: '선택하면 섞지 않고 날짜 순으로 앞부분은 훈련, 뒷부분은 테스트 (미래 데이터 누수 방지)' }
+        }
+    ],
+    codegen: {
+        varName: 'split',
+        requiredInputs: { inputs: ['data'], message: '데이터를 입력해주세요.' },
+        validate: validateDataSplit,
+        imports: node => node.controls?.dateColumn ? [] : ['from sklearn.model_selection import train_test_split'],
+        toCode: ({ node, varName, settings, seed, getSourceVarName, requiresTarget }) => {
+            const ratio = readRatio(node.controls?.ratio) ?? 1 - settings.testSize
+            const sourceVar = getSourceVarName('data')
+            const dateColumn = cleanColumnName(String(node.controls?.dateColumn ?? ''))
+            const targetColumn = node.controls?.targetColumn || requiresTarget() ? node.controls?.targetColumn || 'target' : undefined
+
+            if (dateColumn) return timeSplitCode(varName, sourceVar, dateColumn, targetColumn, ratio)
+
+            if (!targetColumn) {
+                return `# 훈련/테스트 데이터 분할 (비지도 학습: 목표 변수 없음)
+X = ${sourceVar}
+X_train, X_test = train_test_split(X, test_size=${(1 - ratio).toFixed(2)}, random_state=${seed})
+print(f"훈련 데이터: {len(X_train)}개, 테스트 데이터: {len(X_test)}개")`
+            }
+
+            const stratify = node.controls?.stratify ? node.controls.stratify === 'true' : settings.stratify
+
+            return `# 훈련/테스트 데이터 분할
+# 목표 변수: '${targetColumn}'
+X = ${sourceVar}.drop('${targetColumn}', axis=1)
+y = ${sourceVar}['${targetColumn}']
+X_train, X_test, y_train, y_test = train_test_split(
+    X, y, test_size=${(1 - ratio).toFixed(2)}, random_state=${seed}${stratify ? ', stratify=y' : ''}
+)
+print(f"훈련 데이터: {len(X_train)}개, 테스트 데이터: {len(X_test)}개")
+print(f"목표 변수: '${targetColumn}'")`
+        }
+    }
+})
+
+export const dropColumns = defineNode({
+    kind: 'dropColumns',
+    labels: { ko: '컬럼 제거', en: 'Drop Columns', aliases: ['DropColumns'] },
+    category: 'ml-preprocessing',
+    sidebar: { section: 'preprocessing', tip: 'ID/이름 등 학습에 쓰지 않을 컬럼 제거\n입력: data\n출력: data' },
+    inputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    controls: [
+        {
+            key: 'columns', type: 'csvColumns', initial: '',
+            hint: { label: '제거할 컬럼', title: '업로드된 CSV가 없으면 쉼표로 구분해 입력 (예: id,name)' }
+        }
+    ],
+    codegen: {
+        // 제거 후 데이터도 data2, data3...
+        varName: 'data',
+        requiredInputs: { inputs: ['data'], message: '데이터를 입력해주세요.' },
+        validate: node => parseColumnList(node.controls?.columns).length ? [] : [
+            { code: 'missing-value', severity: 'warning', message: '제거할 컬럼을 선택해주세요.' }
+        ],
+        toCode: ({ node, varName, getSourceVarName }) => {
+            const columns = parseColumnList(node.controls?.columns)
+            const sourceVar = getSourceVarName('data')
+            if (columns.length === 0) {
+                return `# 컬럼 제거: 선택된 컬럼 없음
+${varName} = ${sourceVar}.copy()`
+            }
+            return `# 컬럼 제거: ${columns.join(', ')}
+${varName} = ${sourceVar}.drop(columns=${pyList(columns)})
+print(f"컬럼 제거 후: {${varName}.shape}")`
+        }
+    }
+})
@@ -0,0 +1,146 @@
+// 예측/평가 노드
+import type { NodeData } from '../utils/pipelineToCode'
+import { defineNode, type CodegenContext } from './spec'
+
+// 평가 대상 모델 노드 (Evaluate/시각화 ← Predict ← 모델)
+export function evaluatedModel({ getSourceNode, contextOf }: CodegenContext): NodeData | undefined {
+    const predictNode = getSourceNode('prediction')
+    return predictNode ? contextOf(predictNode).getSourceNode('model') : undefined
+}
+
+// 테스트 데이터가 시간 순서로 분할되었는지 (전처리 노드를 거슬러 올라가 Data Split의 날짜 컬럼 확인)
+function isTimeSeriesSplit({ getSourceNode, contextOf }: CodegenContext): boolean {
+    const seen = new Set<string>()
+    let current = getSourceNode('test')
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id)
+        if (current.kind === 'dataSplit') return !!current.controls?.dateColumn
+        current = contextOf(current).getSourceNode('data')
+    }
+    return false
+}
+
+export const evaluate = defineNode({
+    kind: 'evaluate',
+    labels: { ko: '평가', en: 'Evaluate' },
+    category: 'ml-evaluation',
+    sidebar: {
+        section: 'evaluation',
+        label: 'Evaluate Model',
+        tip: '모델 성능 평가 (시간 순서 분할 시 MAPE/sMAPE 추가)\n옵션1: model + X_test + y_test\n옵션2: prediction + y_test\n출력: metrics'
+    },
+    inputs: [
+        { key: 'prediction', socket: 'prediction', label: '예측결과' },
+        { key: 'test', socket: 'split', label: '테스트용' }
+    ],
+    outputs: [{ key: 'metrics', socket: 'metrics', label: '평가결과' }],
+    codegen: {
+        varName: 'eval',
+        usesTarget: () => true,
+        requiredInputs: { inputs: ['prediction', 'test'], message: '예측결과와 테스트용 데이터를 모두 연결해주세요.' },
+        reportsResults: true,
+        comparisonLabel: ctx => {
+            const modelNode = evaluatedModel(ctx)
+            return modelNode ? ctx.describeModel(modelNode) : ctx.varName
+        },
+        imports: () => [
+            'from sklearn.metrics import accuracy_score, f1_score, classification_report, confusion_matrix',
+            'from sklearn.metrics import mean_squared_error, mean_absolute_error, r2_score'
+        ],
+        toCode: ctx => {
+            const { varName, getConnection, varNameOf, isRegression, describeModel } = ctx
+            // v4.0 단순화: 'test' 소켓 이름 사용
+            const predictionConn = getConnection('prediction')
+
+            if (!getConnection('test')) {
+                return `# ⚠️ Warning: Test data not connected to evaluate node\nprint("⚠️ 경고: 테스트용 데이터가 연결되지 않았습니다")`
+            }
+
+            if (!predictionConn) {
+                return `# ⚠️ Warning: No predictions connected to evaluate\nprint("⚠️ 경고: 예측 결과가 연결되지 않았습니다")`
+            }
+
+            // 모델 종류 확인 (회귀 vs 분류) - Evaluate ← Predict ← 모델 순으로 추적
+            const modelNode = evaluatedModel(ctx)
+            // 분기마다 예측/지표 변수를 따로 사용 (y_pred, y_pred2 ... / eval_metrics, eval2_metrics ...)
+            const predVar = `y_${varNameOf(predictionConn.source) || 'pred'}`
+            const metricsVar = `${varName}_metrics`
+            const modelLabel = modelNode ? describeModel(modelNode) : 'model'
+
+            if (isRegression(modelNode)) {
+                // 시간 순서 분할이면 예측(forecast) 지표 추가 (실제값이 0 근처일 때 나눗셈 보호)
+                const timeSeries = isTimeSeriesSplit(ctx)
+                return `# 모델 평가 (회귀${timeSeries ? ' · 시계열' : ''}) - ${modelLabel}
+${metricsVar} = {
+    'MSE': mean_squared_error(y_test, ${predVar}),
+    'RMSE': np.sqrt(mean_squared_error(y_test, ${predVar})),
+    'MAE': mean_absolute_error(y_test, ${predVar}),
+    'R2': r2_score(y_test, ${predVar}),${timeSeries ? `
+    'MAPE': np.mean(np.abs(y_test - ${predVar}) / np.maximum(np.abs(y_test), 1e-8)),
+    'sMAPE': np.mean(2 * np.abs(y_test - ${predVar}) / np.maximum(np.abs(y_test) + np.abs(${predVar}), 1e-8)),` : ''}
+}
+for name, value in ${metricsVar}.items():
+    print(f"{name}: {value:.4f}")`
+            }
+
+            return `# 모델 평가 (분류) - ${modelLabel}
+${metricsVar} = {
+    'Accuracy': accuracy_score(y_test, ${predVar}),
+    'F1 (weighted)': f1_score(y_test, ${predVar}, average='weighted'),
+}
+for name, value in ${metricsVar}.items():
+    print(f"{name}: {value:.4f}")
+print("\\nClassification Report:")
+print(classification_report(y_test, ${predVar}))
+print("\\nConfusion Matrix:")
+print(confusion_matrix(y_test, ${predVar}))`
+        }
+    }
+})
+
+export const predict = defineNode({
+    kind: 'predict',
+    labels: { ko: '예측', en: 'Predict' },
+    category: 'ml-prediction',
+    sidebar: { section: 'evaluation', tip: '새 데이터 예측\n입력: model, X_test\n출력: prediction' },
+    inputs: [
+        { key: 'model', socket: 'model', label: '모델' },
+        { key: 'test', socket: 'split', label: '테스트용' }
+    ],
+    outputs: [{ key: 'prediction', socket: 'prediction', label: '예측결과' }],
+    codegen: {
+        varName: 'pred',
+        requiredInputs: { inputs: ['model', 'test'], message: '모델과 테스트용 데이터를 모두 연결해주세요.' },
+        unusedOutput: '예측결과가 평가에 연결되지 않았습니다.',
+        toCode: ({ varName, getConnection, getSourceNode, varNameOf, contextOf, predictCode }) => {
+            // v4.0 단순화: 'model', 'test' 소켓 사용
+            const modelConn = getConnection('model')
+
+            if (!modelConn) {
+                return `# TODO: 모델을 연결해주세요
+y_${varName} = None
+print("⚠️ 경고: 모델이 연결되지 않음")`
+            }
+
+            if (!getConnection('test')) {
+                return `# TODO: 테스트용 데이터를 연결해주세요
+y_${varName} = None
+print("⚠️ 경고: 테스트 데이터가 연결되지 않음")`
+            }
+
+            const modelVar = varNameOf(modelConn.source) || 'model'
+            const predVar = `y_${varName}`
+            // 모델 노드가 예측 코드를 직접 만드는 경우 (Keras/PyTorch 신경망 등)
+            const modelNode = getSourceNode('model')
+            const custom = modelNode ? predictCode(modelNode, predVar) : null
+            if (custom) return custom
+
+            // 모델이 학습한 분기의 테스트 데이터 (script 모드에서 전처리 분기마다 변수가 다름)
+            const test = modelNode ? contextOf(modelNode).splitVars().test : 'X_test'
+            return `# 예측 수행 (${modelVar})
+${predVar} = ${modelVar}.predict(${test})
+print(f"예측 완료: {len(${predVar})}개 샘플")
+print(f"처음 10개 예측: {${predVar}[:10]}")`
+        }
+    }
+})
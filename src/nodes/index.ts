@@ -0,0 +1,100 @@
+// 노드 종류 레지스트리
+// 새 노드 종류는 spec 모듈에 defineNode로 정의하고 NODE_SPECS에 추가하면
+// 에디터 노드 생성, 라벨 역매핑, 사이드바/빠른 추가, 검증, 코드 생성에 모두 반영된다.
+import { group, note } from './canvas'
+import { crossValidate } from './crossValidation'
+import { dataLoader, dataSplit, dropColumns } from './data'
+import { evaluate, predict } from './evaluation'
+import { classifier, regressor } from './models'
+import { neuralNet } from './neuralNet'
+import { loadModel, saveModel } from './persistence'
+import { encoder, featureSelection, imputer, scaler } from './preprocessing'
+import type { NodeSpec, SidebarSection } from './spec'
+import { lagFeatures, rollingFeatures } from './timeSeries'
+import { hyperparamTune } from './tuning'
+import { cluster, reduceDimensions } from './unsupervised'
+import { confusionMatrixPlot, correlationHeatmap, featureImportance, learningCurve, residualPlot, rocCurve } from './visualization'
+
+export type { CodegenContext, ControlSpec, InputOrigin, NodeCodegen, NodeIssue, NodeSpec, PortSpec, SidebarSection, SplitVars, ValidationContext } from './spec'
+
+// 순서 = 사이드바/빠른 추가 표시 순서
+export const NODE_SPECS = [
+    // ML Pipeline Nodes
+    dataLoader,
+    dataSplit,
+    dropColumns,
+    imputer,
+    encoder,
+    scaler,
+    featureSelection,
+    lagFeatures,
+    rollingFeatures,
+    classifier,
+    regressor,
+    neuralNet,
+    cluster,
+    reduceDimensions,
+    evaluate,
+    predict,
+    crossValidate,
+    confusionMatrixPlot,
+    rocCurve,
+    residualPlot,
+    featureImportance,
+    learningCurve,
+    correlationHeatmap,
+    hyperparamTune,
+    saveModel,
+    loadModel,
+    // Canvas
+    group,
+    note
+]
+
+export type NodeKind = (typeof NODE_SPECS)[number]['kind']
+
+const SPECS_BY_KIND = new Map<string, NodeSpec>(NODE_SPECS.map(spec => [spec.kind, spec]))
+
+export const NODE_KINDS: NodeKind[] = NODE_SPECS.map(spec => spec.kind)
+
+export function isNodeKind(value: string): value is NodeKind {
+    return SPECS_BY_KIND.has(value)
+}
+
+export function getNodeSpec(kind: string): NodeSpec | undefined {
+    return SPECS_BY_KIND.get(kind)
+}
+
+// kind 별 표시 이름 [한국어, 영어(노드 라벨), 별칭...]
+export const NODE_KIND_LABELS = Object.fromEntries(
+    NODE_SPECS.map(spec => [spec.kind, [spec.labels.ko, spec.labels.en, ...(spec.labels.aliases || [])]])
+) as Record<NodeKind, string[]>
+
+// 라벨 문자열을 kind 로 역매핑 (과거 데이터 호환)
+export function labelToKind(label: string): NodeKind | undefined {
+    return NODE_KINDS.find(kind => NODE_KIND_LABELS[kind].includes(label))
+}
+
+// 사이드바 섹션 (표시 순서)
+export const SIDEBAR_SECTIONS: Array<{ id: SidebarSection; title: string }> = [
+    { id: 'source', title: '📊 Data Source' },
+    { id: 'preprocessing', title: '🔧 Preprocessing' },
+    { id: 'timeSeries', title: '⏱️ Time Series' },
+    { id: 'model', title: '🤖 Models' },
+    { id: 'unsupervised', title: '🧩 Unsupervised' },
+    { id: 'evaluation', title: '📈 Evaluation' },
+    { id: 'visualization', title: '🎨 Visualization' },
+    { id: 'optimization', title: '⚙️ Optimization' },
+    { id: 'persistence', title: '💾 Model I/O' },
+    { id: 'canvas', title: '🗂️ Canvas' }
+]
+
+// 사이드바에 표시할 섹션별 노드 목록
+export const SIDEBAR_GROUPS: Array<{ title: string; items: Array<{ kind: NodeKind; label: string; tip: string }> }> = SIDEBAR_SECTIONS
+    .map(section => ({
+        title: section.title,
+        items: NODE_SPECS
+            .filter(spec => spec.sidebar.section === section.id)
+            .map(spec => ({ kind: spec.kind, label: spec.sidebar.label || spec.labels.en, tip: spec.sidebar.tip }))
+    }))
+    .filter(group => group.items.length > 0)
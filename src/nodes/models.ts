@@ -0,0 +1,119 @@
+// 분류/회귀 모델 노드
+import { defineNode, type NodeCodegen } from './spec'
+
+// 모델 노드 공통 검증 (훈련 입력 필수, 학습된 모델 미사용 경고)
+export const MODEL_CODEGEN = {
+    role: 'model',
+    requiredInputs: { inputs: ['train'], message: '훈련용 데이터를 연결해주세요.' },
+    unusedOutput: '학습된 모델이 예측에 사용되지 않습니다.'
+} satisfies Partial<NodeCodegen>
+
+// seed: 난수 시드 파이썬 식
+const CLASSIFIERS: Record<string, (nEstimators: number, seed: string) => string> = {
+    RandomForest: (n, seed) => `RandomForestClassifier(n_estimators=${n}, random_state=${seed})`,
+    LogisticRegression: (_n, seed) => `LogisticRegression(random_state=${seed}, max_iter=1000)`,
+    SVM: (_n, seed) => `SVC(random_state=${seed})`,
+    DecisionTree: (_n, seed) => `DecisionTreeClassifier(random_state=${seed})`,
+    KNN: () => 'KNeighborsClassifier(n_neighbors=5)',
+    GradientBoosting: (n, seed) => `GradientBoostingClassifier(n_estimators=${n}, random_state=${seed})`
+}
+
+const REGRESSORS: Record<string, (seed: string) => string> = {
+    LinearRegression: () => 'LinearRegression()',
+    Ridge: seed => `Ridge(random_state=${seed})`,
+    Lasso: seed => `Lasso(random_state=${seed})`,
+    RandomForestRegressor: seed => `RandomForestRegressor(random_state=${seed})`,
+    SVR: () => 'SVR()',
+    GradientBoostingRegressor: seed => `GradientBoostingRegressor(random_state=${seed})`
+}
+
+export const classifier = defineNode({
+    kind: 'classifier',
+    labels: { ko: '분류기', en: 'Classifier' },
+    category: 'ml-model',
+    sidebar: { section: 'model', tip: '분류 모델 학습 (RandomForest, SVM 등)\n입력: X_train, y_train\n출력: model' },
+    inputs: [{ key: 'train', socket: 'split', label: '훈련용' }],
+    outputs: [{ key: 'model', socket: 'model', label: '모델' }],
+    controls: [
+        {
+            key: 'algorithm', type: 'select', initial: 'RandomForest',
+            options: [
+                { value: 'RandomForest', label: 'Random Forest (앙상블)' },
+                { value: 'LogisticRegression', label: 'Logistic Regression (선형)' },
+                { value: 'SVM', label: 'SVM (서포트 벡터 머신)' },
+                { value: 'DecisionTree', label: 'Decision Tree (의사결정 트리)' },
+                { value: 'KNN', label: 'K-Nearest Neighbors (KNN)' },
+                { value: 'GradientBoosting', label: 'Gradient Boosting (부스팅)' }
+            ],
+            hint: { label: '알고리즘', title: '분류 알고리즘 선택' }
+        },
+        { key: 'n_estimators', type: 'number', initial: 100, hint: { label: '트리 개수', title: 'RandomForest/GradientBoosting 전용' } }
+    ],
+    codegen: {
+        ...MODEL_CODEGEN,
+        varName: 'model',
+        imports: () => [
+            'from sklearn.ensemble import RandomForestClassifier, GradientBoostingClassifier',
+            'from sklearn.linear_model import LogisticRegression',
+            'from sklearn.svm import SVC',
+            'from sklearn.tree import DecisionTreeClassifier',
+            'from sklearn.neighbors import KNeighborsClassifier'
+        ],
+        toCode: ({ node, varName, seed, pipelineNote, wrapEstimator, splitVars }) => {
+            const algorithm = node.controls?.algorithm || 'RandomForest'
+            const nEstimators = node.controls?.n_estimators || 100
+            const modelCode = (CLASSIFIERS[algorithm] || CLASSIFIERS.RandomForest)(nEstimators, seed)
+            const { train } = splitVars()
+
+            return `# 모델 훈련 (${algorithm})${pipelineNote}
+${varName} = ${wrapEstimator(modelCode)}
+${varName}.fit(${train}, y_train)
+print("모델 훈련 완료: ${algorithm}")
+print(f"훈련 정확도: {${varName}.score(${train}, y_train):.4f}")`
+        }
+    }
+})
+
+export const regressor = defineNode({
+    kind: 'regressor',
+    labels: { ko: '회귀', en: 'Regressor' },
+    category: 'ml-model',
+    sidebar: { section: 'model', tip: '회귀 모델 학습 (LinearRegression 등)\n입력: X_train, y_train\n출력: model' },
+    inputs: [{ key: 'train', socket: 'split', label: '훈련용' }],
+    outputs: [{ key: 'model', socket: 'model', label: '모델' }],
+    controls: [
+        {
+            key: 'algorithm', type: 'select', initial: 'LinearRegression',
+            options: [
+                { value: 'LinearRegression', label: 'Linear Regression (선형 회귀)' },
+                { value: 'Ridge', label: 'Ridge (L2 정규화)' },
+                { value: 'Lasso', label: 'Lasso (L1 정규화)' },
+                { value: 'RandomForestRegressor', label: 'Random Forest Regressor' },
+                { value: 'SVR', label: 'SVR (서포트 벡터 회귀)' },
+                { value: 'GradientBoostingRegressor', label: 'Gradient Boosting Regressor' }
+            ],
+            hint: { label: '알고리즘', title: '회귀 알고리즘 선택' }
+        }
+    ],
+    codegen: {
+        ...MODEL_CODEGEN,
+        varName: 'model',
+        isRegression: () => true,
+        imports: () => [
+            'from sklearn.linear_model import LinearRegression, Ridge, Lasso',
+            'from sklearn.ensemble import RandomForestRegressor, GradientBoostingRegressor',
+            'from sklearn.svm import SVR'
+        ],
+        toCode: ({ node, varName, seed, pipelineNote, wrapEstimator, splitVars }) => {
+            const algorithm = node.controls?.algorithm || 'LinearRegression'
+            const modelCode = (REGRESSORS[algorithm] || REGRESSORS.LinearRegression)(seed)
+            const { train } = splitVars()
+
+            return `# 모델 훈련 (${algorithm})${pipelineNote}
+${varName} = ${wrapEstimator(modelCode)}
+${varName}.fit(${train}, y_train)
+print("모델 훈련 완료: ${algorithm}")
+print(f"훈련 R² 점수: {${varName}.score(${train}, y_train):.4f}")`
+        }
+    }
+})
@@ -0,0 +1,359 @@
+// 신경망 노드 (scikit-learn MLP / Keras / PyTorch)
+import type { NodeData } from '../utils/pipelineToCode'
+import { MODEL_CODEGEN } from './models'
+import { defineNode, type CodegenContext } from './spec'
+import { toInt, type TuningTask } from './tuning'
+
+export type NeuralBackend = 'sklearn' | 'keras' | 'pytorch'
+
+const NEURAL_ACTIVATIONS: Record<string, Record<NeuralBackend, string>> = {
+    relu: { sklearn: 'relu', keras: 'relu', pytorch: 'torch.nn.ReLU()' },
+    tanh: { sklearn: 'tanh', keras: 'tanh', pytorch: 'torch.nn.Tanh()' },
+    logistic: { sklearn: 'logistic', keras: 'sigmoid', pytorch: 'torch.nn.Sigmoid()' },
+    identity: { sklearn: 'identity', keras: 'linear', pytorch: 'torch.nn.Identity()' }
+}
+
+const NEURAL_OPTIMIZERS: Record<string, { keras: string; pytorch: string }> = {
+    adam: { keras: 'keras.optimizers.Adam', pytorch: 'torch.optim.Adam' },
+    sgd: { keras: 'keras.optimizers.SGD', pytorch: 'torch.optim.SGD' }
+}
+
+// 조기 종료 인내 에폭 수 (Keras/PyTorch 공통)
+const EARLY_STOPPING_PATIENCE = 10
+
+interface NeuralConfig {
+    task: TuningTask
+    backend: NeuralBackend
+    layers: number[]
+    activation: string
+    solver: string
+    learningRate: number
+    batchSize: number
+    epochs: number
+    earlyStopping: boolean
+    errors: string[]
+}
+
+/**
+ * NeuralNet 노드 컨트롤 → 신경망 설정 (검증 오류 포함)
+ */
+function readNeuralConfig(node: NodeData): NeuralConfig {
+    const c = node.controls || {}
+    const backend: NeuralBackend = c.backend === 'keras' || c.backend === 'pytorch' ? c.backend : 'sklearn'
+    const layerTokens = String(c.layers ?? '64,32').split(',').map(t => t.trim()).filter(Boolean)
+    const layers = layerTokens.map(Number)
+    const learningRate = c.learning_rate === undefined || c.learning_rate === '' ? 0.001 : Number(c.learning_rate)
+
+    const config: NeuralConfig = {
+        task: c.task === 'regression' ? 'regression' : 'classification',
+        backend,
+        layers,
+        activation: NEURAL_ACTIVATIONS[c.activation] ? c.activation : 'relu',
+        solver: ['adam', 'sgd', 'lbfgs'].includes(c.solver) ? c.solver : 'adam',
+        learningRate,
+        batchSize: toInt(c.batch_size, 32),
+        epochs: toInt(c.epochs, 50),
+        earlyStopping: c.early_stopping === true || c.early_stopping === 'true',
+        errors: []
+    }
+
+    if (layers.length === 0 || layers.some(n => !Number.isInteger(n) || n < 1)) {
+        config.errors.push(`은닉층은 "64,32"처럼 양의 정수를 쉼표로 구분해 입력하세요. (현재: '${c.layers ?? ''}')`)
+    }
+    if (config.epochs < 1) config.errors.push('에폭 수는 1 이상이어야 합니다.')
+    if (config.batchSize < 1) config.errors.push('배치 크기는 1 이상이어야 합니다.')
+    if (!(learningRate > 0)) config.errors.push('학습률은 0보다 커야 합니다.')
+    if (backend !== 'sklearn' && config.solver === 'lbfgs') {
+        config.errors.push('lbfgs 옵티마이저는 scikit-learn 백엔드에서만 사용할 수 있습니다.')
+    }
+    return config
+}
+
+/**
+ * Keras/PyTorch 신경망 입력 전처리
+ * pipeline 모드에서는 전처리 단계가 데이터를 바꾸지 않으므로 모델 앞 단계를 별도 Pipeline으로 묶어 적용
+ */
+function neuralPrepCode(ctx: CodegenContext): { fit: string[]; trainExpr: string; testExpr: string } {
+    const steps = ctx.pipelineMode ? ctx.preprocessingSteps() : []
+    if (steps.length === 0) {
+        const { train, test } = ctx.splitVars()
+        return { fit: [], trainExpr: train, testExpr: test }
+    }
+    return {
+        fit: [
+            `${ctx.varName}_prep = Pipeline([`,
+            ...steps.map(step => `    ('${step}', clone(${step})),`),
+            '])'
+        ],
+        trainExpr: `${ctx.varName}_prep.fit_transform(X_train, y_train)`,
+        testExpr: `${ctx.varName}_prep.transform(X_test)`
+    }
+}
+
+// Keras/PyTorch 신경망 예측 (분류는 클래스 인덱스를 원래 라벨로 복원, sklearn은 기본 .predict)
+function neuralPredictCode(ctx: CodegenContext, predVar: string): string | null {
+    const config = readNeuralConfig(ctx.node)
+    if (config.backend === 'sklearn') return null
+    const modelVar = ctx.varName
+    const isRegression = config.task === 'regression'
+    const { testExpr } = neuralPrepCode(ctx)
+    const lines = [
+        `# 예측 수행 (${modelVar} · ${config.backend === 'keras' ? 'Keras' : 'PyTorch'})`,
+        `X_test_nn = np.asarray(${testExpr}, dtype='float32')`
+    ]
+
+    if (config.backend === 'keras') {
+        lines.push(isRegression
+            ? `${predVar} = ${modelVar}.predict(X_test_nn, verbose=0).ravel()`
+            : `${predVar} = ${modelVar}_classes[np.argmax(${modelVar}.predict(X_test_nn, verbose=0), axis=1)]`)
+    } else {
+        lines.push(
+            `${modelVar}.eval()`,
+            'with torch.no_grad():',
+            `    ${modelVar}_output = ${modelVar}(torch.tensor(X_test_nn))`,
+            isRegression
+                ? `${predVar} = ${modelVar}_output.numpy().ravel()`
+                : `${predVar} = ${modelVar}_classes[${modelVar}_output.argmax(dim=1).numpy()]`
+        )
+    }
+    lines.push(
+        `print(f"예측 완료: {len(${predVar})}개 샘플")`,
+        `print(f"처음 10개 예측: {${predVar}[:10]}")`
+    )
+    return lines.join('\n')
+}
+
+// Keras/PyTorch 신경망 저장 (.keras 전체 모델 / .pt 가중치, 분류 라벨과 전처리도 함께), sklearn은 기본 joblib
+function neuralSaveCode(ctx: CodegenContext, pathVar: string): string | null {
+    const config = readNeuralConfig(ctx.node)
+    if (config.backend === 'sklearn') return null
+    const modelVar = ctx.varName
+    const lines = config.backend === 'keras'
+        ? [
+            `${modelVar}.save(f"{${pathVar}}.keras")`,
+            `print(f"모델 저장 완료: {${pathVar}}.keras")`
+        ]
+        : [
+            '# PyTorch는 가중치(state_dict)만 저장 → 불러올 때 같은 구조의 torch.nn.Sequential에 load_state_dict',
+            `torch.save(${modelVar}.state_dict(), f"{${pathVar}}.pt")`,
+            `print(f"모델 가중치 저장 완료: {${pathVar}}.pt")`
+        ]
+    if (config.task === 'classification') {
+        lines.push(`np.save(f"{${pathVar}}_classes.npy", ${modelVar}_classes, allow_pickle=True)`)
+    }
+    if (neuralPrepCode(ctx).fit.length) {
+        lines.push(`joblib.dump(${modelVar}_prep, f"{${pathVar}}_prep.joblib")`)
+    }
+    return lines.join('\n')
+}
+
+function neuralNetCode(ctx: CodegenContext): string {
+    const { node, varName, settings, seed, pipelineNote, wrapEstimator } = ctx
+    const config = readNeuralConfig(node)
+    const verbose = settings.verbosity === 'verbose'
+    const isRegression = config.task === 'regression'
+    const taskLabel = isRegression ? '회귀' : '분류'
+    const layerList = config.layers.join(', ')
+
+    if (config.backend === 'sklearn') {
+        const usesMiniBatch = config.solver !== 'lbfgs'
+        const args = [
+            `hidden_layer_sizes=(${layerList}${config.layers.length === 1 ? ',' : ''})`,
+            `activation='${NEURAL_ACTIVATIONS[config.activation].sklearn}'`,
+            `solver='${config.solver}'`,
+            // lbfgs는 전체 배치 최적화라 학습률/배치/조기 종료 옵션을 쓰지 않음
+            ...(usesMiniBatch ? [`learning_rate_init=${config.learningRate}`, `batch_size=${config.batchSize}`] : []),
+            `max_iter=${config.epochs}`,
+            ...(usesMiniBatch && config.earlyStopping ? ['early_stopping=True'] : []),
+            ...(verbose ? ['verbose=True'] : []),
+            `random_state=${seed}`
+        ]
+        const estimator = `${isRegression ? 'MLPRegressor' : 'MLPClassifier'}(${args.join(', ')})`
+        const { train } = ctx.splitVars()
+
+        return `# 신경망 모델 훈련 (scikit-learn · ${taskLabel})${pipelineNote}
+${varName} = ${wrapEstimator(estimator)}
+${varName}.fit(${train}, y_train)
+print("신경망 훈련 완료: [${layerList}] 레이어")
+print(f"${isRegression ? '훈련 R² 점수' : '훈련 정확도'}: {${varName}.score(${train}, y_train):.4f}")`
+    }
+
+    // Keras/PyTorch: 숫자 배열 입력, 분류 라벨은 0..k-1 인덱스로 변환
+    const prep = neuralPrepCode(ctx)
+    const lines = [
+        `# 신경망 모델 훈련 (${config.backend === 'keras' ? 'Keras' : 'PyTorch'} · ${taskLabel})`,
+        ...prep.fit,
+        `X_train_nn = np.asarray(${prep.trainExpr}, dtype='float32')`
+    ]
+    if (!isRegression) {
+        lines.push(
+            `${varName}_classes = np.unique(y_train)`,
+            `y_train_nn = np.searchsorted(${varName}_classes, y_train)`
+        )
+    } else {
+        lines.push(`y_train_nn = np.asarray(y_train, dtype='float32')`)
+    }
+    const outputSize = isRegression ? '1' : `len(${varName}_classes)`
+
+    if (config.backend === 'keras') {
+        const callbacks = config.earlyStopping
+            ? `\n    callbacks=[keras.callbacks.EarlyStopping(patience=${EARLY_STOPPING_PATIENCE}, restore_best_weights=True)],`
+            : ''
+        lines.push(
+            `keras.utils.set_random_seed(${seed})`,
+            `${varName} = keras.Sequential([`,
+            '    keras.Input(shape=(X_train_nn.shape[1],)),',
+            ...config.layers.map(units => `    keras.layers.Dense(${units}, activation='${NEURAL_ACTIVATIONS[config.activation].keras}'),`),
+            isRegression
+                ? `    keras.layers.Dense(1),`
+                : `    keras.layers.Dense(${outputSize}, activation='softmax'),`,
+            '])',
+            `${varName}.compile(`,
+            `    optimizer=${NEURAL_OPTIMIZERS[config.solver].keras}(learning_rate=${config.learningRate}),`,
+            isRegression
+                ? `    loss='mse',\n    metrics=['mae'],`
+                : `    loss='sparse_categorical_crossentropy',\n    metrics=['accuracy'],`,
+            ')',
+            `${varName}_history = ${varName}.fit(`,
+            '    X_train_nn, y_train_nn,',
+            `    epochs=${config.epochs},`,
+            `    batch_size=${config.batchSize},`,
+            `    validation_split=0.1,${callbacks}`,
+            `    verbose=${verbose ? 2 : 0},`,
+            ')',
+            `print(f"신경망 훈련 완료: [${layerList}] 레이어, {len(${varName}_history.history['loss'])} 에폭")`,
+            `print(f"최종 훈련 손실: {${varName}_history.history['loss'][-1]:.4f}")`
+        )
+        return lines.join('\n')
+    }
+
+    // PyTorch: 직접 작성한 미니배치 학습 루프
+    const sizes = ['X_train_nn.shape[1]', ...config.layers.map(String)]
+    const modules = config.layers.flatMap((units, i) => [
+        `    torch.nn.Linear(${sizes[i]}, ${units}),`,
+        `    ${NEURAL_ACTIVATIONS[config.activation].pytorch},`
+    ])
+    // 에폭 손실 출력: verbose는 매 에폭, normal은 10 에폭마다, quiet는 생략
+    const epochLog = `print(f"Epoch {epoch + 1}/${config.epochs} - loss: {epoch_loss:.4f}")`
+    const epochLogLines = settings.verbosity === 'quiet' ? []
+        : verbose ? [`    ${epochLog}`]
+            : ['    if (epoch + 1) % 10 == 0:', `        ${epochLog}`]
+    const earlyStopping = config.earlyStopping
+        ? `    # 조기 종료: ${EARLY_STOPPING_PATIENCE} 에폭 동안 손실이 줄지 않으면 중단
+    if epoch_loss < ${varName}_best_loss - 1e-4:
+        ${varName}_best_loss, ${varName}_wait = epoch_loss, 0
+    else:
+        ${varName}_wait += 1
+        if ${varName}_wait >= ${EARLY_STOPPING_PATIENCE}:
+            print(f"조기 종료: {epoch + 1} 에폭")
+            break`
+        : ''
+    lines.push(
+        `torch.manual_seed(${seed})`,
+        `${varName}_dataset = torch.utils.data.TensorDataset(`,
+        '    torch.tensor(X_train_nn),',
+        isRegression
+            ? '    torch.tensor(y_train_nn).view(-1, 1),'
+            : '    torch.tensor(y_train_nn, dtype=torch.long),',
+        ')',
+        `${varName}_loader = torch.utils.data.DataLoader(${varName}_dataset, batch_size=${config.batchSize}, shuffle=True)`,
+        `${varName} = torch.nn.Sequential(`,
+        ...modules,
+        `    torch.nn.Linear(${config.layers[config.layers.length - 1] ?? 'X_train_nn.shape[1]'}, ${outputSize}),`,
+        ')',
+        `${varName}_optimizer = ${NEURAL_OPTIMIZERS[config.solver].pytorch}(${varName}.parameters(), lr=${config.learningRate})`,
+        `${varName}_loss_fn = ${isRegression ? 'torch.nn.MSELoss()' : 'torch.nn.CrossEntropyLoss()'}`,
+        ...(config.earlyStopping ? [`${varName}_best_loss, ${varName}_wait = float('inf'), 0`] : []),
+        '',
+        `for epoch in range(${config.epochs}):`,
+        `    ${varName}.train()`,
+        '    epoch_loss = 0.0',
+        `    for xb, yb in ${varName}_loader:`,
+        `        ${varName}_optimizer.zero_grad()`,
+        `        loss = ${varName}_loss_fn(${varName}(xb), yb)`,
+        '        loss.backward()',
+        `        ${varName}_optimizer.step()`,
+        '        epoch_loss += loss.item() * len(xb)',
+        `    epoch_loss /= len(${varName}_dataset)`,
+        ...epochLogLines,
+        ...(earlyStopping ? [earlyStopping] : []),
+        '',
+        `print("신경망 훈련 완료: [${layerList}] 레이어")`
+    )
+    return lines.join('\n')
+}
+
+export const neuralNet = defineNode({
+    kind: 'neuralNet',
+    labels: { ko: '신경망', en: 'Neural Network', aliases: ['NeuralNet'] },
+    category: 'ml-model',
+    sidebar: { section: 'model', tip: '신경망 모델 학습 (scikit-learn / Keras / PyTorch)\n입력: X_train, y_train\n출력: model' },
+    inputs: [{ key: 'train', socket: 'split', label: '훈련용' }],
+    outputs: [{ key: 'model', socket: 'model', label: '모델' }],
+    controls: [
+        {
+            key: 'task', type: 'select', initial: 'classification',
+            options: [
+                { value: 'classification', label: '분류 (Classifier)' },
+                { value: 'regression', label: '회귀 (Regressor)' }
+            ],
+            hint: { label: '작업', title: '분류/회귀에 따라 출력층과 평가 지표가 달라집니다' }
+        },
+        {
+            key: 'backend', type: 'select', initial: 'sklearn',
+            options: [
+                { value: 'sklearn', label: 'scikit-learn (MLP)' },
+                { value: 'keras', label: 'Keras (TensorFlow)' },
+                { value: 'pytorch', label: 'PyTorch' }
+            ],
+            hint: { label: '프레임워크', title: 'Keras/PyTorch는 직접 학습 루프 코드를 생성합니다' }
+        },
+        { key: 'layers', type: 'text', initial: '64,32', hint: { label: '은닉층', title: '층별 뉴런 수 (예: 64,32)' } },
+        {
+            key: 'activation', type: 'select', initial: 'relu',
+            options: [
+                { value: 'relu', label: 'ReLU' },
+                { value: 'tanh', label: 'tanh' },
+                { value: 'logistic', label: 'Sigmoid (logistic)' },
+                { value: 'identity', label: 'Identity (선형)' }
+            ],
+            hint: { label: '활성화 함수' }
+        },
+        {
+            key: 'solver', type: 'select', initial: 'adam',
+            options: [
+                { value: 'adam', label: 'Adam' },
+                { value: 'sgd', label: 'SGD' },
+                { value: 'lbfgs', label: 'L-BFGS (scikit-learn 전용)' }
+            ],
+            hint: { label: '옵티마이저' }
+        },
+        { key: 'learning_rate', type: 'number', initial: 0.001, hint: { label: '학습률', title: 'lbfgs에서는 사용하지 않음' } },
+        { key: 'batch_size', type: 'number', initial: 32, hint: { label: '배치 크기', title: 'lbfgs에서는 사용하지 않음' } },
+        { key: 'epochs', type: 'number', initial: 50, hint: { label: '에폭', title: '최대 학습 반복 수' } },
+        {
+            key: 'early_stopping', type: 'select', initial: 'false',
+            options: [
+                { value: 'false', label: '사용 안 함' },
+                { value: 'true', label: '사용' }
+            ],
+            hint: { label: '조기 종료', title: '검증 손실(sklearn/Keras) 또는 훈련 손실(PyTorch)이 개선되지 않으면 중단' }
+        }
+    ],
+    codegen: {
+        ...MODEL_CODEGEN,
+        varName: 'nn',
+        isRegression: node => readNeuralConfig(node).task === 'regression',
+        isSklearnEstimator: node => readNeuralConfig(node).backend === 'sklearn',
+        validate: node => readNeuralConfig(node).errors.map(message => ({ code: 'invalid-value', severity: 'error', message })),
+        imports: node => {
+            const config = readNeuralConfig(node)
+            if (config.backend === 'keras') return ['from tensorflow import keras']
+            if (config.backend === 'pytorch') return ['import torch']
+            return [`from sklearn.neural_network import ${config.task === 'regression' ? 'MLPRegressor' : 'MLPClassifier'}`]
+        },
+        toCode: neuralNetCode,
+        predictCode: neuralPredictCode,
+        saveCode: neuralSaveCode
+    }
+})
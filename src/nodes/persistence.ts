@@ -0,0 +1,152 @@
+// 모델 저장/불러오기 노드 (joblib, 선택적으로 ONNX + 메타데이터 JSON)
+import type { NodeData } from '../utils/pipelineToCode'
+import { pyString } from './data'
+import { defineNode, type CodegenContext, type NodeIssue, type ValidationContext } from './spec'
+
+// 확장자 없는 저장 경로 (.joblib 등을 붙여 입력해도 허용)
+function basePath(value: unknown, fallback: string): string {
+    const path = String(value ?? '').trim().replace(/\.(joblib|pkl|onnx|json)$/i, '')
+    return path || fallback
+}
+
+// 모델 훈련 입력을 거슬러 올라가 Data Split의 타겟 컬럼 찾기 (메타데이터용)
+function targetColumnOf({ contextOf }: CodegenContext, model: NodeData): string | undefined {
+    const seen = new Set<string>()
+    let current = contextOf(model).getSourceNode('train')
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id)
+        if (current.controls && 'targetColumn' in current.controls) return current.controls.targetColumn || 'target'
+        current = contextOf(current).getSourceNode('data')
+    }
+    return undefined
+}
+
+function validateSaveModel(node: NodeData, { getSourceNode, isSklearnEstimator }: ValidationContext): NodeIssue[] {
+    const model = getSourceNode('model')
+    if (!model || isSklearnEstimator(model) || node.controls?.onnx !== 'true') return []
+    return [{ code: 'invalid-value', severity: 'warning', message: 'ONNX 변환은 scikit-learn 모델에만 적용됩니다. (Keras/PyTorch 신경망은 .keras/.pt로만 저장)' }]
+}
+
+export const saveModel = defineNode({
+    kind: 'saveModel',
+    labels: { ko: '모델 저장', en: 'Save Model', aliases: ['SaveModel'] },
+    category: 'ml-persistence',
+    sidebar: {
+        section: 'persistence',
+        tip: '학습된 모델을 파일로 저장 (joblib, 선택: ONNX · Keras는 .keras, PyTorch는 .pt)\n입력: model, metrics (선택)\n출력 파일: <경로>.joblib, <경로>.json (특성/타겟/지표)'
+    },
+    inputs: [
+        { key: 'model', socket: 'model', label: '모델' },
+        { key: 'metrics', socket: 'metrics', label: '평가결과' }
+    ],
+    controls: [
+        { key: 'path', type: 'text', initial: '', hint: { label: '저장 경로', title: '확장자 없이 입력 (비우면 models/<모델 변수명>)' } },
+        {
+            key: 'onnx', type: 'select', initial: 'false',
+            options: [
+                { value: 'false', label: 'joblib만' },
+                { value: 'true', label: 'joblib + ONNX (skl2onnx)' }
+            ],
+            hint: { label: '형식', title: 'ONNX 변환은 skl2onnx가 설치되어 있고 입력이 모두 수치형일 때 동작' }
+        }
+    ],
+    codegen: {
+        varName: 'saved',
+        requiredInputs: { inputs: ['model'], message: '저장할 모델을 연결해주세요.' },
+        validate: validateSaveModel,
+        imports: () => ['import os', 'import json', 'import joblib', 'import sklearn'],
+        toCode: ctx => {
+            const { node, varName, getSourceNode, varNameOf, describeModel, saveCode, contextOf } = ctx
+            const model = getSourceNode('model')
+            const modelVar = (model && varNameOf(model.id)) || 'model'
+            const path = basePath(node.controls?.path, `models/${modelVar}`)
+            const target = model ? targetColumnOf(ctx, model) : undefined
+            const metricsNode = getSourceNode('metrics')
+            const metricsVar = metricsNode && varNameOf(metricsNode.id)
+            // Keras/PyTorch 신경망은 모델 노드가 만든 저장 코드 사용 (joblib/ONNX 대상 아님)
+            const customSave = model ? saveCode(model, `${varName}_path`) : null
+
+            const lines = [
+                `# 모델 저장 - ${model ? describeModel(model) : modelVar}`,
+                `${varName}_path = ${pyString(path)}`,
+                `os.makedirs(os.path.dirname(${varName}_path) or '.', exist_ok=True)`,
+                ...(customSave ? [customSave] : [
+                    `joblib.dump(${modelVar}, f"{${varName}_path}.joblib")`,
+                    `print(f"모델 저장 완료: {${varName}_path}.joblib")`
+                ]),
+                '',
+                '# 메타데이터 (특성 이름, 타겟, 평가 지표) - 불러올 때 입력 형식 확인용',
+                `${varName}_meta = {`,
+                `    'model': type(${modelVar}).__name__,`,
+                `    'features': [str(name) for name in getattr(${modelVar}, 'feature_names_in_', [])],`,
+                `    'n_features': int(getattr(${modelVar}, 'n_features_in_', 0)),`,
+                `    'target': ${target ? pyString(target) : 'None'},`,
+                `    'metrics': ${metricsVar ? `{name: float(value) for name, value in ${metricsVar}_metrics.items()}` : '{}'},`,
+                `    'sklearn_version': sklearn.__version__,`,
+                '}',
+                `with open(f"{${varName}_path}.json", 'w', encoding='utf-8') as f:`,
+                `    json.dump(${varName}_meta, f, ensure_ascii=False, indent=2)`,
+                `print(f"메타데이터 저장 완료: {${varName}_path}.json")`
+            ]
+
+            if (node.controls?.onnx === 'true' && !customSave) {
+                // 입력 형식은 모델이 학습한 분기의 훈련 데이터 기준
+                const train = model ? contextOf(model).splitVars().train : 'X_train'
+                // skl2onnx는 선택 의존성이라 실패해도 joblib 저장 결과는 유지
+                lines.push(
+                    '',
+                    '# ONNX 변환 (수치형 입력 기준, 변환할 수 없는 모델은 건너뜀)',
+                    'try:',
+                    '    from skl2onnx import to_onnx',
+                    `    ${varName}_onnx = to_onnx(${modelVar}, np.asarray(${train}[:1], dtype=np.float32))`,
+                    `    with open(f"{${varName}_path}.onnx", 'wb') as f:`,
+                    `        f.write(${varName}_onnx.SerializeToString())`,
+                    `    print(f"ONNX 저장 완료: {${varName}_path}.onnx")`,
+                    'except Exception as e:',
+                    '    print(f"ONNX 변환을 건너뜁니다: {e}")'
+                )
+            }
+            return lines.join('\n')
+        }
+    }
+})
+
+export const loadModel = defineNode({
+    kind: 'loadModel',
+    labels: { ko: '모델 불러오기', en: 'Load Model', aliases: ['LoadModel'] },
+    category: 'ml-persistence',
+    sidebar: {
+        section: 'persistence',
+        tip: 'Save Model로 저장한 scikit-learn 모델(.joblib) 불러오기 (재학습 없음)\n출력: model (Predict에 연결)'
+    },
+    outputs: [{ key: 'model', socket: 'model', label: '모델' }],
+    controls: [
+        { key: 'path', type: 'text', initial: 'models/model', hint: { label: '모델 경로', title: 'Save Model의 저장 경로 (확장자 없이)' } },
+        {
+            key: 'task', type: 'select', initial: 'classification',
+            options: [
+                { value: 'classification', label: '분류' },
+                { value: 'regression', label: '회귀' }
+            ],
+            hint: { label: '작업 유형', title: 'Evaluate 노드의 평가 지표 선택에 사용' }
+        }
+    ],
+    codegen: {
+        varName: 'loaded_model',
+        isRegression: node => node.controls?.task === 'regression',
+        imports: () => ['import os', 'import json', 'import joblib'],
+        toCode: ({ node, varName }) => {
+            const path = basePath(node.controls?.path, 'models/model')
+
+            return `# 저장된 모델 불러오기 (재학습 없음)
+${varName}_path = ${pyString(path)}
+${varName} = joblib.load(f"{${varName}_path}.joblib")
+print(f"모델 불러오기 완료: {type(${varName}).__name__}")
+if os.path.exists(f"{${varName}_path}.json"):
+    with open(f"{${varName}_path}.json", encoding='utf-8') as f:
+        ${varName}_meta = json.load(f)
+    print(f"입력 특성: {${varName}_meta['features'] or ${varName}_meta['n_features']}")
+    print(f"저장 당시 지표: {${varName}_meta['metrics']}")`
+        }
+    }
+})
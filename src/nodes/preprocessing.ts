@@ -0,0 +1,285 @@
+// 전처리 노드 (pipeline 모드에서는 모델 앞 단계로 묶임, Data Split 앞에 연결하면 데이터프레임 전체를 변환)
+import { parseColumnList, pyList, pyString } from './data'
+import { defineNode, type CodegenContext, type NodeIssue, type ValidationContext } from './spec'
+
+const COLUMN_TRANSFORMER_IMPORT = 'from sklearn.compose import ColumnTransformer, make_column_selector'
+
+// 선택한 컬럼(없으면 dtype 기준 선택자)에만 적용하고 나머지 컬럼은 그대로 통과
+// 결과를 DataFrame으로 유지해 뒤 노드가 컬럼 이름으로 선택할 수 있게 함
+function columnTransformer(name: string, transformer: string, columns: string[], fallback: string): string {
+    return `ColumnTransformer(
+    [('${name}', ${transformer}, ${columns.length ? pyList(columns) : fallback})],
+    remainder='passthrough',
+    verbose_feature_names_out=False
+).set_output(transform='pandas')`
+}
+
+// 파이썬 정규식에서 글자 그대로 일치하도록 이스케이프
+function escapeRegex(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// dtype 기준 컬럼 선택자 (exclude: 이름이 정확히 같은 컬럼 제외, 예: 타겟 컬럼)
+function columnSelector(dtype: string | null, exclude: string[] = []): string {
+    const args = [
+        ...(exclude.length ? [`pattern=${pyString(`^(?!(${exclude.map(escapeRegex).join('|')})$)`)}`] : []),
+        ...(dtype ? [`dtype_include=${dtype}`] : [])
+    ]
+    return `make_column_selector(${args.join(', ')})`
+}
+
+// Data Split 앞(데이터프레임)에 연결된 전처리: 훈련/테스트 구분 없이 데이터프레임 전체를 변환
+function isDataFrameInput({ inputOrigin }: CodegenContext): boolean {
+    const origin = inputOrigin()
+    return !!origin && origin.socket !== 'split'
+}
+
+// 데이터프레임 변환 결과 변수 (뒤 노드가 입력으로 사용)
+function frameOutputVar(ctx: CodegenContext): string | undefined {
+    return isDataFrameInput(ctx) ? `${ctx.varName}_data` : undefined
+}
+
+// 데이터프레임 모드: 전체 데이터로 학습 후 변환 (타겟 컬럼은 선택자에서 제외)
+function frameTransformCode({ varName, inputOrigin }: CodegenContext, summary: string): string {
+    return `${varName}_data = ${varName}.fit_transform(${inputOrigin()!.varName})
+print(${summary})`
+}
+
+// 타겟(y_train)이 필요한 전처리는 Data Split 뒤에서만 사용 가능
+function requireSplitInput({ isDataFrameInput }: ValidationContext, message: string): NodeIssue[] {
+    return isDataFrameInput() ? [{ code: 'invalid-value', severity: 'error', message }] : []
+}
+
+// script 모드: 입력 분기의 훈련 데이터로 학습 후 이 노드 전용 변수(X_train_<변수명>/X_test_<변수명>)에 저장
+// 전역 X_train/X_test는 그대로 두어 같은 Data Split의 다른 분기에 영향을 주지 않음
+function fitTransformCode({ varName, splitVars }: CodegenContext, summary: string, withTarget = false): string {
+    const { train, test } = splitVars()
+    return `X_train_${varName} = ${varName}.fit_transform(${train}${withTarget ? ', y_train' : ''})
+X_test_${varName} = ${varName}.transform(${test})
+print(${summary})`
+}
+
+export const scaler = defineNode({
+    kind: 'scaler',
+    labels: { ko: '정규화', en: 'Scaler' },
+    category: 'ml-preprocessing',
+    sidebar: { section: 'preprocessing', tip: '데이터 정규화 (StandardScaler/MinMaxScaler)\n입력: X_train\n출력: X_train (정규화됨)' },
+    inputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    controls: [
+        {
+            key: 'method', type: 'select', initial: 'StandardScaler',
+            options: [
+                { value: 'StandardScaler', label: 'StandardScaler (평균 0, 분산 1)' },
+                { value: 'MinMaxScaler', label: 'MinMaxScaler (0~1 범위)' },
+                { value: 'RobustScaler', label: 'RobustScaler (이상치 강건)' },
+                { value: 'MaxAbsScaler', label: 'MaxAbsScaler (-1~1 범위)' }
+            ],
+            hint: { label: 'Scaler 방법', title: '데이터 스케일링 방법을 선택하세요' }
+        }
+    ],
+    codegen: {
+        varName: 'scaler',
+        role: 'preprocessing',
+        imports: (_node, options) => [
+            ...(options.mode === 'pipeline' ? [COLUMN_TRANSFORMER_IMPORT] : []),
+            'from sklearn.preprocessing import StandardScaler, MinMaxScaler, RobustScaler, MaxAbsScaler'
+        ],
+        outputVar: frameOutputVar,
+        toCode: ctx => {
+            const { node, varName, pipelineMode } = ctx
+            const method = node.controls?.method || 'StandardScaler'
+
+            if (isDataFrameInput(ctx)) {
+                // 타겟 컬럼을 뺀 수치형 컬럼만 스케일링
+                return `# 데이터 스케일링 (${method}) - Data Split 전 데이터 전체
+${varName} = ${method}()
+${varName}_data = ${ctx.inputOrigin()!.varName}.copy()
+${varName}_columns = [c for c in ${varName}_data.select_dtypes(include=np.number).columns if c not in ${pyList(ctx.targetColumns())}]
+${varName}_data[${varName}_columns] = ${varName}.fit_transform(${varName}_data[${varName}_columns])
+print(f"${method}로 {len(${varName}_columns)}개 컬럼 스케일링 완료")`
+            }
+
+            if (pipelineMode) {
+                // 수치형 컬럼만 스케일링하고 나머지는 그대로 통과
+                return `# 데이터 스케일링 단계 정의 (${method}) - 모델 파이프라인에서 사용
+${varName} = ColumnTransformer(
+    [('num', ${method}(), make_column_selector(dtype_include=np.number))],
+    remainder='passthrough'
+)`
+            }
+
+            return `# 데이터 스케일링 (${method})
+${varName} = ${method}()
+${fitTransformCode(ctx, `f"${method}로 스케일링 완료: 훈련 데이터 크기 {X_train_${varName}.shape}"`)}`
+        }
+    }
+})
+
+export const featureSelection = defineNode({
+    kind: 'featureSelection',
+    labels: { ko: '피처 선택', en: 'Feature Selection', aliases: ['FeatureSelection'] },
+    category: 'ml-preprocessing',
+    sidebar: { section: 'preprocessing', tip: '중요한 피처만 선택\n입력: X_train, y_train\n출력: X_train (선택된 피처)' },
+    inputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    controls: [
+        { key: 'method', type: 'text', initial: 'SelectKBest' },
+        { key: 'k', type: 'number', initial: 10 }
+    ],
+    codegen: {
+        varName: 'selector',
+        role: 'preprocessing',
+        usesTarget: () => true,
+        validate: (_node, ctx) => requireSplitInput(ctx, '특성 선택은 타겟이 필요하므로 Data Split 뒤에 연결해주세요.'),
+        imports: () => ['from sklearn.feature_selection import SelectKBest, f_classif'],
+        toCode: ctx => {
+            const { node, varName, pipelineMode } = ctx
+            const method = node.controls?.method || 'SelectKBest'
+            const k = node.controls?.k || 10
+
+            if (pipelineMode) {
+                return `# 특성 선택 단계 정의 (${method}) - 모델 파이프라인에서 사용
+${varName} = ${method}(k=${k})`
+            }
+
+            return `# 특성 선택 (${method})
+${varName} = ${method}(k=${k})
+${fitTransformCode(ctx, `f"{${ctx.splitVars().train}.shape[1]}개 특성 중 {X_train_${varName}.shape[1]}개 선택"`, true)}`
+        }
+    }
+})
+
+const IMPUTERS: Record<string, { label: string; transformer: (fillValue: string) => string; numericOnly: boolean }> = {
+    mean: { label: '평균 (mean)', transformer: () => "SimpleImputer(strategy='mean')", numericOnly: true },
+    median: { label: '중앙값 (median)', transformer: () => "SimpleImputer(strategy='median')", numericOnly: true },
+    most_frequent: { label: '최빈값 (most_frequent)', transformer: () => "SimpleImputer(strategy='most_frequent')", numericOnly: false },
+    constant: {
+        label: '상수 (constant)',
+        transformer: fillValue => {
+            if (!fillValue) return "SimpleImputer(strategy='constant')"
+            const literal = /^-?(\d+\.?\d*|\.\d+)$/.test(fillValue) ? fillValue : pyString(fillValue)
+            return `SimpleImputer(strategy='constant', fill_value=${literal})`
+        },
+        numericOnly: false
+    },
+    knn: { label: 'KNN (이웃 5개)', transformer: () => 'KNNImputer(n_neighbors=5)', numericOnly: true }
+}
+
+export const imputer = defineNode({
+    kind: 'imputer',
+    labels: { ko: '결측치 처리', en: 'Imputer', aliases: ['SimpleImputer'] },
+    category: 'ml-preprocessing',
+    sidebar: { section: 'preprocessing', tip: '결측치(빈 값) 채우기 (평균/중앙값/최빈값/상수/KNN)\n입력: data 또는 X_train\n출력: 결측치 처리된 데이터' },
+    inputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    controls: [
+        {
+            key: 'strategy', type: 'select', initial: 'median',
+            options: Object.entries(IMPUTERS).map(([value, imputer]) => ({ value, label: imputer.label })),
+            hint: { label: '채우기 방법', title: '평균/중앙값/KNN은 수치형 컬럼 전용' }
+        },
+        { key: 'fillValue', type: 'text', initial: '', hint: { label: '채울 값', title: 'constant 전용 (비우면 숫자 0 / 문자 missing)' } },
+        {
+            key: 'columns', type: 'csvColumns', initial: '',
+            hint: { label: '대상 컬럼', title: '비우면 수치형 컬럼 전체 (최빈값/상수는 모든 컬럼)' }
+        }
+    ],
+    codegen: {
+        varName: 'imputer',
+        role: 'preprocessing',
+        imports: node => [
+            COLUMN_TRANSFORMER_IMPORT,
+            node.controls?.strategy === 'knn' ? 'from sklearn.impute import KNNImputer' : 'from sklearn.impute import SimpleImputer'
+        ],
+        outputVar: frameOutputVar,
+        toCode: ctx => {
+            const { node, varName, pipelineMode } = ctx
+            const strategy = IMPUTERS[node.controls?.strategy] ? String(node.controls?.strategy) : 'median'
+            const config = IMPUTERS[strategy]
+            const columns = parseColumnList(node.controls?.columns)
+            const frame = isDataFrameInput(ctx)
+            const fallback = columnSelector(config.numericOnly ? 'np.number' : null, frame ? ctx.targetColumns() : [])
+            const definition = `${varName} = ${columnTransformer('impute', config.transformer(String(node.controls?.fillValue ?? '').trim()), columns, fallback)}`
+
+            if (frame) {
+                return `# 결측치 처리 (${strategy}) - Data Split 전 데이터 전체
+${definition}
+${frameTransformCode(ctx, `f"결측치 처리 완료: 남은 결측치 {${varName}_data.isna().sum().sum()}개"`)}`
+            }
+
+            if (pipelineMode) {
+                return `# 결측치 처리 단계 정의 (${strategy}) - 모델 파이프라인에서 사용
+${definition}`
+            }
+
+            return `# 결측치 처리 (${strategy})
+${definition}
+${fitTransformCode(ctx, `f"결측치 처리 완료: 남은 결측치 {X_train_${varName}.isna().sum().sum()}개"`)}`
+        }
+    }
+})
+
+const ENCODERS: Record<string, { label: string; className: string; init: (seed: string) => string }> = {
+    onehot: { label: 'One-Hot', className: 'OneHotEncoder', init: () => "handle_unknown='ignore', sparse_output=False" },
+    ordinal: { label: 'Ordinal (순서 번호)', className: 'OrdinalEncoder', init: () => "handle_unknown='use_encoded_value', unknown_value=-1" },
+    target: { label: 'Target (타겟 평균)', className: 'TargetEncoder', init: seed => `random_state=${seed}` }
+}
+
+export const encoder = defineNode({
+    kind: 'encoder',
+    labels: { ko: '범주형 인코딩', en: 'Encoder', aliases: ['CategoricalEncoder'] },
+    category: 'ml-preprocessing',
+    sidebar: { section: 'preprocessing', tip: '문자열/범주형 컬럼을 숫자로 변환 (One-Hot/Ordinal/Target)\n입력: data 또는 X_train (Target 인코딩은 X_train, y_train)\n출력: 인코딩된 데이터' },
+    inputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    controls: [
+        {
+            key: 'method', type: 'select', initial: 'onehot',
+            options: Object.entries(ENCODERS).map(([value, encoder]) => ({ value, label: encoder.label })),
+            hint: { label: '인코딩 방법', title: 'Target 인코딩은 교차 적합으로 타겟 누수를 줄입니다 (scikit-learn 1.3+)' }
+        },
+        {
+            key: 'columns', type: 'csvColumns', initial: '',
+            hint: { label: '대상 컬럼', title: '비우면 문자열/범주형 컬럼 전체' }
+        }
+    ],
+    codegen: {
+        varName: 'encoder',
+        role: 'preprocessing',
+        usesTarget: node => node.controls?.method === 'target',
+        validate: (node, ctx) => node.controls?.method === 'target'
+            ? requireSplitInput(ctx, 'Target 인코딩은 타겟이 필요하므로 Data Split 뒤에 연결해주세요.')
+            : [],
+        imports: node => [
+            COLUMN_TRANSFORMER_IMPORT,
+            `from sklearn.preprocessing import ${(ENCODERS[node.controls?.method] || ENCODERS.onehot).className}`
+        ],
+        outputVar: frameOutputVar,
+        toCode: ctx => {
+            const { node, varName, pipelineMode } = ctx
+            const method = ENCODERS[node.controls?.method] ? String(node.controls?.method) : 'onehot'
+            const { className, init } = ENCODERS[method]
+            const columns = parseColumnList(node.controls?.columns)
+            const frame = isDataFrameInput(ctx)
+            const fallback = columnSelector("['object', 'category']", frame ? ctx.targetColumns() : [])
+            const definition = `${varName} = ${columnTransformer('encode', `${className}(${init(ctx.seed)})`, columns, fallback)}`
+
+            if (frame) {
+                return `# 범주형 인코딩 (${className}) - Data Split 전 데이터 전체
+${definition}
+${frameTransformCode(ctx, `f"인코딩 완료: {${varName}_data.shape[1]}개 컬럼"`)}`
+            }
+
+            if (pipelineMode) {
+                return `# 범주형 인코딩 단계 정의 (${className}) - 모델 파이프라인에서 사용
+${definition}`
+            }
+
+            // Target 인코딩은 타겟 값이 필요하므로 y_train도 전달
+            return `# 범주형 인코딩 (${className})
+${definition}
+${fitTransformCode(ctx, `f"인코딩 완료: {X_train_${varName}.shape[1]}개 특성"`, method === 'target')}`
+        }
+    }
+})
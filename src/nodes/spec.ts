@@ -0,0 +1,150 @@
+// 노드 종류 정의 (레지스트리 항목)
+// 한 노드 종류가 에디터(포트/컨트롤/라벨), 사이드바, 검증, 코드 생성에 필요한 정보를 한 곳에 선언한다.
+import type { SocketType } from '../rete/sockets'
+import type { CodegenOptions, ConnectionData, NodeData, PipelineIssue, PipelineSettings } from '../utils/pipelineToCode'
+
+export interface PortSpec {
+    key: string
+    socket: SocketType
+    label: string
+}
+
+export interface ControlOption {
+    value: string
+    label: string
+}
+
+// csvFile/csvColumn: 업로드된 CSV 파일/컬럼 드롭다운 (업로드된 것이 없으면 initial 값의 텍스트 입력)
+// csvColumns: 여러 컬럼 체크박스 목록 (값은 쉼표로 구분, 업로드된 것이 없으면 텍스트 입력)
+export interface ControlSpec {
+    key: string
+    type: 'text' | 'number' | 'select' | 'csvFile' | 'csvColumn' | 'csvColumns'
+    initial: string | number
+    options?: ControlOption[]       // select 전용
+    placeholder?: string            // csvFile/csvColumn 드롭다운의 빈 선택 항목
+    autoSelect?: (columns: string[]) => string | undefined  // csvColumn 드롭다운의 기본 선택 (새로 만든 노드만, 예: 날짜 컬럼 감지)
+    hint?: { label: string; title?: string }
+}
+
+export type SidebarSection = 'source' | 'preprocessing' | 'timeSeries' | 'model' | 'unsupervised' | 'evaluation' | 'visualization' | 'optimization' | 'persistence' | 'canvas'
+
+// 노드 검증 결과 (메시지 앞의 노드 라벨과 nodeId는 검증기가 붙임)
+export type NodeIssue = Pick<PipelineIssue, 'code' | 'severity' | 'message'>
+
+// 검증 중 연결된 노드 조회 (다른 노드에 따라 달라지는 규칙용)
+export interface ValidationContext {
+    // from: 다른 노드의 입력 조회 (예: 연결된 Predict 노드의 모델)
+    getSourceNode: (inputKey: string, from?: NodeData) => NodeData | undefined
+    isRegression: (node: NodeData | undefined) => boolean
+    isSklearnEstimator: (node: NodeData) => boolean
+    // 아래쪽에 목표 변수가 필요한 노드(지도 학습 모델 등)가 연결되어 있는지
+    requiresTarget: () => boolean
+    // 입력이 Data Split 앞의 데이터프레임인지 (전처리 노드를 거슬러 올라가 확인)
+    isDataFrameInput: () => boolean
+}
+
+// 전처리 노드를 거슬러 올라간 입력의 출처 (Data Split 출력 또는 데이터프레임)
+// 데이터프레임을 직접 변환한 전처리 체인이면 바로 앞 노드 (socket: 'dataframe')
+export interface InputOrigin {
+    varName: string
+    output: string
+    socket?: SocketType
+}
+
+// script 모드에서 노드가 읽을 분할 데이터 변수 (분기마다 따로: 전처리 노드는 X_train_<변수명>/X_test_<변수명>을 만듦)
+export interface SplitVars {
+    train: string
+    test: string
+}
+
+/**
+ * 노드 하나의 코드 생성 컨텍스트 (연결/변수명 조회와 모드별 보조 함수)
+ */
+export interface CodegenContext {
+    node: NodeData
+    varName: string
+    logicId?: string
+    options: CodegenOptions
+    // 로직별 파이프라인 설정
+    settings: PipelineSettings
+    // 난수 시드 파이썬 식 (random_state= 등에 그대로 사용, CodegenOptions.seed 또는 설정의 seed)
+    seed: string
+    pipelineMode: boolean
+    // pipeline 모드에서 모델 코드 첫 주석 뒤에 붙는 안내 (script 모드는 빈 문자열)
+    pipelineNote: string
+    getConnection: (inputKey: string) => ConnectionData | undefined
+    getSourceNode: (inputKey: string) => NodeData | undefined
+    getSourceVarName: (inputKey: string) => string
+    varNameOf: (nodeId: string) => string | undefined
+    // 훈련(또는 데이터) 입력까지 거슬러 올라간 전처리 단계 변수명 (실행 순서)
+    preprocessingSteps: () => string[]
+    inputOrigin: () => InputOrigin | undefined
+    // 훈련(또는 데이터) 입력 분기의 마지막 전처리 결과 (전처리가 없거나 pipeline 모드면 X_train/X_test)
+    splitVars: () => SplitVars
+    requiresTarget: () => boolean
+    // 아래쪽 Data Split 등이 쓰는 타겟 컬럼
+    targetColumns: () => string[]
+    // pipeline 모드에서는 전처리 단계를 앞에 붙인 Pipeline으로 감쌈
+    wrapEstimator: (estimator: string) => string
+    // 다른 노드 기준 컨텍스트 (예: Predict에서 연결된 모델 노드)
+    contextOf: (node: NodeData) => CodegenContext
+    isRegression: (node: NodeData | undefined) => boolean
+    // 비교표/주석에 쓰는 모델 이름 (예: "model2 (LogisticRegression)")
+    describeModel: (node: NodeData) => string
+    // 모델 노드가 직접 만드는 예측 코드 (없으면 null: 기본 .predict 사용)
+    predictCode: (modelNode: NodeData, predVar: string) => string | null
+    // 모델 노드가 직접 만드는 저장 코드 (없으면 null: joblib.dump 사용)
+    saveCode: (modelNode: NodeData, pathVar: string) => string | null
+}
+
+export interface NodeCodegen {
+    // 변수명 기본값 (같은 이름이 여러 번 쓰이면 2, 3... 번호)
+    varName: string
+    // source: 파이프라인 시작점 (고립 검사 제외, 1개 이상 필요)
+    // preprocessing: pipeline 모드에서 모델 앞 단계로 묶임
+    // model: 학습된 모델을 출력
+    role?: 'source' | 'preprocessing' | 'model'
+    // 모두 연결되어야 하는 입력과 누락 시 메시지
+    requiredInputs?: { inputs: string[]; message: string }
+    // 입력은 있는데 출력이 쓰이지 않을 때 경고
+    unusedOutput?: string
+    // 결과 보고 노드: quiet 출력 수준에서도 print 유지
+    reportsResults?: boolean
+    validate?: (node: NodeData, ctx: ValidationContext) => NodeIssue[]
+    imports?: (node: NodeData, options: CodegenOptions) => string[]
+    toCode: (ctx: CodegenContext) => string
+    // 출력 데이터를 담는 변수 (없으면 varName, 예: 데이터프레임을 직접 변환한 전처리 노드)
+    outputVar?: (ctx: CodegenContext) => string | undefined
+    // 목표 변수(y)를 사용하는지 (role이 model이면 항상 사용, Data Split 타겟 컬럼 필요 여부 판단용)
+    usesTarget?: (node: NodeData) => boolean
+    // 모델 노드: 회귀 여부 (평가 지표 선택용)
+    isRegression?: (node: NodeData) => boolean
+    // 모델 노드: clone/cross_validate 가능한 scikit-learn 추정기인지 (없으면 true)
+    isSklearnEstimator?: (node: NodeData) => boolean
+    // 결과 노드: 모델 비교표의 행 이름 (있으면 `${varName}_metrics` 딕셔너리를 만든다고 간주)
+    comparisonLabel?: (ctx: CodegenContext) => string
+    // 모델 노드: .predict 대신 쓸 예측 코드 (null이면 기본)
+    predictCode?: (ctx: CodegenContext, predVar: string) => string | null
+    // 모델 노드: joblib 대신 쓸 저장 코드 (pathVar: 확장자 없는 경로 변수, null이면 기본)
+    saveCode?: (ctx: CodegenContext, pathVar: string) => string | null
+    // 프로젝트 번들의 data/ 폴더에 넣을 입력 CSV 파일 이름 (undefined: 넣을 파일 없음)
+    dataFile?: (node: NodeData) => string | undefined
+}
+
+export interface NodeSpec<K extends string = string> {
+    kind: K
+    // 한국어, 영어(노드 라벨), 별칭 — 라벨 역매핑과 빠른 추가 검색에서 공용
+    labels: { ko: string; en: string; aliases?: string[] }
+    category: string
+    sidebar: { section: SidebarSection; label?: string; tip: string }
+    inputs?: PortSpec[]
+    outputs?: PortSpec[]
+    controls?: ControlSpec[]
+    // 없으면 코드 생성 대상이 아닌 캔버스 전용 노드
+    codegen?: NodeCodegen
+}
+
+// kind 문자열 리터럴을 유지한 채 정의 (NodeKind 유니온 추론용)
+export function defineNode<K extends string>(spec: NodeSpec<K>): NodeSpec<K> {
+    return spec
+}
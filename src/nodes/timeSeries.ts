@@ -0,0 +1,149 @@
+// 시계열 특성 노드 (지연/이동 통계): Data Split(날짜 컬럼) 앞에서 과거 값을 특성으로 추가
+import type { NodeData } from '../utils/pipelineToCode'
+import { cleanColumnName, detectDateColumn, parseColumnList, pyList, pyString } from './data'
+import { defineNode, type ControlSpec, type NodeIssue } from './spec'
+
+const ROLLING_STATS = ['mean', 'std', 'min', 'max', 'sum', 'median']
+
+const DATE_CONTROL: ControlSpec = {
+    key: 'dateColumn', type: 'csvColumn', initial: '', placeholder: '📅 날짜 컬럼 (정렬 기준)...',
+    autoSelect: detectDateColumn,
+    hint: { label: '날짜 컬럼', title: '이 컬럼 기준으로 정렬한 뒤 계산 (비우면 현재 행 순서를 시간 순서로 간주)' }
+}
+
+const DROPNA_CONTROL: ControlSpec = {
+    key: 'dropna', type: 'select', initial: 'true',
+    options: [
+        { value: 'true', label: '앞쪽 빈 행 제거' },
+        { value: 'false', label: '유지 (결측치 처리 노드 사용)' }
+    ],
+    hint: { label: '결측치', title: '처음 몇 행은 이전 값이 없어 NaN이 됩니다' }
+}
+
+// 쉼표로 구분한 양의 정수 목록 (예: '1,7' → [1, 7]), 잘못된 항목은 invalid로 분리
+function parseSteps(value: unknown): { steps: number[]; invalid: string[] } {
+    const items = String(value ?? '').split(',').map(item => item.trim()).filter(Boolean)
+    const invalid = items.filter(item => !/^\d+$/.test(item) || Number(item) < 1)
+    const steps = Array.from(new Set(items.filter(item => !invalid.includes(item)).map(Number)))
+    return { steps, invalid }
+}
+
+function parseStats(value: unknown): { stats: string[]; invalid: string[] } {
+    const items = String(value ?? '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean)
+    return {
+        stats: Array.from(new Set(items.filter(item => ROLLING_STATS.includes(item)))),
+        invalid: items.filter(item => !ROLLING_STATS.includes(item))
+    }
+}
+
+function validateSteps(node: NodeData, key: string, label: string): NodeIssue[] {
+    const issues: NodeIssue[] = []
+    if (parseColumnList(node.controls?.columns).length === 0) {
+        issues.push({ code: 'missing-value', severity: 'warning', message: '특성을 만들 컬럼을 선택해주세요.' })
+    }
+    const { steps, invalid } = parseSteps(node.controls?.[key])
+    if (invalid.length) {
+        issues.push({ code: 'invalid-value', severity: 'error', message: `${label}: 1 이상의 정수만 입력할 수 있습니다. (${invalid.join(', ')})` })
+    } else if (steps.length === 0) {
+        issues.push({ code: 'missing-value', severity: 'error', message: `${label} 값을 입력해주세요. (예: 1,7)` })
+    }
+    return issues
+}
+
+// 정렬(날짜 컬럼이 있으면) 후 새 컬럼을 추가하고, 선택 시 앞쪽 NaN 행 제거
+function featureCode(node: NodeData, varName: string, sourceVar: string, title: string, features: Array<[string, string]>): string {
+    const dateColumn = cleanColumnName(String(node.controls?.dateColumn ?? ''))
+    const lines = [
+        `# ${title}${dateColumn ? ` ('${dateColumn}' 기준 정렬)` : ''}`,
+        dateColumn
+            ? `${varName} = ${sourceVar}.sort_values(${pyString(dateColumn)}, key=pd.to_datetime).reset_index(drop=True)`
+            : `${varName} = ${sourceVar}.copy()`,
+        ...features.map(([name, expression]) => `${varName}[${pyString(name)}] = ${expression}`)
+    ]
+    if (features.length && node.controls?.dropna !== 'false') {
+        lines.push(`${varName} = ${varName}.dropna(subset=${pyList(features.map(([name]) => name))}).reset_index(drop=True)`)
+    }
+    if (features.length) lines.push(`print(f"시계열 특성 ${features.length}개 추가: {${varName}.shape}")`)
+    return lines.join('\n')
+}
+
+export const lagFeatures = defineNode({
+    kind: 'lagFeatures',
+    labels: { ko: '지연 특성', en: 'Lag Features', aliases: ['Lag'] },
+    category: 'ml-preprocessing',
+    sidebar: {
+        section: 'timeSeries',
+        tip: '이전 시점의 값을 특성으로 추가 (shift)\n입력: data (Data Split 앞)\n출력: data (+ <컬럼>_lag<N> 컬럼)'
+    },
+    inputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    controls: [
+        {
+            key: 'columns', type: 'csvColumns', initial: '',
+            hint: { label: '대상 컬럼', title: '지연 값을 만들 컬럼 (보통 예측할 타겟)' }
+        },
+        { key: 'lags', type: 'text', initial: '1,2,3', hint: { label: '지연 간격', title: '쉼표로 구분한 이전 시점 수 (예: 1,7 → 1행 전, 7행 전 값)' } },
+        DATE_CONTROL,
+        DROPNA_CONTROL
+    ],
+    codegen: {
+        // 특성 추가 후 데이터도 data2, data3...
+        varName: 'data',
+        requiredInputs: { inputs: ['data'], message: '데이터를 입력해주세요.' },
+        validate: node => validateSteps(node, 'lags', '지연 간격'),
+        toCode: ({ node, varName, getSourceVarName }) => {
+            const { steps } = parseSteps(node.controls?.lags)
+            const features = parseColumnList(node.controls?.columns).flatMap(column => steps.map(lag => [
+                `${column}_lag${lag}`,
+                `${varName}[${pyString(column)}].shift(${lag})`
+            ] as [string, string]))
+            return featureCode(node, varName, getSourceVarName('data'), `지연 특성 (lag ${steps.join(', ')})`, features)
+        }
+    }
+})
+
+export const rollingFeatures = defineNode({
+    kind: 'rollingFeatures',
+    labels: { ko: '이동 통계 특성', en: 'Rolling Features', aliases: ['Rolling'] },
+    category: 'ml-preprocessing',
+    sidebar: {
+        section: 'timeSeries',
+        tip: '최근 N개 시점의 이동 평균/표준편차 등을 특성으로 추가\n입력: data (Data Split 앞)\n출력: data (+ <컬럼>_roll<N>_<통계> 컬럼)'
+    },
+    inputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    controls: [
+        {
+            key: 'columns', type: 'csvColumns', initial: '',
+            hint: { label: '대상 컬럼', title: '이동 통계를 계산할 컬럼 (보통 예측할 타겟)' }
+        },
+        { key: 'windows', type: 'text', initial: '3,7', hint: { label: '윈도우 크기', title: '쉼표로 구분한 시점 수 (예: 3,7)' } },
+        { key: 'stats', type: 'text', initial: 'mean', hint: { label: '통계', title: `쉼표로 구분 (${ROLLING_STATS.join(', ')})` } },
+        DATE_CONTROL,
+        DROPNA_CONTROL
+    ],
+    codegen: {
+        varName: 'data',
+        requiredInputs: { inputs: ['data'], message: '데이터를 입력해주세요.' },
+        validate: node => {
+            const issues = validateSteps(node, 'windows', '윈도우 크기')
+            const { stats, invalid } = parseStats(node.controls?.stats)
+            if (invalid.length) {
+                issues.push({ code: 'invalid-value', severity: 'error', message: `지원하지 않는 통계입니다: ${invalid.join(', ')} (${ROLLING_STATS.join(', ')} 중 선택)` })
+            } else if (stats.length === 0) {
+                issues.push({ code: 'missing-value', severity: 'error', message: '통계를 입력해주세요. (예: mean,std)' })
+            }
+            return issues
+        },
+        toCode: ({ node, varName, getSourceVarName }) => {
+            const { steps } = parseSteps(node.controls?.windows)
+            const { stats } = parseStats(node.controls?.stats)
+            // 현재 행 값이 들어가지 않도록 한 칸 민 값으로 계산 (타겟 누수 방지)
+            const features = parseColumnList(node.controls?.columns).flatMap(column => steps.flatMap(window => stats.map(stat => [
+                `${column}_roll${window}_${stat}`,
+                `${varName}[${pyString(column)}].shift(1).rolling(${window}).${stat}()`
+            ] as [string, string])))
+            return featureCode(node, varName, getSourceVarName('data'), `이동 통계 특성 (window ${steps.join(', ')} · ${stats.join(', ')}, 직전 시점까지)`, features)
+        }
+    }
+})
@@ -0,0 +1,296 @@
+// 하이퍼파라미터 튜닝 노드 (Grid / Randomized / Halving 탐색)
+import type { NodeData } from '../utils/pipelineToCode'
+import { MODEL_CODEGEN } from './models'
+import { defineNode } from './spec'
+
+export type TuningTask = 'classification' | 'regression'
+export type TuningMethod = 'GridSearch' | 'RandomizedSearch' | 'HalvingGridSearch'
+
+// 추정기 계열별 클래스/기본 그리드 (그리드 문법: "이름=값1,값2; 이름2=randint(1, 10)")
+interface TuningFamily {
+    label: string
+    estimators: Record<TuningTask, { className: string; init: (seed: string) => string; module: string }>
+    defaultGrid: Record<TuningTask, string>
+}
+
+export const TUNING_FAMILIES: Record<string, TuningFamily> = {
+    RandomForest: {
+        label: 'Random Forest',
+        estimators: {
+            classification: { className: 'RandomForestClassifier', init: seed => `random_state=${seed}`, module: 'sklearn.ensemble' },
+            regression: { className: 'RandomForestRegressor', init: seed => `random_state=${seed}`, module: 'sklearn.ensemble' }
+        },
+        defaultGrid: {
+            classification: 'n_estimators=50,100,200; max_depth=None,10,20',
+            regression: 'n_estimators=50,100,200; max_depth=None,10,20'
+        }
+    },
+    GradientBoosting: {
+        label: 'Gradient Boosting',
+        estimators: {
+            classification: { className: 'GradientBoostingClassifier', init: seed => `random_state=${seed}`, module: 'sklearn.ensemble' },
+            regression: { className: 'GradientBoostingRegressor', init: seed => `random_state=${seed}`, module: 'sklearn.ensemble' }
+        },
+        defaultGrid: {
+            classification: 'n_estimators=50,100,200; learning_rate=0.01,0.1,0.2',
+            regression: 'n_estimators=50,100,200; learning_rate=0.01,0.1,0.2'
+        }
+    },
+    DecisionTree: {
+        label: 'Decision Tree',
+        estimators: {
+            classification: { className: 'DecisionTreeClassifier', init: seed => `random_state=${seed}`, module: 'sklearn.tree' },
+            regression: { className: 'DecisionTreeRegressor', init: seed => `random_state=${seed}`, module: 'sklearn.tree' }
+        },
+        defaultGrid: {
+            classification: 'max_depth=None,5,10,20; min_samples_split=2,5,10',
+            regression: 'max_depth=None,5,10,20; min_samples_split=2,5,10'
+        }
+    },
+    KNN: {
+        label: 'K-Nearest Neighbors',
+        estimators: {
+            classification: { className: 'KNeighborsClassifier', init: () => '', module: 'sklearn.neighbors' },
+            regression: { className: 'KNeighborsRegressor', init: () => '', module: 'sklearn.neighbors' }
+        },
+        defaultGrid: {
+            classification: 'n_neighbors=3,5,7,11; weights=uniform,distance',
+            regression: 'n_neighbors=3,5,7,11; weights=uniform,distance'
+        }
+    },
+    SVM: {
+        label: 'SVM',
+        estimators: {
+            classification: { className: 'SVC', init: seed => `random_state=${seed}`, module: 'sklearn.svm' },
+            regression: { className: 'SVR', init: () => '', module: 'sklearn.svm' }
+        },
+        defaultGrid: {
+            classification: 'C=0.1,1,10; kernel=linear,rbf',
+            regression: 'C=0.1,1,10; kernel=linear,rbf'
+        }
+    },
+    Linear: {
+        label: 'Linear (Logistic / Ridge)',
+        estimators: {
+            classification: { className: 'LogisticRegression', init: seed => `max_iter=1000, random_state=${seed}`, module: 'sklearn.linear_model' },
+            regression: { className: 'Ridge', init: () => '', module: 'sklearn.linear_model' }
+        },
+        defaultGrid: {
+            classification: 'C=0.01,0.1,1,10',
+            regression: 'alpha=0.1,1.0,10.0'
+        }
+    }
+}
+
+export const TUNING_SCORING: Record<TuningTask, string[]> = {
+    classification: ['accuracy', 'f1_weighted', 'precision_weighted', 'recall_weighted', 'roc_auc'],
+    regression: ['r2', 'neg_mean_squared_error', 'neg_root_mean_squared_error', 'neg_mean_absolute_error', 'neg_mean_absolute_percentage_error']
+}
+
+const SEARCH_CLASSES: Record<TuningMethod, string> = {
+    GridSearch: 'GridSearchCV',
+    RandomizedSearch: 'RandomizedSearchCV',
+    HalvingGridSearch: 'HalvingGridSearchCV'
+}
+
+const DISTRIBUTIONS = ['randint', 'uniform', 'loguniform']
+
+interface TuningParam {
+    name: string
+    python: string          // 파이썬 값 표현 ([...] 목록 또는 scipy.stats 분포)
+    distribution?: string   // 분포 함수 이름 (목록이면 없음)
+}
+
+interface TuningConfig {
+    task: TuningTask
+    family: string
+    method: TuningMethod
+    estimator: { className: string; init: (seed: string) => string; module: string }
+    params: TuningParam[]
+    nIter: number
+    cv: number
+    scoring: string
+    nJobs: number           // 0: 파이프라인 설정의 n_jobs 사용
+    errors: string[]
+}
+
+// 그리드 값 하나를 파이썬 리터럴로 (숫자/None/True/False/따옴표 문자열은 그대로, 나머지는 문자열로)
+function toPythonLiteral(token: string): string {
+    const t = token.trim()
+    if (/^-?(\d+\.?\d*|\.\d+)(e-?\d+)?$/i.test(t)) return t
+    if (t === 'None' || t === 'True' || t === 'False') return t
+    if (/^'[^']*'$/.test(t) || /^"[^"]*"$/.test(t)) return t
+    return `'${t.replace(/'/g, "\\'")}'`
+}
+
+/**
+ * 파라미터 그리드 문자열 해석 ("n_estimators=50,100; max_depth=randint(2, 20)")
+ */
+export function parseParamGrid(text: string): { params: TuningParam[]; errors: string[] } {
+    const params: TuningParam[] = []
+    const errors: string[] = []
+    for (const entry of text.split(/[;\n]/).map(e => e.trim()).filter(Boolean)) {
+        const eq = entry.indexOf('=')
+        const name = eq > 0 ? entry.slice(0, eq).trim() : ''
+        const rhs = eq > 0 ? entry.slice(eq + 1).trim() : ''
+        if (!/^[A-Za-z_]\w*$/.test(name) || !rhs) {
+            errors.push(`'${entry}' 은(는) "이름=값1,값2" 형식이어야 합니다.`)
+            continue
+        }
+        const dist = /^(\w+)\(([^)]*)\)$/.exec(rhs)
+        if (dist) {
+            const args = dist[2].split(',').map(a => a.trim()).filter(Boolean)
+            if (!DISTRIBUTIONS.includes(dist[1]) || args.length !== 2 || args.some(a => isNaN(Number(a)))) {
+                errors.push(`${name}: 분포는 ${DISTRIBUTIONS.join('/')}(최소, 최대) 형식만 지원합니다.`)
+                continue
+            }
+            // scipy uniform은 (loc, scale) 이므로 (최소, 최대) → (최소, 최대-최소)
+            const [lo, hi] = args.map(Number)
+            const callArgs = dist[1] === 'uniform' ? `${lo}, ${hi - lo}` : `${lo}, ${hi}`
+            params.push({ name, python: `${dist[1]}(${callArgs})`, distribution: dist[1] })
+            continue
+        }
+        const values = rhs.split(',').map(v => v.trim()).filter(Boolean)
+        params.push({ name, python: `[${values.map(toPythonLiteral).join(', ')}]` })
+    }
+    if (params.length === 0 && errors.length === 0) errors.push('탐색할 파라미터가 없습니다.')
+    return { params, errors }
+}
+
+// 정수 변환 (소수점 버림, 숫자가 아니면 fallback) - 음수도 그대로 두므로 범위는 호출하는 쪽에서 검사
+export function toInt(value: any, fallback: number): number {
+    const n = Math.floor(Number(value))
+    return Number.isFinite(n) ? n : fallback
+}
+
+/**
+ * HyperparamTune 노드 컨트롤 → 튜닝 설정 (검증 오류 포함)
+ */
+function readTuningConfig(node: NodeData): TuningConfig {
+    const c = node.controls || {}
+    const task: TuningTask = c.task === 'regression' ? 'regression' : 'classification'
+    const family = TUNING_FAMILIES[c.estimator] ? c.estimator : 'RandomForest'
+    const method: TuningMethod = SEARCH_CLASSES[c.method as TuningMethod] ? c.method : 'GridSearch'
+    const gridText = String(c.paramGrid ?? '').trim() || TUNING_FAMILIES[family].defaultGrid[task]
+    const { params, errors } = parseParamGrid(gridText)
+
+    const config: TuningConfig = {
+        task,
+        family,
+        method,
+        estimator: TUNING_FAMILIES[family].estimators[task],
+        params,
+        nIter: toInt(c.n_iter, 20),
+        cv: toInt(c.cv, 5),
+        scoring: String(c.scoring ?? ''),
+        nJobs: toInt(c.n_jobs, 0),
+        errors: [...errors]
+    }
+
+    if (method !== 'RandomizedSearch' && params.some(p => p.distribution)) {
+        config.errors.push('분포(randint 등)는 RandomizedSearch에서만 사용할 수 있습니다.')
+    }
+    if (config.cv < 2) config.errors.push('CV 폴드 수는 2 이상이어야 합니다.')
+    if (method === 'RandomizedSearch' && config.nIter < 1) config.errors.push('탐색 횟수(n_iter)는 1 이상이어야 합니다.')
+    if (config.scoring && !TUNING_SCORING[task].includes(config.scoring)) {
+        config.errors.push(`'${config.scoring}' 평가 지표는 ${task === 'regression' ? '회귀' : '분류'} 작업에 사용할 수 없습니다.`)
+    }
+    return config
+}
+
+export const hyperparamTune = defineNode({
+    kind: 'hyperparamTune',
+    labels: { ko: '하이퍼파라미터 튜닝', en: 'Hyperparameter Tuning', aliases: ['HyperparamTune'] },
+    category: 'ml-optimization',
+    sidebar: { section: 'optimization', tip: '최적 하이퍼파라미터 탐색 (Grid/Randomized/Halving)\n입력: X_train, y_train\n출력: model (최적화됨)' },
+    inputs: [{ key: 'train', socket: 'split', label: '훈련용' }],
+    outputs: [{ key: 'model', socket: 'model', label: '모델' }],
+    controls: [
+        {
+            key: 'method', type: 'select', initial: 'GridSearch',
+            options: [
+                { value: 'GridSearch', label: 'Grid Search (전체 조합)' },
+                { value: 'RandomizedSearch', label: 'Randomized Search (무작위 샘플)' },
+                { value: 'HalvingGridSearch', label: 'Halving Grid Search (단계적 제거)' }
+            ],
+            hint: { label: '탐색 방법', title: 'Grid / Randomized / Halving 탐색' }
+        },
+        {
+            key: 'task', type: 'select', initial: 'classification',
+            options: [
+                { value: 'classification', label: '분류' },
+                { value: 'regression', label: '회귀' }
+            ],
+            hint: { label: '작업', title: '분류/회귀에 따라 추정기와 평가 지표가 달라집니다' }
+        },
+        {
+            key: 'estimator', type: 'select', initial: 'RandomForest',
+            options: Object.entries(TUNING_FAMILIES).map(([value, family]) => ({ value, label: family.label })),
+            hint: { label: '추정기', title: '튜닝할 모델 계열' }
+        },
+        {
+            key: 'paramGrid', type: 'text', initial: '',
+            hint: { label: '파라미터 그리드', title: '예: n_estimators=50,100; max_depth=randint(2, 20) (비우면 추정기 기본값, 분포는 Randomized 전용)' }
+        },
+        { key: 'n_iter', type: 'number', initial: 20, hint: { label: '탐색 횟수', title: 'Randomized Search 전용' } },
+        { key: 'cv', type: 'number', initial: 5, hint: { label: 'CV 폴드', title: '교차 검증 폴드 수 (2 이상)' } },
+        {
+            key: 'scoring', type: 'select', initial: '',
+            options: [
+                { value: '', label: '기본 (estimator.score)' },
+                ...TUNING_SCORING.classification.map(value => ({ value, label: `${value} (분류)` })),
+                ...TUNING_SCORING.regression.map(value => ({ value, label: `${value} (회귀)` }))
+            ],
+            hint: { label: '평가 지표', title: '작업 유형에 맞는 지표를 선택하세요' }
+        },
+        { key: 'n_jobs', type: 'number', initial: 0, hint: { label: '병렬 작업', title: '0: 파이프라인 설정 사용, -1: 모든 CPU 코어 사용' } }
+    ],
+    codegen: {
+        ...MODEL_CODEGEN,
+        varName: 'tuned_model',
+        isRegression: node => node.controls?.task === 'regression',
+        validate: node => readTuningConfig(node).errors.map(message => ({ code: 'invalid-value', severity: 'error', message })),
+        imports: node => {
+            const config = readTuningConfig(node)
+            const distributions = config.params.filter(p => p.distribution).map(p => p.distribution!)
+            return [
+                `from ${config.estimator.module} import ${config.estimator.className}`,
+                // Halving 탐색은 실험적 기능이라 활성화 import가 먼저 필요
+                ...(config.method === 'HalvingGridSearch' ? ['from sklearn.experimental import enable_halving_search_cv  # noqa: F401'] : []),
+                `from sklearn.model_selection import ${SEARCH_CLASSES[config.method]}`,
+                ...(distributions.length ? [`from scipy.stats import ${Array.from(new Set(distributions)).join(', ')}`] : [])
+            ]
+        },
+        toCode: ({ node, varName, settings, seed, pipelineMode, pipelineNote, wrapEstimator, splitVars }) => {
+            const config = readTuningConfig(node)
+            const searchClass = SEARCH_CLASSES[config.method]
+            const searchVar = `${varName}_search`
+            const gridVar = config.method === 'RandomizedSearch' ? 'param_distributions' : 'param_grid'
+            // pipeline 모드에서는 파이프라인의 'model' 단계 파라미터로 탐색
+            const prefix = pipelineMode ? 'model__' : ''
+            const taskLabel = config.task === 'regression' ? '회귀' : '분류'
+            const args = [
+                wrapEstimator(`${config.estimator.className}(${config.estimator.init(seed)})`),
+                gridVar,
+                ...(config.method === 'RandomizedSearch' ? [`n_iter=${config.nIter}`] : []),
+                `cv=${config.cv}`,
+                ...(config.scoring ? [`scoring='${config.scoring}'`] : []),
+                `n_jobs=${config.nJobs || settings.nJobs}`,
+                ...(settings.verbosity === 'verbose' ? ['verbose=1'] : []),
+                ...(config.method !== 'GridSearch' ? [`random_state=${seed}`] : [])
+            ]
+
+            return `# 하이퍼파라미터 튜닝 (${searchClass} · ${config.family} ${taskLabel})${pipelineNote}
+${gridVar} = {
+${config.params.map(p => `    '${prefix}${p.name}': ${p.python},`).join('\n')}
+}
+${searchVar} = ${searchClass}(
+${args.map(a => `    ${a.replace(/\n/g, '\n    ')},`).join('\n')}
+)
+${searchVar}.fit(${splitVars().train}, y_train)
+${varName} = ${searchVar}.best_estimator_
+print(f"최적 파라미터: {${searchVar}.best_params_}")
+print(f"최고 CV 점수: {${searchVar}.best_score_:.4f}")`
+        }
+    }
+})
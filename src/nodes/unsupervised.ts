@@ -0,0 +1,215 @@
+// 비지도 학습 노드 (군집화 / 차원 축소): 타겟 없이 특성만 사용하고 결과를 노드에서 바로 평가
+import type { NodeData } from '../utils/pipelineToCode'
+import { defineNode, type CodegenContext, type NodeIssue } from './spec'
+import { toInt } from './tuning'
+
+const CLUSTERERS: Record<string, { label: string; init: (c: Record<string, any>, seed: string) => string }> = {
+    KMeans: {
+        label: 'K-Means',
+        init: (c, seed) => `KMeans(n_clusters=${toInt(c.n_clusters, 3)}, n_init=10, random_state=${seed})`
+    },
+    DBSCAN: {
+        label: 'DBSCAN (밀도 기반)',
+        init: c => `DBSCAN(eps=${Number(c.eps) || 0.5}, min_samples=${toInt(c.min_samples, 5)})`
+    },
+    AgglomerativeClustering: {
+        label: 'Agglomerative (계층적)',
+        init: c => `AgglomerativeClustering(n_clusters=${toInt(c.n_clusters, 3)})`
+    }
+}
+
+const REDUCERS: Record<string, { label: string; module: string; prefix: string }> = {
+    PCA: { label: 'PCA (주성분 분석)', module: 'sklearn.decomposition', prefix: 'PC' },
+    TSNE: { label: 't-SNE (시각화용)', module: 'sklearn.manifold', prefix: 'TSNE' }
+}
+
+function readAlgorithm<T>(table: Record<string, T>, value: unknown, fallback: string): string {
+    return table[String(value)] ? String(value) : fallback
+}
+
+/**
+ * 입력 특성 행렬 준비
+ * Data Split(또는 그 뒤 전처리)에서 오면 그 분기의 훈련/테스트 데이터, 데이터프레임이면 전체 데이터에서 수치형 컬럼만 사용
+ * (분할 데이터도 날짜/문자열 컬럼이 남을 수 있어 수치형만 선택)
+ * pipeline 모드에서 전처리 단계를 함께 묶으면 인코딩 등을 파이프라인이 처리하므로 그대로 넘김
+ */
+function featureMatrix({ varName, pipelineMode, inputOrigin, preprocessingSteps, splitVars }: CodegenContext): { setup: string[]; X: string } {
+    const origin = inputOrigin()
+    const wrapped = pipelineMode && preprocessingSteps().length > 0
+    // 분할 데이터는 앞 전처리에서 배열이 될 수 있어 DataFrame으로 감쌈
+    const source = !origin || origin.socket === 'split'
+        ? `pd.DataFrame(${splitVars()[origin?.output === 'test' ? 'test' : 'train']})`
+        : origin.varName
+    return {
+        setup: [`${varName}_X = ${wrapped ? source : `${source}.select_dtypes(include=np.number)`}`],
+        X: `${varName}_X`
+    }
+}
+
+/**
+ * 추정기 정의: pipeline 모드에서 앞쪽 전처리 단계가 있을 때만 Pipeline으로 감쌈
+ * fitted: 학습된 속성(explained_variance_ratio_ 등)을 읽을 추정기 식
+ */
+function defineEstimator(ctx: CodegenContext, modelVar: string, estimator: string): { definition: string; fitted: string; wrapped: boolean } {
+    const wrapped = ctx.pipelineMode && ctx.preprocessingSteps().length > 0
+    return {
+        definition: `${modelVar} = ${wrapped ? ctx.wrapEstimator(estimator) : estimator}`,
+        fitted: wrapped ? `${modelVar}[-1]` : modelVar,
+        wrapped
+    }
+}
+
+function validateCluster(node: NodeData): NodeIssue[] {
+    const c = node.controls || {}
+    const algorithm = readAlgorithm(CLUSTERERS, c.algorithm, 'KMeans')
+    const issues: NodeIssue[] = []
+    if (algorithm === 'DBSCAN') {
+        if (!(Number(c.eps) > 0)) issues.push({ code: 'invalid-value', severity: 'error', message: 'eps는 0보다 커야 합니다.' })
+        if (toInt(c.min_samples, 5) < 1) issues.push({ code: 'invalid-value', severity: 'error', message: '최소 샘플 수는 1 이상이어야 합니다.' })
+    } else if (toInt(c.n_clusters, 3) < 2) {
+        issues.push({ code: 'invalid-value', severity: 'error', message: '군집 수는 2 이상이어야 합니다.' })
+    }
+    return issues
+}
+
+function validateReduction(node: NodeData): NodeIssue[] {
+    const c = node.controls || {}
+    const method = readAlgorithm(REDUCERS, c.method, 'PCA')
+    const nComponents = toInt(c.n_components, 2)
+    if (nComponents < 1) return [{ code: 'invalid-value', severity: 'error', message: '성분 수는 1 이상이어야 합니다.' }]
+    // t-SNE 기본(barnes_hut) 방식은 3차원까지만 지원
+    if (method === 'TSNE' && nComponents > 3) return [{ code: 'invalid-value', severity: 'error', message: 't-SNE 성분 수는 3 이하여야 합니다.' }]
+    if (method === 'TSNE' && !(Number(c.perplexity) > 0)) return [{ code: 'invalid-value', severity: 'error', message: 'perplexity는 0보다 커야 합니다.' }]
+    return []
+}
+
+export const cluster = defineNode({
+    kind: 'cluster',
+    labels: { ko: '군집화', en: 'Clustering', aliases: ['Cluster', 'KMeans'] },
+    category: 'ml-unsupervised',
+    sidebar: {
+        section: 'unsupervised',
+        tip: '타겟 없이 데이터를 군집으로 묶기 (KMeans/DBSCAN/Agglomerative)\n입력: data (데이터 또는 X_train)\n출력: data (+ cluster 컬럼), 실루엣/Davies-Bouldin 점수'
+    },
+    inputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    controls: [
+        {
+            key: 'algorithm', type: 'select', initial: 'KMeans',
+            options: Object.entries(CLUSTERERS).map(([value, clusterer]) => ({ value, label: clusterer.label })),
+            hint: { label: '알고리즘', title: '군집화 알고리즘 선택' }
+        },
+        { key: 'n_clusters', type: 'number', initial: 3, hint: { label: '군집 수', title: 'KMeans/Agglomerative 전용 (2 이상)' } },
+        { key: 'eps', type: 'number', initial: 0.5, hint: { label: 'eps', title: 'DBSCAN 전용: 이웃으로 볼 최대 거리' } },
+        { key: 'min_samples', type: 'number', initial: 5, hint: { label: '최소 샘플 수', title: 'DBSCAN 전용: 핵심 포인트가 되기 위한 이웃 수' } }
+    ],
+    codegen: {
+        varName: 'clusters',
+        requiredInputs: { inputs: ['data'], message: '데이터를 입력해주세요.' },
+        reportsResults: true,
+        validate: validateCluster,
+        comparisonLabel: ({ node, describeModel }) => describeModel(node),
+        imports: node => [
+            `from sklearn.cluster import ${readAlgorithm(CLUSTERERS, node.controls?.algorithm, 'KMeans')}`,
+            'from sklearn.metrics import silhouette_score, davies_bouldin_score'
+        ],
+        toCode: ctx => {
+            const { node, varName } = ctx
+            const algorithm = readAlgorithm(CLUSTERERS, node.controls?.algorithm, 'KMeans')
+            const { setup, X } = featureMatrix(ctx)
+            const modelVar = `${varName}_model`
+            const labels = `${varName}_labels`
+            const { definition, wrapped } = defineEstimator(ctx, modelVar, CLUSTERERS[algorithm].init(node.controls || {}, ctx.seed))
+            // 점수는 추정기가 실제로 본 특성 공간에서 계산 (pipeline 모드: 전처리 단계까지 변환)
+            const features = wrapped ? `${varName}_features` : X
+
+            const lines = [
+                `# 군집화 (${algorithm})`,
+                ...setup,
+                definition,
+                `${labels} = ${modelVar}.fit_predict(${X})`,
+                ...(wrapped ? [`${features} = ${modelVar}[:-1].transform(${X})`] : []),
+                `${varName} = pd.DataFrame(${X}).assign(cluster=${labels})`,
+                'print("군집별 샘플 수 (-1: 노이즈):")',
+                `print(pd.Series(${labels}).value_counts().sort_index())`
+            ]
+            return `${lines.join('\n')}
+
+# 군집 평가 (DBSCAN 노이즈 -1 제외, 군집이 2개 이상일 때만 계산)
+${varName}_mask = ${labels} != -1
+${varName}_count = len(set(${labels}[${varName}_mask]))
+${varName}_metrics = {}
+if 2 <= ${varName}_count < ${varName}_mask.sum():
+    ${varName}_metrics['Silhouette'] = silhouette_score(${features}[${varName}_mask], ${labels}[${varName}_mask])
+    ${varName}_metrics['Davies-Bouldin'] = davies_bouldin_score(${features}[${varName}_mask], ${labels}[${varName}_mask])
+else:
+    print(f"군집이 {${varName}_count}개라 실루엣/Davies-Bouldin 점수를 계산할 수 없습니다")
+for name, value in ${varName}_metrics.items():
+    print(f"{name}: {value:.4f}")`
+        }
+    }
+})
+
+export const reduceDimensions = defineNode({
+    kind: 'reduceDimensions',
+    labels: { ko: '차원 축소', en: 'Dimensionality Reduction', aliases: ['PCA', 'TSNE'] },
+    category: 'ml-unsupervised',
+    sidebar: {
+        section: 'unsupervised',
+        label: 'Reduce Dimensions',
+        tip: '특성을 적은 수의 성분으로 압축 (PCA/t-SNE)\n입력: data (데이터 또는 X_train)\n출력: data (성분 컬럼), 설명된 분산 비율'
+    },
+    inputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    outputs: [{ key: 'data', socket: 'dataframe', label: '데이터' }],
+    controls: [
+        {
+            key: 'method', type: 'select', initial: 'PCA',
+            options: Object.entries(REDUCERS).map(([value, reducer]) => ({ value, label: reducer.label })),
+            hint: { label: '방법', title: 't-SNE는 시각화용으로 새 데이터 변환(transform)을 지원하지 않습니다' }
+        },
+        { key: 'n_components', type: 'number', initial: 2, hint: { label: '성분 수', title: '줄일 차원 수 (t-SNE는 3 이하)' } },
+        { key: 'perplexity', type: 'number', initial: 30, hint: { label: 'perplexity', title: 't-SNE 전용: 샘플 수보다 작아야 함' } }
+    ],
+    codegen: {
+        varName: 'embedding',
+        requiredInputs: { inputs: ['data'], message: '데이터를 입력해주세요.' },
+        reportsResults: true,
+        validate: validateReduction,
+        comparisonLabel: ({ node, varName }) => `${varName} (${readAlgorithm(REDUCERS, node.controls?.method, 'PCA')})`,
+        imports: node => {
+            const method = readAlgorithm(REDUCERS, node.controls?.method, 'PCA')
+            return [`from ${REDUCERS[method].module} import ${method}`]
+        },
+        toCode: ctx => {
+            const { node, varName } = ctx
+            const method = readAlgorithm(REDUCERS, node.controls?.method, 'PCA')
+            const nComponents = toInt(node.controls?.n_components, 2)
+            const columns = Array.from({ length: nComponents }, (_, i) => `'${REDUCERS[method].prefix}${i + 1}'`)
+            const { setup, X } = featureMatrix(ctx)
+            const modelVar = `${varName}_model`
+            const { definition, fitted } = defineEstimator(ctx, modelVar, method === 'TSNE'
+                ? `TSNE(n_components=${nComponents}, perplexity=${Number(node.controls?.perplexity) || 30}, random_state=${ctx.seed})`
+                : `PCA(n_components=${nComponents}, random_state=${ctx.seed})`)
+
+            const evaluation = method === 'TSNE'
+                ? `# 임베딩 평가 (KL divergence: 낮을수록 원래 이웃 구조를 잘 보존)
+${varName}_metrics = {'KL Divergence': ${fitted}.kl_divergence_}`
+                : `# 차원 축소 평가 (설명된 분산 비율)
+${varName}_metrics = {'Explained Variance': ${fitted}.explained_variance_ratio_.sum()}
+print(f"성분별 설명된 분산 비율: {np.round(${fitted}.explained_variance_ratio_, 4)}")`
+
+            const lines = [
+                `# 차원 축소 (${method} · ${nComponents}차원)`,
+                ...setup,
+                definition
+            ]
+            return `${lines.join('\n')}
+${varName} = pd.DataFrame(${modelVar}.fit_transform(${X}), columns=[${columns.join(', ')}])
+print(f"차원 축소 완료: {${varName}.shape}")
+
+${evaluation}
+for name, value in ${varName}_metrics.items():
+    print(f"{name}: {value:.4f}")`
+        }
+    }
+})
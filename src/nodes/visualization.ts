@@ -0,0 +1,349 @@
+// 시각화 노드 (matplotlib / seaborn)
+// 노트북에서 그림마다 별도 셀이 되도록 그림 코드 안에는 빈 줄을 두지 않고 그림 사이에만 빈 줄을 둔다.
+import type { NodeData } from '../utils/pipelineToCode'
+import { pyString } from './data'
+import { evaluatedModel } from './evaluation'
+import { defineNode, type CodegenContext, type NodeIssue, type SplitVars, type ValidationContext } from './spec'
+import { toInt } from './tuning'
+
+const PLOT_IMPORTS = ['import matplotlib.pyplot as plt']
+const HEATMAP_IMPORTS = [...PLOT_IMPORTS, 'import seaborn as sns']
+
+// 예측 결과 입력을 쓰는 그림: Predict 노드의 예측 변수와 모델 이름
+function predictionSource(ctx: CodegenContext): { predVar: string; label: string } {
+    const conn = ctx.getConnection('prediction')
+    const model = evaluatedModel(ctx)
+    return {
+        predVar: `y_${(conn && ctx.varNameOf(conn.source)) || 'pred'}`,
+        label: model ? ctx.describeModel(model) : 'model'
+    }
+}
+
+// 모델 입력을 쓰는 그림: 모델 변수와 이름, 모델이 학습한 분기의 분할 데이터 변수
+function modelSource({ getSourceNode, varNameOf, describeModel, contextOf }: CodegenContext): { modelVar: string; label: string } & SplitVars {
+    const model = getSourceNode('model')
+    return {
+        modelVar: (model && varNameOf(model.id)) || 'model',
+        label: model ? describeModel(model) : 'model',
+        ...(model ? contextOf(model).splitVars() : { train: 'X_train', test: 'X_test' })
+    }
+}
+
+function plotTitle(title: string, label: string): string {
+    return pyString(`${title} - ${label}`)
+}
+
+// 예측 결과 입력 그림의 모델 종류 검사 (분류 전용 / 회귀 전용)
+function requirePredictionTask(task: 'classification' | 'regression', title: string) {
+    return (_node: NodeData, { getSourceNode, isRegression }: ValidationContext): NodeIssue[] => {
+        const predictNode = getSourceNode('prediction')
+        const model = predictNode ? getSourceNode('model', predictNode) : undefined
+        if (!model || isRegression(model) === (task === 'regression')) return []
+        return [{ code: 'invalid-value', severity: 'error', message: `${title}은(는) ${task === 'regression' ? '회귀' : '분류'} 모델 전용입니다.` }]
+    }
+}
+
+// 모델 입력 그림의 모델 검사 (predict_proba / clone 등 scikit-learn API 필요)
+function requireSklearnModel(title: string, task?: 'classification') {
+    return (_node: NodeData, { getSourceNode, isRegression, isSklearnEstimator }: ValidationContext): NodeIssue[] => {
+        const model = getSourceNode('model')
+        if (!model) return []
+        const issues: NodeIssue[] = []
+        if (!isSklearnEstimator(model)) {
+            issues.push({ code: 'invalid-value', severity: 'error', message: `${title}은(는) scikit-learn 모델만 지원합니다. (Keras/PyTorch 신경망 제외)` })
+        }
+        if (task === 'classification' && isRegression(model)) {
+            issues.push({ code: 'invalid-value', severity: 'error', message: `${title}은(는) 분류 모델 전용입니다.` })
+        }
+        return issues
+    }
+}
+
+export const confusionMatrixPlot = defineNode({
+    kind: 'confusionMatrixPlot',
+    labels: { ko: '혼동 행렬 히트맵', en: 'Confusion Matrix Plot', aliases: ['ConfusionMatrix'] },
+    category: 'ml-visualization',
+    sidebar: { section: 'visualization', label: 'Confusion Matrix', tip: '혼동 행렬 히트맵 (분류)\n입력: prediction, y_test' },
+    inputs: [
+        { key: 'prediction', socket: 'prediction', label: '예측결과' },
+        { key: 'test', socket: 'split', label: '테스트용' }
+    ],
+    controls: [
+        {
+            key: 'normalize', type: 'select', initial: '',
+            options: [
+                { value: '', label: '개수' },
+                { value: 'true', label: '실제 클래스별 비율' }
+            ],
+            hint: { label: '표시 값', title: '비율: 실제 클래스마다 합이 1이 되도록 정규화 (재현율)' }
+        }
+    ],
+    codegen: {
+        varName: 'cm',
+        usesTarget: () => true,
+        requiredInputs: { inputs: ['prediction', 'test'], message: '예측결과와 테스트용 데이터를 모두 연결해주세요.' },
+        validate: requirePredictionTask('classification', '혼동 행렬'),
+        imports: () => [...HEATMAP_IMPORTS, 'from sklearn.metrics import confusion_matrix'],
+        toCode: ctx => {
+            const { node, varName } = ctx
+            const { predVar, label } = predictionSource(ctx)
+            const normalized = node.controls?.normalize === 'true'
+
+            return `# 혼동 행렬 히트맵 - ${label}
+${varName}_labels = np.unique(np.concatenate([np.asarray(y_test).ravel(), np.asarray(${predVar}).ravel()]))
+${varName} = confusion_matrix(y_test, ${predVar}, labels=${varName}_labels${normalized ? ", normalize='true'" : ''})
+plt.figure(figsize=(6, 5))
+sns.heatmap(${varName}, annot=True, fmt='${normalized ? '.2f' : 'd'}', cmap='Blues', xticklabels=${varName}_labels, yticklabels=${varName}_labels)
+plt.xlabel('Predicted')
+plt.ylabel('Actual')
+plt.title(${plotTitle('Confusion Matrix', label)})
+plt.tight_layout()
+plt.show()`
+        }
+    }
+})
+
+const CURVES: Record<string, string> = {
+    both: 'ROC + Precision-Recall',
+    roc: 'ROC',
+    pr: 'Precision-Recall'
+}
+
+export const rocCurve = defineNode({
+    kind: 'rocCurve',
+    labels: { ko: 'ROC/PR 곡선', en: 'ROC / PR Curve', aliases: ['ROCCurve', 'PRCurve'] },
+    category: 'ml-visualization',
+    sidebar: { section: 'visualization', tip: 'ROC 곡선과 Precision-Recall 곡선 (분류, 다중 클래스는 클래스별)\n입력: model, X_test, y_test' },
+    inputs: [
+        { key: 'model', socket: 'model', label: '모델' },
+        { key: 'test', socket: 'split', label: '테스트용' }
+    ],
+    controls: [
+        {
+            key: 'curve', type: 'select', initial: 'both',
+            options: Object.entries(CURVES).map(([value, label]) => ({ value, label })),
+            hint: { label: '곡선', title: 'predict_proba가 없는 모델은 decision_function 점수를 사용' }
+        }
+    ],
+    codegen: {
+        varName: 'curve',
+        usesTarget: () => true,
+        requiredInputs: { inputs: ['model', 'test'], message: '모델과 테스트용 데이터를 모두 연결해주세요.' },
+        validate: requireSklearnModel('ROC/PR 곡선', 'classification'),
+        imports: () => [...PLOT_IMPORTS, 'from sklearn.metrics import RocCurveDisplay, PrecisionRecallDisplay'],
+        toCode: ctx => {
+            const { node, varName } = ctx
+            const { modelVar, label, test } = modelSource(ctx)
+            const curve = CURVES[node.controls?.curve] ? String(node.controls?.curve) : 'both'
+
+            // 클래스마다 one-vs-rest 곡선 (이진 분류는 양성 클래스 하나만)
+            const figure = (display: string, title: string, extra: string[] = []) => [
+                `# ${title}`,
+                'fig, ax = plt.subplots(figsize=(6, 5))',
+                `for i, cls in enumerate(${varName}_classes):`,
+                `    if len(${varName}_classes) == 2 and i == 0:`,
+                '        continue',
+                `    ${display}.from_predictions((np.asarray(y_test) == cls).astype(int), ${varName}_scores[:, i], name=f"class {cls}", ax=ax)`,
+                ...extra,
+                `ax.set_title(${plotTitle(title, label)})`,
+                'plt.tight_layout()',
+                'plt.show()'
+            ].join('\n')
+
+            const sections = [
+                `# ${CURVES[curve]} 곡선 - ${label}
+${varName}_scores = ${modelVar}.predict_proba(${test}) if hasattr(${modelVar}, 'predict_proba') else ${modelVar}.decision_function(${test})
+if ${varName}_scores.ndim == 1:
+    ${varName}_scores = np.column_stack([-${varName}_scores, ${varName}_scores])
+${varName}_classes = ${modelVar}.classes_`
+            ]
+            if (curve !== 'pr') sections.push(figure('RocCurveDisplay', 'ROC Curve', ["ax.plot([0, 1], [0, 1], 'k--', linewidth=1)"]))
+            if (curve !== 'roc') sections.push(figure('PrecisionRecallDisplay', 'Precision-Recall Curve'))
+            return sections.join('\n\n')
+        }
+    }
+})
+
+export const residualPlot = defineNode({
+    kind: 'residualPlot',
+    labels: { ko: '잔차 플롯', en: 'Residual Plot', aliases: ['Residuals'] },
+    category: 'ml-visualization',
+    sidebar: { section: 'visualization', tip: '잔차 분포와 실제값 대비 예측값 (회귀)\n입력: prediction, y_test' },
+    inputs: [
+        { key: 'prediction', socket: 'prediction', label: '예측결과' },
+        { key: 'test', socket: 'split', label: '테스트용' }
+    ],
+    codegen: {
+        varName: 'residuals',
+        usesTarget: () => true,
+        requiredInputs: { inputs: ['prediction', 'test'], message: '예측결과와 테스트용 데이터를 모두 연결해주세요.' },
+        validate: requirePredictionTask('regression', '잔차 플롯'),
+        imports: () => PLOT_IMPORTS,
+        toCode: ctx => {
+            const { varName } = ctx
+            const { predVar, label } = predictionSource(ctx)
+
+            return `# 잔차 플롯 - ${label}
+${varName}_pred = np.asarray(${predVar}).ravel()
+${varName} = np.asarray(y_test).ravel() - ${varName}_pred
+${varName}_range = [min(${varName}_pred.min(), np.min(y_test)), max(${varName}_pred.max(), np.max(y_test))]
+fig, axes = plt.subplots(1, 2, figsize=(11, 4))
+axes[0].scatter(${varName}_pred, ${varName}, alpha=0.6)
+axes[0].axhline(0, color='red', linestyle='--', linewidth=1)
+axes[0].set_xlabel('Predicted')
+axes[0].set_ylabel('Residual (actual - predicted)')
+axes[0].set_title('Residuals vs Predicted')
+axes[1].scatter(y_test, ${varName}_pred, alpha=0.6)
+axes[1].plot(${varName}_range, ${varName}_range, 'r--', linewidth=1)
+axes[1].set_xlabel('Actual')
+axes[1].set_ylabel('Predicted')
+axes[1].set_title('Actual vs Predicted')
+fig.suptitle(${plotTitle('Residual Plot', label)})
+plt.tight_layout()
+plt.show()`
+        }
+    }
+})
+
+export const featureImportance = defineNode({
+    kind: 'featureImportance',
+    labels: { ko: '특성 중요도', en: 'Feature Importance', aliases: ['FeatureImportance'] },
+    category: 'ml-visualization',
+    sidebar: { section: 'visualization', tip: '특성 중요도 막대 그래프 (트리 중요도/선형 계수, 없으면 순열 중요도)\n입력: model, X_test, y_test' },
+    inputs: [
+        { key: 'model', socket: 'model', label: '모델' },
+        { key: 'test', socket: 'split', label: '테스트용' }
+    ],
+    controls: [
+        {
+            key: 'method', type: 'select', initial: 'auto',
+            options: [
+                { value: 'auto', label: '자동 (모델 속성 → 순열)' },
+                { value: 'permutation', label: '순열 중요도 (Permutation)' }
+            ],
+            hint: { label: '계산 방법', title: 'pipeline 모드에서 전처리를 포함한 모델은 원본 컬럼 기준 순열 중요도를 사용' }
+        },
+        { key: 'top', type: 'number', initial: 20, hint: { label: '표시 개수', title: '중요도 상위 N개 특성' } }
+    ],
+    codegen: {
+        varName: 'importance',
+        usesTarget: () => true,
+        requiredInputs: { inputs: ['model', 'test'], message: '모델과 테스트용 데이터를 모두 연결해주세요.' },
+        validate: requireSklearnModel('특성 중요도'),
+        imports: () => [...PLOT_IMPORTS, 'from sklearn.inspection import permutation_importance'],
+        toCode: ctx => {
+            const { node, varName, settings, seed } = ctx
+            const { modelVar, label, test } = modelSource(ctx)
+            const top = Math.max(1, toInt(node.controls?.top, 20))
+            const permutation = `permutation_importance(${modelVar}, ${test}, y_test, n_repeats=10, random_state=${seed}, n_jobs=${settings.nJobs}).importances_mean`
+            // 전처리 노드가 테스트 데이터를 배열로 바꾼 경우 분할 전 컬럼 이름 사용 (특성 수가 같을 때)
+            const values = node.controls?.method === 'permutation'
+                ? `${varName}_values = ${permutation}`
+                : `if hasattr(${modelVar}, 'feature_importances_'):
+    ${varName}_values = ${modelVar}.feature_importances_
+elif hasattr(${modelVar}, 'coef_'):
+    ${varName}_values = np.abs(np.atleast_2d(${modelVar}.coef_)).mean(axis=0)
+else:
+    ${varName}_values = ${permutation}`
+
+            return `# 특성 중요도 - ${label}
+${varName}_names = list(${test}.columns) if hasattr(${test}, 'columns') else (list(X.columns) if X.shape[1] == ${test}.shape[1] else [f'x{i}' for i in range(${test}.shape[1])])
+${values}
+${varName} = pd.Series(${varName}_values, index=${varName}_names).sort_values(ascending=False).head(${top})
+plt.figure(figsize=(8, max(3, 0.35 * len(${varName}))))
+${varName}.iloc[::-1].plot(kind='barh')
+plt.xlabel('Importance')
+plt.title(${plotTitle('Feature Importance', label)})
+plt.tight_layout()
+plt.show()`
+        }
+    }
+})
+
+export const learningCurve = defineNode({
+    kind: 'learningCurve',
+    labels: { ko: '학습 곡선', en: 'Learning Curve', aliases: ['LearningCurve'] },
+    category: 'ml-visualization',
+    sidebar: { section: 'visualization', tip: '훈련 데이터 크기별 훈련/검증 점수 (과적합·과소적합 진단)\n입력: model, X_train, y_train' },
+    inputs: [
+        { key: 'model', socket: 'model', label: '모델' },
+        { key: 'train', socket: 'split', label: '훈련용' }
+    ],
+    controls: [
+        { key: 'cv', type: 'number', initial: 5, hint: { label: 'CV 폴드', title: '교차 검증 폴드 수 (2 이상)' } }
+    ],
+    codegen: {
+        varName: 'lc',
+        usesTarget: () => true,
+        requiredInputs: { inputs: ['model', 'train'], message: '모델과 훈련용 데이터를 모두 연결해주세요.' },
+        validate: (node, ctx) => {
+            const issues = requireSklearnModel('학습 곡선')(node, ctx)
+            if (toInt(node.controls?.cv, 5) < 2) {
+                issues.push({ code: 'invalid-value', severity: 'error', message: 'CV 폴드 수는 2 이상이어야 합니다.' })
+            }
+            return issues
+        },
+        imports: () => [...PLOT_IMPORTS, 'from sklearn.model_selection import learning_curve', 'from sklearn.base import clone'],
+        toCode: ctx => {
+            const { node, varName, settings, seed } = ctx
+            const { modelVar, label, train } = modelSource(ctx)
+
+            return `# 학습 곡선 - ${label}
+${varName}_sizes, ${varName}_train, ${varName}_valid = learning_curve(
+    clone(${modelVar}), ${train}, y_train, cv=${toInt(node.controls?.cv, 5)},
+    train_sizes=np.linspace(0.1, 1.0, 5), shuffle=True, random_state=${seed}, n_jobs=${settings.nJobs},
+)
+plt.figure(figsize=(7, 4))
+for scores, name in [(${varName}_train, 'Train'), (${varName}_valid, 'Validation')]:
+    plt.plot(${varName}_sizes, scores.mean(axis=1), 'o-', label=name)
+    plt.fill_between(${varName}_sizes, scores.mean(axis=1) - scores.std(axis=1), scores.mean(axis=1) + scores.std(axis=1), alpha=0.2)
+plt.xlabel('Training samples')
+plt.ylabel('Score')
+plt.title(${plotTitle('Learning Curve', label)})
+plt.legend()
+plt.grid(alpha=0.3)
+plt.tight_layout()
+plt.show()`
+        }
+    }
+})
+
+export const correlationHeatmap = defineNode({
+    kind: 'correlationHeatmap',
+    labels: { ko: '상관관계 히트맵', en: 'Correlation Heatmap', aliases: ['CorrelationHeatmap'] },
+    category: 'ml-visualization',
+    sidebar: { section: 'visualization', tip: '수치형 컬럼 간 상관계수 히트맵\n입력: data (데이터 또는 X_train)' },
+    inputs: [{ key: 'data', socket: 'data', label: '데이터' }],
+    controls: [
+        {
+            key: 'method', type: 'select', initial: 'pearson',
+            options: [
+                { value: 'pearson', label: 'Pearson (선형)' },
+                { value: 'spearman', label: 'Spearman (순위)' },
+                { value: 'kendall', label: 'Kendall (순위)' }
+            ],
+            hint: { label: '상관계수', title: '상관계수 계산 방법' }
+        }
+    ],
+    codegen: {
+        varName: 'corr',
+        requiredInputs: { inputs: ['data'], message: '데이터를 입력해주세요.' },
+        imports: () => HEATMAP_IMPORTS,
+        toCode: ({ node, varName, inputOrigin, splitVars }) => {
+            const method = ['spearman', 'kendall'].includes(node.controls?.method) ? String(node.controls?.method) : 'pearson'
+            // Data Split(또는 그 뒤 전처리)에서 오면 그 분기의 훈련/테스트 데이터, 아니면 데이터프레임
+            const origin = inputOrigin()
+            const source = !origin || origin.socket === 'split'
+                ? splitVars()[origin?.output === 'test' ? 'test' : 'train']
+                : origin.varName
+
+            return `# 상관관계 히트맵 (${method})
+${varName} = pd.DataFrame(${source}).select_dtypes(include=np.number).corr(method='${method}')
+plt.figure(figsize=(max(6, 0.6 * len(${varName})), max(5, 0.5 * len(${varName}))))
+sns.heatmap(${varName}, annot=len(${varName}) <= 12, fmt='.2f', cmap='coolwarm', vmin=-1, vmax=1, square=True)
+plt.title('Correlation Heatmap (${method})')
+plt.tight_layout()
+plt.show()`
+        }
+    }
+})
@@ -1,17 +1,38 @@
 // Rete 코어 및 프리셋 가져오기 (TypeScript 변환)
 import { NodeEditor, ClassicPreset } from 'rete'
-import { AreaPlugin } from 'rete-area-plugin'
+import { AreaPlugin, AreaExtensions } from 'rete-area-plugin'
 import { ConnectionPlugin, Presets as ConnectionPresets } from 'rete-connection-plugin'
 import { ReactPlugin, Presets as ReactPresets } from 'rete-react-plugin'
+import { ScopesPlugin } from 'rete-scopes-plugin'
 import { createRoot } from 'react-dom/client'
 
 // Custom themed components for nodes, sockets, connections
 import { CustomNode } from '../customization/CustomNode.tsx'
+import { GroupNodeView } from '../customization/GroupNodeView'
+import { NoteNodeView } from '../customization/NoteNodeView'
 import { CustomSocket } from '../customization/CustomSocket'
 import { CustomConnection } from '../customization/CustomConnection'
 import { SelectControl, SelectControlComponent } from '../customization/SelectControl.tsx'
+import { MultiSelectControl, MultiSelectControlComponent } from '../customization/MultiSelectControl.tsx'
 import { addCustomBackground } from '../customization/custom-background'
 import { listStoredCSVFiles, getCSVColumns } from '../utils/csvHandler'
+import { createHistory, type EditorHistory } from './history'
+import { arrangeNodes } from './layout'
+import { createLiveValidation, type LiveValidation } from './validation'
+import { writeFragmentToClipboard, readFragmentFromClipboard, decodeFragment, type GraphFragment } from './clipboard'
+import { normalizePipelineSettings, type GraphData, type PipelineIssue, type PipelineSettings } from '../utils/pipelineToCode'
+import { getNodeSpec, isNodeKind, labelToKind, type ControlSpec, type NodeKind, type NodeSpec } from '../nodes'
+import {
+    dataframeSocket,
+    splitSocket,
+    dataSocket,
+    modelSocket,
+    predictionSocket,
+    metricsSocket,
+    isSocketCompatible,
+    getSocketLabel,
+    type SocketType
+} from './sockets'
 import '../customization/background.css'
 
 // 현재 로직 ID를 저장하는 전역 변수
@@ -23,19 +44,6 @@ export function setCurrentLogicId(logicId: string | undefined) {
 }
 
 // -------------------- 타입 선언/유틸 --------------------
-export type NodeKind =
-    // ML Pipeline Nodes
-    'dataLoader'
-    | 'dataSplit'
-    | 'scaler'
-    | 'featureSelection'
-    | 'classifier'
-    | 'regressor'
-    | 'neuralNet'
-    | 'evaluate'
-    | 'predict'
-    | 'hyperparamTune'
-
 export type SerializedGraph = {
     nodes: Array<{
         id: string
@@ -43,6 +51,14 @@ export type SerializedGraph = {
         kind?: NodeKind
         position: { x: number; y: number }
         controls?: Record<string, any>
+        // 소속 그룹 노드 id (스코프)
+        parent?: string
+        // 그룹 노드 접힘 여부
+        collapsed?: boolean
+        // 노드 코멘트 (노트북 마크다운 셀로 출력)
+        comment?: string
+        // 비활성화(우회) 여부: 코드 생성/검증 시 입력을 그대로 다음 노드로 전달
+        disabled?: boolean
     }>
     connections: Array<{
         id: string
@@ -53,276 +69,167 @@ export type SerializedGraph = {
     }>
     // 실제 구현에서 viewport도 직렬화/역직렬화하므로 타입에 포함(옵션)
     viewport?: { k: number; x: number; y: number }
+    // 직렬화 포맷 버전 (없으면 타입 소켓 도입 이전 그래프)
+    version?: number
+    // 로직별 파이프라인 설정 (시드, 분할 기본값, 출력 수준 등 / 없으면 기본값)
+    settings?: Partial<PipelineSettings>
 }
 
+export const GRAPH_VERSION = 2
+
 export class TradeNode extends ClassicPreset.Node {
     declare kind: NodeKind
     declare category: string
     declare _controlHints?: Record<string, { label: string; title?: string }>
-}
-
-// Typed sockets according to the design
-// 소켓 타입 정의
-const numberSocket = new ClassicPreset.Socket('number') // 숫자 값 전달
-
-// -------------------- ML Pipeline Nodes --------------------
-
-export class DataLoaderNode extends TradeNode {
-    private updateFilesListener: ((event: Event) => void) | null = null
-
-    constructor() {
-        super('Data Loader')
-        this.addOutput('data', new ClassicPreset.Output(numberSocket, '데이터'))
-        
-        // 초기 파일 목록 로드
-        this.updateFileControl()
-        
-        // CSV 파일 업데이트 이벤트 리스너 등록
-        this.updateFilesListener = ((event: CustomEvent) => {
-            const { logicId } = event.detail
-            // 현재 로직 ID와 일치하는 경우에만 업데이트
-            if (logicId === currentLogicId) {
-                this.updateFileControl()
+    // 컨트롤 값 변경 알림 (에디터에 추가된 뒤 히스토리가 연결함)
+    declare onControlChange?: (key: string, prev: any, next: any) => void
+    // 실시간 검증 결과 (노드 배지 표시용)
+    declare issues?: PipelineIssue[]
+    // 스코프 플러그인이 사용하는 크기/소속 그룹 (일반 노드의 크기는 렌더링 후 실측값으로 갱신)
+    width = 200
+    height = 120
+    parent?: string
+    // 리뷰/수업용 코멘트 (코드 생성 시 노트북 마크다운 셀)
+    comment?: string
+    declare onCommentChange?: (comment: string) => void
+    // 비활성화(우회): 회색으로 표시되고 코드 생성에서 건너뜀
+    disabled = false
+    declare onToggleDisabled?: () => void
+
+    // setValue를 감싸 이전/이후 값을 알린다 (CSV 갱신으로 다시 추가되는 컨트롤 포함)
+    addControl(key: string, control: ClassicPreset.Control): void {
+        const ctrl: any = control
+        if (ctrl && typeof ctrl.setValue === 'function') {
+            const originalSetValue = ctrl.setValue.bind(ctrl)
+            ctrl.setValue = (value: any) => {
+                const prev = ctrl.value
+                originalSetValue(value)
+                if (this.onControlChange) this.onControlChange(key, prev, value)
             }
-        }) as (event: Event) => void
-        
-        window.addEventListener('csv-files-updated', this.updateFilesListener)
-        
-        this.kind = 'dataLoader'
-        this.category = 'ml-source'
-        this._controlHints = {
-            fileName: { label: '데이터 파일', title: 'CSV 파일을 선택하거나 경로를 입력하세요' }
         }
+        super.addControl(key as never, control as never)
     }
+}
 
-    private updateFileControl() {
-        // 기존 컨트롤 제거
-        if (this.controls.fileName) {
-            delete this.controls.fileName
-        }
+// -------------------- 레지스트리 노드 --------------------
 
-        // localStorage에서 업로드된 CSV 파일 목록 가져오기
-        const uploadedFiles = listStoredCSVFiles(currentLogicId)
-        
-        if (uploadedFiles.length > 0) {
-            // 업로드된 파일이 있으면 드롭다운으로 선택
-            const fileOptions = uploadedFiles.map(file => ({
-                value: file,
-                label: file
-            }))
-            // 기본 "파일 선택" 옵션 추가
-            fileOptions.unshift({ value: '', label: '📁 CSV 파일 선택...' })
-            
-            this.addControl('fileName', new SelectControl(fileOptions, ''))
-        } else {
-            // 업로드된 파일이 없으면 텍스트 입력
-            this.addControl('fileName', new ClassicPreset.InputControl('text', { initial: 'data.csv' }))
-        }
-    }
+const SOCKETS: Record<SocketType, ClassicPreset.Socket> = {
+    dataframe: dataframeSocket,
+    split: splitSocket,
+    data: dataSocket,
+    model: modelSocket,
+    prediction: predictionSocket,
+    metrics: metricsSocket
+}
 
-    // 노드가 제거될 때 이벤트 리스너 정리
-    destroy() {
-        if (this.updateFilesListener) {
-            window.removeEventListener('csv-files-updated', this.updateFilesListener)
-        }
-    }
+// 업로드된 CSV 파일 이름 / 모든 CSV 파일의 컬럼 (현재 로직 기준)
+function csvControlOptions(type: 'csvFile' | 'csvColumn' | 'csvColumns'): string[] {
+    const uploadedFiles = listStoredCSVFiles(currentLogicId)
+    if (type === 'csvFile') return uploadedFiles
+    const allColumns = new Set<string>()
+    uploadedFiles.forEach(fileName => {
+        getCSVColumns(fileName, currentLogicId).forEach(col => allColumns.add(col))
+    })
+    return Array.from(allColumns)
 }
 
-export class DataSplitNode extends TradeNode {
-    private updateColumnsListener: ((event: any) => void) | null = null
+// autoSelect: 새로 만든 노드만 컬럼 기본 선택 적용 (불러온 노드는 저장된 값, 없으면 빈 값)
+function createControl(spec: ControlSpec, autoSelect = false): ClassicPreset.Control {
+    if (spec.type === 'select') return new SelectControl(spec.options || [], String(spec.initial))
+    // 숫자 initial이 ''이면 빈 입력으로 시작 (파이프라인 설정 기본값 사용)
+    if (spec.type === 'number') return new ClassicPreset.InputControl('number', { initial: spec.initial === '' ? undefined : Number(spec.initial) })
+    if (spec.type === 'text') return new ClassicPreset.InputControl('text', { initial: String(spec.initial) })
+
+    // 업로드된 CSV가 있으면 드롭다운으로 선택, 없으면 텍스트 입력
+    const values = csvControlOptions(spec.type)
+    if (values.length === 0) return new ClassicPreset.InputControl('text', { initial: String(spec.initial) })
+    if (spec.type === 'csvColumns') return new MultiSelectControl(values, String(spec.initial))
+    const options = values.map(value => ({ value, label: value }))
+    options.unshift({ value: '', label: spec.placeholder || '선택...' })
+    return new SelectControl(options, (autoSelect && spec.autoSelect?.(values)) || '')
+}
 
-    constructor() {
-        super('Data Split')
-        this.addInput('data', new ClassicPreset.Input(numberSocket, '데이터'))
-        this.addOutput('train', new ClassicPreset.Output(numberSocket, '훈련용'))
-        this.addOutput('test', new ClassicPreset.Output(numberSocket, '테스트용'))
-        
-        // 초기 타겟 컬럼 컨트롤 (드롭다운으로 시작)
-        this.updateTargetColumnControl()
-        
-        this.addControl('ratio', new ClassicPreset.InputControl('number', { initial: 0.8 }))
-        this.kind = 'dataSplit'
-        this.category = 'ml-preprocessing'
-        this._controlHints = {
-            targetColumn: { label: '타겟 컬럼', title: '예측할 목표 변수의 컬럼명' },
-            ratio: { label: '학습 비율', title: '학습 데이터 비율 (0~1)' }
+// 레지스트리 정의(NodeSpec)로 포트/컨트롤/힌트를 구성하는 노드
+export class SpecNode extends TradeNode {
+    private csvListener: ((event: Event) => void) | null = null
+
+    // restored: 저장된 그래프/실행 취소/붙여넣기로 다시 만든 노드
+    constructor(spec: NodeSpec, restored = false) {
+        super(spec.labels.en)
+        this.kind = spec.kind as NodeKind
+        this.category = spec.category
+        for (const port of spec.inputs || []) {
+            this.addInput(port.key, new ClassicPreset.Input(SOCKETS[port.socket], port.label))
         }
-
-        // CSV 파일 업데이트 이벤트 리스너
-        this.updateColumnsListener = () => {
-            this.updateTargetColumnControl()
+        for (const port of spec.outputs || []) {
+            this.addOutput(port.key, new ClassicPreset.Output(SOCKETS[port.socket], port.label))
         }
-        window.addEventListener('csv-files-updated', this.updateColumnsListener)
-        window.addEventListener('csv-columns-updated', this.updateColumnsListener)
-    }
 
-    private updateTargetColumnControl() {
-        // 기존 컨트롤 제거
-        if (this.controls.targetColumn) {
-            delete this.controls.targetColumn
-        }
-
-        // 모든 CSV 파일의 컬럼 수집
-        const uploadedFiles = listStoredCSVFiles(currentLogicId)
-        const allColumns = new Set<string>()
-        
-        uploadedFiles.forEach(fileName => {
-            const columns = getCSVColumns(fileName, currentLogicId)
-            columns.forEach(col => allColumns.add(col))
-        })
-
-        if (allColumns.size > 0) {
-            // 컬럼이 있으면 드롭다운
-            const columnOptions = Array.from(allColumns).map(col => ({
-                value: col,
-                label: col
-            }))
-            columnOptions.unshift({ value: '', label: '🎯 타겟 컬럼 선택...' })
-            
-            this.addControl('targetColumn', new SelectControl(columnOptions, ''))
-        } else {
-            // 컬럼이 없으면 텍스트 입력
-            this.addControl('targetColumn', new ClassicPreset.InputControl('text', { initial: 'target' }))
+        const controls = spec.controls || []
+        for (const control of controls) this.addControl(control.key, createControl(control, !restored))
+        const hints = controls.filter(c => c.hint).map(c => [c.key, c.hint!] as const)
+        if (hints.length) this._controlHints = Object.fromEntries(hints)
+
+        // CSV 업로드/삭제 시 파일·컬럼 드롭다운 다시 구성
+        const csvControls = controls.filter(c => c.type === 'csvFile' || c.type === 'csvColumn' || c.type === 'csvColumns')
+        if (csvControls.length) {
+            this.csvListener = (event: Event) => {
+                const { logicId } = (event as CustomEvent).detail || {}
+                for (const control of csvControls) {
+                    // 파일 목록은 현재 로직의 업로드 변경에만 반응
+                    if (control.type === 'csvFile' && (event.type !== 'csv-files-updated' || logicId !== currentLogicId)) continue
+                    const previous = (this.controls as Record<string, any>)[control.key]
+                    delete (this.controls as Record<string, unknown>)[control.key]
+                    const next: any = createControl(control, !restored)
+                    // 여러 컬럼 선택은 목록이 바뀌어도 기존 선택 유지
+                    if (control.type === 'csvColumns' && previous?.value) next.value = previous.value
+                    // 단일 컬럼 드롭다운도 기존 선택 유지 ('선택 안 함' 포함, 목록에서 빠진 컬럼은 항목으로 남김)
+                    if (control.type === 'csvColumn' && previous instanceof SelectControl && next instanceof SelectControl) {
+                        if (previous.value && !next.options.some(o => o.value === previous.value)) {
+                            next.options.push({ value: previous.value, label: previous.value })
+                        }
+                        next.value = previous.value
+                    }
+                    this.addControl(control.key, next)
+                }
+            }
+            window.addEventListener('csv-files-updated', this.csvListener)
+            window.addEventListener('csv-columns-updated', this.csvListener)
         }
     }
 
+    // 노드가 제거될 때 이벤트 리스너 정리
     destroy() {
-        if (this.updateColumnsListener) {
-            window.removeEventListener('csv-files-updated', this.updateColumnsListener)
-            window.removeEventListener('csv-columns-updated', this.updateColumnsListener)
-        }
-    }
-}
-
-export class ScalerNode extends TradeNode {
-    constructor() {
-        super('Scaler')
-        this.addInput('data', new ClassicPreset.Input(numberSocket, '데이터'))
-        this.addOutput('data', new ClassicPreset.Output(numberSocket, '데이터'))
-        
-        // Scaler 방법 드롭다운
-        const scalerOptions = [
-            { value: 'StandardScaler', label: 'StandardScaler (평균 0, 분산 1)' },
-            { value: 'MinMaxScaler', label: 'MinMaxScaler (0~1 범위)' },
-            { value: 'RobustScaler', label: 'RobustScaler (이상치 강건)' },
-            { value: 'MaxAbsScaler', label: 'MaxAbsScaler (-1~1 범위)' }
-        ]
-        
-        this.addControl('method', new SelectControl(scalerOptions, 'StandardScaler'))
-        this.kind = 'scaler'
-        this.category = 'ml-preprocessing'
-        this._controlHints = {
-            method: { label: 'Scaler 방법', title: '데이터 스케일링 방법을 선택하세요' }
+        if (this.csvListener) {
+            window.removeEventListener('csv-files-updated', this.csvListener)
+            window.removeEventListener('csv-columns-updated', this.csvListener)
         }
     }
 }
 
-export class FeatureSelectionNode extends TradeNode {
-    constructor() {
-        super('Feature Selection')
-        this.addInput('data', new ClassicPreset.Input(numberSocket, '데이터'))
-        this.addOutput('data', new ClassicPreset.Output(numberSocket, '데이터'))
-        this.addControl('method', new ClassicPreset.InputControl('text', { initial: 'SelectKBest' }))
-        this.addControl('k', new ClassicPreset.InputControl('number', { initial: 10 }))
-        this.kind = 'featureSelection'
-        this.category = 'ml-preprocessing'
-    }
-}
-
-export class ClassifierNode extends TradeNode {
-    constructor() {
-        super('Classifier')
-        this.addInput('train', new ClassicPreset.Input(numberSocket, '훈련용'))
-        this.addOutput('model', new ClassicPreset.Output(numberSocket, '모델'))
-        
-        // 분류 알고리즘 드롭다운
-        const algorithmOptions = [
-            { value: 'RandomForest', label: 'Random Forest (앙상블)' },
-            { value: 'LogisticRegression', label: 'Logistic Regression (선형)' },
-            { value: 'SVM', label: 'SVM (서포트 벡터 머신)' },
-            { value: 'DecisionTree', label: 'Decision Tree (의사결정 트리)' },
-            { value: 'KNN', label: 'K-Nearest Neighbors (KNN)' },
-            { value: 'GradientBoosting', label: 'Gradient Boosting (부스팅)' }
-        ]
-        
-        this.addControl('algorithm', new SelectControl(algorithmOptions, 'RandomForest'))
-        this.addControl('n_estimators', new ClassicPreset.InputControl('number', { initial: 100 }))
-        this.kind = 'classifier'
-        this.category = 'ml-model'
-        this._controlHints = {
-            algorithm: { label: '알고리즘', title: '분류 알고리즘 선택' },
-            n_estimators: { label: '트리 개수', title: 'RandomForest/GradientBoosting 전용' }
-        }
-    }
-}
-
-export class RegressorNode extends TradeNode {
-    constructor() {
-        super('Regressor')
-        this.addInput('train', new ClassicPreset.Input(numberSocket, '훈련용'))
-        this.addOutput('model', new ClassicPreset.Output(numberSocket, '모델'))
-        
-        // 회귀 알고리즘 드롭다운
-        const algorithmOptions = [
-            { value: 'LinearRegression', label: 'Linear Regression (선형 회귀)' },
-            { value: 'Ridge', label: 'Ridge (L2 정규화)' },
-            { value: 'Lasso', label: 'Lasso (L1 정규화)' },
-            { value: 'RandomForestRegressor', label: 'Random Forest Regressor' },
-            { value: 'SVR', label: 'SVR (서포트 벡터 회귀)' },
-            { value: 'GradientBoostingRegressor', label: 'Gradient Boosting Regressor' }
-        ]
-        
-        this.addControl('algorithm', new SelectControl(algorithmOptions, 'LinearRegression'))
-        this.kind = 'regressor'
-        this.category = 'ml-model'
-        this._controlHints = {
-            algorithm: { label: '알고리즘', title: '회귀 알고리즘 선택' }
-        }
-    }
-}
+// -------------------- Canvas Nodes --------------------
 
-export class NeuralNetNode extends TradeNode {
-    constructor() {
-        super('Neural Network')
-        this.addInput('train', new ClassicPreset.Input(numberSocket, '훈련용'))
-        this.addOutput('model', new ClassicPreset.Output(numberSocket, '모델'))
-        this.addControl('layers', new ClassicPreset.InputControl('text', { initial: '64,32' }))
-        this.addControl('epochs', new ClassicPreset.InputControl('number', { initial: 50 }))
-        this.kind = 'neuralNet'
-        this.category = 'ml-model'
-    }
-}
+const GROUP_MIN_SIZE = { width: 240, height: 120 }
+const GROUP_COLLAPSED_SIZE = { width: 240, height: 52 }
 
-export class EvaluateNode extends TradeNode {
-    constructor() {
-        super('Evaluate')
-        this.addInput('prediction', new ClassicPreset.Input(numberSocket, '예측결과'))
-        this.addInput('test', new ClassicPreset.Input(numberSocket, '테스트용'))
-        this.addOutput('metrics', new ClassicPreset.Output(numberSocket, '평가결과'))
-        this.kind = 'evaluate'
-        this.category = 'ml-evaluation'
-    }
-}
+// 여러 노드를 묶는 접이식 프레임 (rete-scopes-plugin 부모 노드, 코드 생성 대상 아님)
+export class GroupNode extends SpecNode {
+    collapsed = false
+    // 접기/펼치기 요청 (에디터에 추가된 뒤 createAppEditor가 연결함)
+    declare onToggleCollapse?: () => void
 
-export class PredictNode extends TradeNode {
     constructor() {
-        super('Predict')
-        this.addInput('model', new ClassicPreset.Input(numberSocket, '모델'))
-        this.addInput('test', new ClassicPreset.Input(numberSocket, '테스트용'))
-        this.addOutput('prediction', new ClassicPreset.Output(numberSocket, '예측결과'))
-        this.kind = 'predict'
-        this.category = 'ml-prediction'
+        super(getNodeSpec('group')!)
+        this.width = GROUP_MIN_SIZE.width
+        this.height = GROUP_MIN_SIZE.height
     }
 }
 
-export class HyperparamTuneNode extends TradeNode {
+// 캔버스 메모 (마크다운 텍스트, 가장 가까운 노드의 코드 옆에 노트북 마크다운 셀로 출력)
+export class NoteNode extends SpecNode {
     constructor() {
-        super('Hyperparameter Tuning')
-        this.addInput('train', new ClassicPreset.Input(numberSocket, '훈련용'))
-        this.addOutput('model', new ClassicPreset.Output(numberSocket, '모델'))
-        this.addControl('method', new ClassicPreset.InputControl('text', { initial: 'GridSearch' }))
-        this.kind = 'hyperparamTune'
-        this.category = 'ml-optimization'
+        super(getNodeSpec('note')!)
+        this.width = 220
     }
 }
 
@@ -331,23 +238,44 @@ export class HyperparamTuneNode extends TradeNode {
 export async function createAppEditor(container: HTMLElement): Promise<{
         editor: any
         area: any
+        history: EditorHistory
+        validation: LiveValidation
+        focusNode: (id: string) => Promise<void>
         destroy: () => void
     }> {
     const editor = new NodeEditor()
     const area: any = new AreaPlugin(container as unknown as HTMLElement)
     const connection: any = new ConnectionPlugin()
     const reactRender: any = new ReactPlugin({ createRoot })
+    // 그룹(스코프): 접힌 그룹의 하위 노드는 크기 계산에서 제외하고, 접힌 그룹은 고정 크기로 표시
+    const scopes: any = new ScopesPlugin({
+        exclude: (id) => isHiddenByGroup(editor, id),
+        size: (id, size) => {
+            const node = editor.getNode(id)
+            if (node instanceof GroupNode && node.collapsed) return { ...GROUP_COLLAPSED_SIZE }
+            return {
+                width: Math.max(size.width, GROUP_MIN_SIZE.width),
+                height: Math.max(size.height, GROUP_MIN_SIZE.height)
+            }
+        }
+    })
 
     editor.use(area)
     area.use(connection)
     area.use(reactRender)
+    area.use(scopes)
 
     connection.addPreset(ConnectionPresets.classic.setup())
     // Apply custom theming for Node/Socket/Connection
     reactRender.addPreset(
         (ReactPresets as any).classic.setup({
             customize: {
-                node() { return CustomNode },
+                node(data: any) {
+                    // 그룹 노드는 프레임, 메모는 스티키 노트 형태로 렌더링
+                    if (data.payload instanceof GroupNode) return GroupNodeView
+                    if (data.payload instanceof NoteNode) return NoteNodeView
+                    return CustomNode
+                },
                 socket() { return CustomSocket },
                 connection() { return CustomConnection },
                 control(data: any) {
@@ -355,6 +283,9 @@ export async function createAppEditor(container: HTMLElement): Promise<{
                     if (data.payload instanceof SelectControl) {
                         return SelectControlComponent
                     }
+                    if (data.payload instanceof MultiSelectControl) {
+                        return MultiSelectControlComponent
+                    }
                     // 기본 컨트롤은 Rete의 기본 렌더러 사용
                     return null
                 }
@@ -389,6 +320,269 @@ export async function createAppEditor(container: HTMLElement): Promise<{
             return res
         }
 
+    // -------------------- Undo/Redo 히스토리 --------------------
+    const history = createHistory(editor, area, {
+        serializeNode: (id) => {
+            const node = editor.getNode(id) as TradeNode | undefined
+            return node ? serializeNode(node, area) : undefined
+        },
+        restoreNode: async (data) => {
+            const node = createNodeByKind((data.kind || labelToKind(data.label)) as NodeKind, true)
+            node.id = data.id
+            if (data.parent && editor.getNode(data.parent)) node.parent = data.parent
+            if (node instanceof GroupNode) node.collapsed = !!data.collapsed
+            node.comment = data.comment || undefined
+            node.disabled = !!data.disabled
+            applyControlValues(node, data.controls)
+            await editor.addNode(node)
+            await area.translate(node.id, data.position)
+            await refreshGroups([node.parent, node.id])
+        },
+        restoreConnection: async (con) => {
+            uncheckedConnections.add(con)
+            await editor.addConnection(con)
+        },
+        setControlValue: async (id, key, value) => {
+            const node = editor.getNode(id) as TradeNode | undefined
+            const ctrl: any = node && (node.controls as any)[key]
+            if (!ctrl) return
+            if (typeof ctrl.setValue === 'function') ctrl.setValue(value)
+            else ctrl.value = value
+            await area.update('control', ctrl.id)
+            await area.update('node', id)
+        },
+        setParent: (id, parent) => applyParent(id, parent),
+        setComment: (id, comment) => applyComment(id, comment),
+        setDisabled: (id, disabled) => applyDisabled(id, disabled)
+    })
+    // -------------------- 실시간 검증 --------------------
+    const validation = createLiveValidation(editor, area, () => exportGraph(editor, area) as GraphData)
+
+    // 에디터에 추가된 노드의 컨트롤 변경을 히스토리/검증에 연결
+    editor.addPipe((context: any) => {
+        if (context && typeof context === 'object' && context.type === 'nodecreated') {
+            const node = context.data as TradeNode
+            node.onControlChange = (key, prev, next) => {
+                history.recordControl(node.id, key, prev, next)
+                validation.schedule()
+            }
+            node.onCommentChange = (comment) => { void setNodeComment(node.id, comment) }
+            node.onToggleDisabled = () => { void setNodesDisabled([node.id], !node.disabled) }
+            if (node instanceof GroupNode) node.onToggleCollapse = () => { void toggleGroupCollapse(node.id) }
+        }
+        return context
+    })
+
+    // -------------------- 그룹(스코프) 관리 --------------------
+    // 그룹 크기/표시 상태/그리기 순서 갱신 (상위 그룹까지)
+    async function refreshGroups(ids: Array<string | undefined>) {
+        const targets = new Map<string, TradeNode>()
+        for (const id of ids) {
+            let cur = id ? editor.getNode(id) as TradeNode | undefined : undefined
+            while (cur && !targets.has(cur.id)) {
+                if (cur instanceof GroupNode) targets.set(cur.id, cur)
+                cur = cur.parent ? editor.getNode(cur.parent) as TradeNode | undefined : undefined
+            }
+        }
+        // 안쪽 그룹부터 맞춰야 바깥 그룹이 올바르게 감싼다
+        const ordered = Array.from(targets.values()).sort((a, b) => groupDepth(editor, b) - groupDepth(editor, a))
+        for (const group of ordered) {
+            try { await scopes.update(group.id) } catch (e) { console.warn('[group] 크기 갱신 실패', group.id, e) }
+        }
+        orderGroupViews(editor, area)
+        applyGroupVisibility(editor, area)
+    }
+
+    // 소속 그룹 변경 (히스토리 기록 없이 적용)
+    async function applyParent(id: string, parent: string | undefined) {
+        const node = editor.getNode(id) as TradeNode | undefined
+        if (!node) return
+        const prev = node.parent
+        node.parent = parent && editor.getNode(parent) ? parent : undefined
+        await refreshGroups([prev, node.parent])
+    }
+
+    async function setNodeParent(id: string, parent: string | undefined) {
+        const node = editor.getNode(id) as TradeNode | undefined
+        if (!node || node.parent === parent) return
+        history.recordParent(id, node.parent, parent)
+        await applyParent(id, parent)
+    }
+
+    async function toggleGroupCollapse(id: string) {
+        const node = editor.getNode(id)
+        if (!(node instanceof GroupNode)) return
+        node.collapsed = !node.collapsed
+        await refreshGroups([id])
+        await area.update('node', id)
+    }
+
+    // -------------------- 노드 코멘트 --------------------
+    async function applyComment(id: string, comment: string | undefined) {
+        const node = editor.getNode(id) as TradeNode | undefined
+        if (!node) return
+        node.comment = comment && comment.trim() ? comment : undefined
+        await area.update('node', id)
+    }
+
+    async function setNodeComment(id: string, comment: string) {
+        const node = editor.getNode(id) as TradeNode | undefined
+        if (!node) return
+        history.recordComment(id, node.comment, comment.trim() ? comment : undefined)
+        await applyComment(id, comment)
+    }
+
+    // -------------------- 노드 비활성화(우회) --------------------
+    async function applyDisabled(id: string, disabled: boolean) {
+        const node = editor.getNode(id) as TradeNode | undefined
+        if (!node) return
+        node.disabled = disabled
+        await area.update('node', id)
+        validation.schedule()
+    }
+
+    // 그룹/메모는 코드 생성 대상이 아니므로 제외
+    async function setNodesDisabled(ids: string[], disabled: boolean) {
+        await history.batch(async () => {
+            for (const id of ids) {
+                const node = editor.getNode(id) as TradeNode | undefined
+                if (!node || node instanceof GroupNode || node instanceof NoteNode || node.disabled === disabled) continue
+                history.recordDisabled(id, node.disabled, disabled)
+                await applyDisabled(id, disabled)
+            }
+        })
+    }
+
+    // 선택된 노드 중 조상이 함께 선택되지 않은 노드만 (그룹과 함께 움직이는 하위 노드 제외)
+    function topLevelIds(ids: string[]): string[] {
+        const set = new Set(ids)
+        return ids.filter(id => {
+            let cur = editor.getNode(id) as TradeNode | undefined
+            while (cur && cur.parent) {
+                if (set.has(cur.parent)) return false
+                cur = editor.getNode(cur.parent) as TradeNode | undefined
+            }
+            return true
+        })
+    }
+
+    // 선택된 노드를 새 그룹으로 묶기
+    async function groupNodes(ids: string[]) {
+        const members = topLevelIds(ids).filter(id => editor.getNode(id))
+        if (!members.length) return
+        const parents = new Set(members.map(id => (editor.getNode(id) as TradeNode).parent))
+        let left = Infinity
+        let top = Infinity
+        for (const id of members) {
+            const view = area.nodeViews.get(id)
+            if (!view) continue
+            left = Math.min(left, view.position.x)
+            top = Math.min(top, view.position.y)
+        }
+        const group = new GroupNode()
+        // 모두 같은 그룹 안에 있었다면 새 그룹도 그 안에 둔다
+        if (parents.size === 1) group.parent = Array.from(parents)[0]
+        await history.batch(async () => {
+            await editor.addNode(group)
+            await area.translate(group.id, { x: left - 20, y: top - 40 })
+            for (const id of members) await setNodeParent(id, group.id)
+        })
+    }
+
+    // 그룹에서 빼기: 상위 그룹으로 옮기고 프레임 오른쪽으로 이동
+    async function ungroupNodes(ids: string[]) {
+        await history.batch(async () => {
+            for (const id of ids) {
+                const node = editor.getNode(id) as TradeNode | undefined
+                const group = node && node.parent ? editor.getNode(node.parent) as TradeNode | undefined : undefined
+                if (!node || !group) continue
+                await setNodeParent(id, group.parent)
+                const view = area.nodeViews.get(id)
+                const groupView = area.nodeViews.get(group.id)
+                if (!view || !groupView) continue
+                const from = { x: view.position.x, y: view.position.y }
+                const to = { x: groupView.position.x + group.width + 40, y: from.y }
+                await area.translate(id, to)
+                history.recordMove(id, from, to)
+            }
+        })
+    }
+
+    // 노드 삭제 (그룹이면 내부 노드는 상위 그룹으로 옮기고 프레임만 제거)
+    async function deleteNodes(ids: string[]) {
+        await history.batch(async () => {
+            for (const id of ids) {
+                const node = editor.getNode(id) as TradeNode | undefined
+                if (!node) continue
+                for (const child of (editor.getNodes() as TradeNode[]).filter(n => n.parent === id)) {
+                    await setNodeParent(child.id, node.parent)
+                }
+                await removeNodeWithConnections(editor, id)
+            }
+        })
+    }
+
+    // 일반 노드의 실제 크기를 측정해 그룹 크기 계산에 반영 (컨트롤에 따라 높이가 변함)
+    const observedViews = new Map<Element, string>()
+    const sizeObserver = new ResizeObserver((entries) => {
+        const parents = new Set<string>()
+        for (const entry of entries) {
+            const id = observedViews.get(entry.target)
+            const node = id ? editor.getNode(id) as TradeNode | undefined : undefined
+            const el = entry.target as HTMLElement
+            // 그룹은 플러그인이 크기를 정하고, 숨김(접힘) 상태는 측정하지 않음
+            if (!node || node instanceof GroupNode || !el.offsetWidth || !el.offsetHeight) continue
+            node.width = el.offsetWidth
+            node.height = el.offsetHeight
+            if (node.parent) parents.add(node.parent)
+        }
+        if (parents.size) void refreshGroups(Array.from(parents))
+    })
+    area.addPipe((context: any) => {
+        if (!context || typeof context !== 'object') return context
+        if (context.type === 'rendered') {
+            const { type, element, payload } = context.data
+            if (type === 'node' && !observedViews.has(element)) {
+                observedViews.set(element, payload.id)
+                sizeObserver.observe(element)
+            }
+            if (type === 'connection' && (isHiddenByGroup(editor, payload.source) || isHiddenByGroup(editor, payload.target))) {
+                element.style.display = 'none'
+            }
+        } else if (context.type === 'noderemoved') {
+            for (const [el, id] of observedViews) {
+                if (id !== context.data.id) continue
+                sizeObserver.unobserve(el)
+                observedViews.delete(el)
+            }
+        } else if (context.type === 'nodedragged') {
+            void dropIntoGroup(String(context.data.id))
+        } else if (context.type === 'nodepicked') {
+            // 화면(LogicEditorPage)의 코드 미리보기에서 해당 노드 블록을 강조
+            window.dispatchEvent(new CustomEvent('node-picked', { detail: { id: String(context.data.id) } }))
+        }
+        return context
+    })
+
+    // 그룹에 속하지 않은 노드를 그룹 위에 놓으면 그 그룹에 포함 (빼기는 컨텍스트 메뉴)
+    async function dropIntoGroup(id: string) {
+        const node = editor.getNode(id) as TradeNode | undefined
+        const view = node && area.nodeViews.get(id)
+        if (!node || !view || node.parent) return
+        const cx = view.position.x + node.width / 2
+        const cy = view.position.y + node.height / 2
+        const target = (editor.getNodes() as TradeNode[])
+            .filter(g => g instanceof GroupNode && g.id !== id && !g.collapsed
+                && !isDescendantOf(editor, g.id, id) && !isHiddenByGroup(editor, g.id))
+            .filter(g => {
+                const gv = area.nodeViews.get(g.id)
+                return gv && cx >= gv.position.x && cx <= gv.position.x + g.width
+                    && cy >= gv.position.y && cy <= gv.position.y + g.height
+            })
+            .sort((a, b) => groupDepth(editor, b) - groupDepth(editor, a))[0]
+        if (target) await setNodeParent(id, target.id)
+    }
+
     // -------------------- Node별 Select 적용 조합 --------------------
     // 직접 렌더 방식(CustomNode.tsx)로 대체되었으므로, 이 함수는 no-op 처리한다.
     function applySelectEnhancements(..._args: any[]): void { void _args; /* no-op */ }
@@ -397,17 +591,30 @@ export async function createAppEditor(container: HTMLElement): Promise<{
     const originalAddConnection = (editor as any).addConnection.bind(editor)
         ; (editor as any).addConnection = async (con: any) => {
             try {
-                // source/target 소켓 name 비교 (number/bool 등)
+                // source/target 소켓 타입 호환성 검사 (sockets.ts 규칙)
                 const sNode: TradeNode | undefined = editor.getNode(con.source) as any
                 const tNode: TradeNode | undefined = editor.getNode(con.target) as any
-                if (sNode && tNode) {
+                if (sNode && tNode && !uncheckedConnections.has(con)) {
                     const sOut = (sNode.outputs as any)[con.sourceOutput] as ClassicPreset.Output<ClassicPreset.Socket>
                     const tIn = (tNode.inputs as any)[con.targetInput] as ClassicPreset.Input<ClassicPreset.Socket>
                     const sType = sOut && (sOut.socket as any) && (sOut.socket as any).name
                     const tType = tIn && (tIn.socket as any) && (tIn.socket as any).name
-                    if (sType && tType && sType !== tType) {
+                    // 노드에 없는 포트로의 연결 (붙여넣은 외부 조각 등)
+                    if (!sOut || !tIn) {
+                        console.warn('[연결 차단] 존재하지 않는 포트', con.sourceOutput, '->', con.targetInput)
+                        return false
+                    }
+                    if (sType && tType && !isSocketCompatible(sType, tType)) {
                         console.warn('[연결 차단] 소켓 타입 불일치', sType, '->', tType)
-                        return con
+                        // 화면(LogicEditorPage)에서 토스트로 안내
+                        window.dispatchEvent(new CustomEvent('connection-rejected', {
+                            detail: {
+                                sourceType: sType,
+                                targetType: tType,
+                                message: `${sNode.label}의 '${sOut.label}'(${getSocketLabel(sType)})은(는) ${tNode.label}의 '${tIn.label}'(${getSocketLabel(tType)}) 입력에 연결할 수 없습니다.`
+                            }
+                        }))
+                        return false
                     }
                 }
             } catch { /* noop */ }
@@ -454,36 +661,32 @@ export async function createAppEditor(container: HTMLElement): Promise<{
         menu.style.top = `${clientY - rect.top}px`
         menu.style.display = 'block'
         currentNode = node
-        // 메뉴 표시 후 버튼 폭을 "잘라내기" 버튼에 맞춰 정렬
+        // 메뉴 표시 후 버튼 폭을 가장 넓은 버튼에 맞춰 정렬
         requestAnimationFrame(() => {
             try {
                 // 측정 전 초기화
-                delBtn.style.width = 'auto'
-                copyBtn.style.width = 'auto'
-                // cutBtn이 현재 메뉴에 존재할 때만 정렬 수행
-                if (menu.contains(cutBtn)) {
-                    const w = cutBtn.offsetWidth
-                    if (w && w > 0) {
-                        const px = `${w}px`
-                        delBtn.style.width = px
-                        copyBtn.style.width = px
-                    }
-                }
+                const buttons = Array.from(menu.children) as HTMLElement[]
+                buttons.forEach(b => { b.style.width = 'auto' })
+                const w = Math.max(0, ...buttons.map(b => b.offsetWidth))
+                if (w > 0) buttons.forEach(b => { b.style.width = `${w}px` })
             } catch { /* noop */ }
         })
     }
 
     function findNodeAt(clientX: number, clientY: number): TradeNode | null {
+        let found: TradeNode | null = null
         for (const node of (editor.getNodes() as any[])) {
             const view: any = (area as any).nodeViews.get((node as any).id)
             const el: any = view && (view.element || view.el || view.root || null)
             if (!el || !el.getBoundingClientRect) continue
             const r = el.getBoundingClientRect()
             if (clientX >= r.left && clientX <= r.right && clientY >= r.top && clientY <= r.bottom) {
-                return node
+                // 그룹 프레임보다 그 안의 노드(더 깊은 그룹)를 우선
+                if (!(node instanceof GroupNode)) return node
+                if (!found || groupDepth(editor, node) > groupDepth(editor, found)) found = node
             }
         }
-        return null
+        return found
     }
 
     // 기존 우클릭 핸들러는 아래의 확장된 컨텍스트 메뉴 로직으로 대체됩니다.
@@ -492,17 +695,7 @@ export async function createAppEditor(container: HTMLElement): Promise<{
             // 선택된 노드 중 하나에서 삭제를 누르면 다중 삭제 수행
             const isMulti = selectedNodeIds.size > 0 && selectedNodeIds.has((currentNode as any).id)
             const targetIds: string[] = isMulti ? Array.from(selectedNodeIds) : [String((currentNode as any).id)]
-            for (const id of targetIds) {
-                try {
-                    const cons = editor
-                        .getConnections()
-                        .filter((c: any) => c.source === id || c.target === id)
-                    for (const c of cons) {
-                        try { await (editor as any).removeConnection(c.id) } catch { /* noop */ }
-                    }
-                    await (editor as any).removeNode(id)
-                } catch { /* noop */ }
-            }
+            await deleteNodes(targetIds)
             // 삭제 후 선택 초기화 및 하이라이트 제거
             selectedNodeIds.clear()
             applySelectionOutline()
@@ -519,11 +712,11 @@ export async function createAppEditor(container: HTMLElement): Promise<{
 
     // -------------------- 마퀴(드래그 사각형) 선택 & 복사/붙여넣기 --------------------
     // 상태: 선택된 노드 집합 및 로컬(에디터 인스턴스) 클립보드
+    // 로컬 클립보드는 시스템 클립보드를 쓸 수 없는 환경(비보안 컨텍스트, 권한 거부)의 대체용
     const selectedNodeIds = new Set<string>()
-    let clipboard: SerializedGraph | null = null
+    let clipboard: GraphFragment | null = null
     let lastContextPosClient: { x: number; y: number } | null = null
 
-    // --- Undo/Redo 히스토리 제거됨 ---
     // 포커스/호버 기반 활성화 플래그 (이 인스턴스 전용)
     let isActive = false
     try { (container as any).tabIndex = (container as any).tabIndex ?? 0 } catch { /* noop */ }
@@ -536,8 +729,6 @@ export async function createAppEditor(container: HTMLElement): Promise<{
     container.addEventListener('focusin', onFocusIn)
     container.addEventListener('focusout', onFocusOut)
 
-    // Ctrl/Cmd+Z / Redo 단축키는 히스토리 제거로 비활성화되었습니다.
-
     // 선택 하이라이트 적용/해제 (DOM outline로 표시)
     function applySelectionOutline() {
         const nodes: any[] = editor.getNodes() as any
@@ -664,7 +855,8 @@ export async function createAppEditor(container: HTMLElement): Promise<{
 
             const startClient = { x: e.clientX, y: e.clientY }
             const initialPos = new Map<string, { x: number; y: number }>()
-            const ids = Array.from(selectedNodeIds)
+            // 그룹의 하위 노드는 그룹을 따라 움직이므로 최상위 노드만 이동
+            const ids = topLevelIds(Array.from(selectedNodeIds))
             for (const id of ids) {
                 const view: any = (area as any).nodeViews.get(id)
                 const pos = (view && view.position) ? view.position : { x: 0, y: 0 }
@@ -689,7 +881,14 @@ export async function createAppEditor(container: HTMLElement): Promise<{
                 ev.preventDefault(); ev.stopPropagation(); ev.stopImmediatePropagation()
                 window.removeEventListener('pointermove', onMove, true)
                 window.removeEventListener('pointerup', onUp, true)
-                // 이동 완료
+                // 이동 완료: 그룹 이동을 하나의 히스토리 기록으로 저장
+                void history.batch(async () => {
+                    for (const id of ids) {
+                        const view: any = (area as any).nodeViews.get(id)
+                        const init = initialPos.get(id)
+                        if (view && init) history.recordMove(id, init, { x: view.position.x, y: view.position.y })
+                    }
+                })
             }
             window.addEventListener('pointermove', onMove, true)
             window.addEventListener('pointerup', onUp, true)
@@ -763,66 +962,129 @@ export async function createAppEditor(container: HTMLElement): Promise<{
     ;(cutBtn.style as any).border = 'none'
     cutBtn.style.cursor = 'pointer'
 
+    const groupBtn = document.createElement('button')
+    groupBtn.textContent = '그룹으로 묶기'
+    groupBtn.style.display = 'block'
+    groupBtn.style.width = 'auto'
+    groupBtn.style.padding = '6px 10px'
+    groupBtn.style.margin = '2px 4px'
+    groupBtn.style.textAlign = 'center'
+    groupBtn.style.color = '#182031ff'
+    groupBtn.style.background = '#c7d2fe'
+    groupBtn.style.borderRadius = '8px'
+    ;(groupBtn.style as any).border = 'none'
+    groupBtn.style.cursor = 'pointer'
+
+    const ungroupBtn = document.createElement('button')
+    ungroupBtn.textContent = '그룹에서 빼기'
+    ungroupBtn.style.display = 'block'
+    ungroupBtn.style.width = 'auto'
+    ungroupBtn.style.padding = '6px 10px'
+    ungroupBtn.style.margin = '2px 4px'
+    ungroupBtn.style.textAlign = 'center'
+    ungroupBtn.style.color = '#182031ff'
+    ungroupBtn.style.background = '#ffffff'
+    ungroupBtn.style.borderRadius = '8px'
+    ;(ungroupBtn.style as any).border = 'none'
+    ungroupBtn.style.cursor = 'pointer'
+
+    const disableBtn = document.createElement('button')
+    disableBtn.textContent = '비활성화'
+    disableBtn.style.display = 'block'
+    disableBtn.style.width = 'auto'
+    disableBtn.style.padding = '6px 10px'
+    disableBtn.style.margin = '2px 4px'
+    disableBtn.style.textAlign = 'center'
+    disableBtn.style.color = '#182031ff'
+    disableBtn.style.background = '#e5e7eb'
+    disableBtn.style.borderRadius = '8px'
+    ;(disableBtn.style as any).border = 'none'
+    disableBtn.style.cursor = 'pointer'
+
     // 기존 메뉴에 동적으로 버튼 구성
-    function rebuildMenuButtons({ allowDelete, allowCopy, allowPaste, allowCut }: { allowDelete: boolean; allowCopy: boolean; allowPaste: boolean; allowCut: boolean }) {
+    function rebuildMenuButtons({ allowDelete, allowCopy, allowPaste, allowCut, allowGroup = false, allowUngroup = false, toggleDisabled }: { allowDelete: boolean; allowCopy: boolean; allowPaste: boolean; allowCut: boolean; allowGroup?: boolean; allowUngroup?: boolean; toggleDisabled?: 'disable' | 'enable' }) {
         // 초기화
         while (menu.firstChild) menu.removeChild(menu.firstChild)
         if (allowDelete) menu.appendChild(delBtn)
         if (allowCopy) menu.appendChild(copyBtn)
         if (allowCut) menu.appendChild(cutBtn)
         if (allowPaste) menu.appendChild(pasteBtn)
+        if (allowGroup) menu.appendChild(groupBtn)
+        if (allowUngroup) menu.appendChild(ungroupBtn)
+        if (toggleDisabled) {
+            disableBtn.textContent = toggleDisabled === 'disable' ? '비활성화 (우회)' : '다시 활성화'
+            menu.appendChild(disableBtn)
+        }
     }
 
-    // 복사 동작: 선택된 노드와 그 사이의 연결만 직렬화하여 내부 클립보드에 저장
+    // 복사 동작: 선택된 노드와 그 사이의 연결만 직렬화하여 시스템/내부 클립보드에 저장
     async function handleCopy() {
         if (!selectedNodeIds.size) return
         const full = exportGraph(editor, area)
         const idSet = new Set(Array.from(selectedNodeIds))
-        const nodes = (full.nodes || []).filter(n => idSet.has(n.id))
+        // 선택된 그룹의 하위 노드도 함께 복사
+        let grown = true
+        while (grown) {
+            grown = false
+            for (const n of full.nodes || []) {
+                if (n.parent && idSet.has(n.parent) && !idSet.has(n.id)) {
+                    idSet.add(n.id)
+                    grown = true
+                }
+            }
+        }
+        const nodes = (full.nodes || [])
+            .filter(n => idSet.has(n.id))
+            .map(n => (n.parent && !idSet.has(n.parent) ? { ...n, parent: undefined } : n))
         const connections = (full.connections || []).filter(c => idSet.has(c.source) && idSet.has(c.target))
-        // 로컬 클립보드에 저장 (에디터 인스턴스 한정)
-        clipboard = { nodes, connections, viewport: undefined }
+        clipboard = { nodes, connections }
         closeMenu()
+        // 다른 로직/탭에서도 붙여넣을 수 있도록 JSON 조각으로 기록
+        await writeFragmentToClipboard(clipboard)
     }
 
     // 붙여넣기: 빈 공간을 기준으로 상대 위치를 유지하여 노드 생성 후 연결 복원
-    async function handlePaste(clientX: number, clientY: number) {
-        if (!clipboard || !clipboard.nodes?.length) return
+    async function handlePaste(clientX: number, clientY: number, fragment: GraphFragment | null = clipboard) {
+        if (!fragment || !fragment.nodes?.length) return
         const world = clientToWorld(area, container, clientX, clientY)
-        const minX = Math.min(...clipboard.nodes.map((n: any) => n.position?.x ?? 0))
-        const minY = Math.min(...clipboard.nodes.map((n: any) => n.position?.y ?? 0))
+        const minX = Math.min(...fragment.nodes.map((n: any) => n.position?.x ?? 0))
+        const minY = Math.min(...fragment.nodes.map((n: any) => n.position?.y ?? 0))
         const map = new Map<string, TradeNode>()
-        // 1) 노드 생성
-        for (const n of clipboard.nodes) {
-            try {
-                const kind = n.kind || labelToKind(n.label) || 'const'
-                const node = createNodeByKind(kind as NodeKind)
-                // 컨트롤 값 복원
-                if (n.controls) {
-                    for (const key of Object.keys(n.controls)) {
-                        const ctrl = (node.controls as any)[key]
-                        const val = (n.controls as any)[key]
-                        if (ctrl && typeof ctrl.setValue === 'function') ctrl.setValue(val)
-                        else if (ctrl && 'value' in ctrl) ctrl.value = val
-                    }
-                }
-                await editor.addNode(node)
-                map.set(n.id, node)
-                const targetX = world.x + ((n.position?.x ?? 0) - minX)
-                const targetY = world.y + ((n.position?.y ?? 0) - minY)
-                await (area as any).nodeViews.get((node as any).id)?.translate(targetX, targetY)
-            } catch { /* noop */ }
-        }
-        // 2) 연결 생성
-        for (const c of (clipboard.connections || [])) {
-            const source = map.get(c.source)
-            const target = map.get(c.target)
-            if (source && target) {
+        await history.batch(async () => {
+            // 1) 노드 생성 (그룹이 하위 노드보다 먼저 생성되도록 정렬)
+            for (const n of sortParentsFirst(fragment.nodes)) {
                 try {
-                    await editor.addConnection(new ClassicPreset.Connection(source, c.sourceOutput, target, c.targetInput))
+                    // 외부에서 온 조각일 수 있으므로 알 수 없는 종류는 건너뜀
+                    const kind = n.kind && isNodeKind(n.kind) ? n.kind : labelToKind(n.label)
+                    if (!kind) continue
+                    const node = createNodeByKind(kind, true)
+                    const parent = n.parent ? map.get(n.parent) : undefined
+                    if (parent) node.parent = parent.id
+                    if (node instanceof GroupNode) node.collapsed = !!n.collapsed
+                    node.comment = n.comment || undefined
+                    node.disabled = !!n.disabled
+                    // 컨트롤 값 복원
+                    applyControlValues(node, n.controls)
+                    await editor.addNode(node)
+                    map.set(n.id, node)
+                    const targetX = world.x + ((n.position?.x ?? 0) - minX)
+                    const targetY = world.y + ((n.position?.y ?? 0) - minY)
+                    await (area as any).nodeViews.get((node as any).id)?.translate(targetX, targetY)
                 } catch { /* noop */ }
             }
-        }
+            // 2) 연결 생성
+            for (const c of (fragment.connections || [])) {
+                const source = map.get(c.source)
+                const target = map.get(c.target)
+                if (source && target) {
+                    // 외부(다른 탭/버전) 조각일 수 있으므로 일반 연결과 같은 소켓 검사를 거침
+                    try {
+                        await editor.addConnection(new ClassicPreset.Connection(source, c.sourceOutput, target, c.targetInput))
+                    } catch { /* noop */ }
+                }
+            }
+            await refreshGroups(Array.from(map.values()).map(n => n.id))
+        })
         closeMenu()
         // 붙여넣기 후 선택 초기화
         selectedNodeIds.clear()
@@ -831,9 +1093,37 @@ export async function createAppEditor(container: HTMLElement): Promise<{
     }
 
     copyBtn.addEventListener('click', () => { handleCopy() })
-    pasteBtn.addEventListener('click', () => {
+
+    // 그룹 묶기/빼기: 우클릭한 노드가 선택에 포함되어 있으면 선택 전체에 적용
+    const menuTargetIds = (): string[] => {
+        if (currentNode && !selectedNodeIds.has(currentNode.id)) return [currentNode.id]
+        return Array.from(selectedNodeIds)
+    }
+    groupBtn.addEventListener('click', async () => {
+        const ids = menuTargetIds()
+        closeMenu()
+        await groupNodes(ids)
+        selectedNodeIds.clear()
+        applySelectionOutline()
+    })
+    disableBtn.addEventListener('click', async () => {
+        const node = currentNode
+        const ids = menuTargetIds()
+        closeMenu()
+        if (node) await setNodesDisabled(ids, !node.disabled)
+    })
+    ungroupBtn.addEventListener('click', async () => {
+        const ids = menuTargetIds()
+        closeMenu()
+        await ungroupNodes(ids)
+    })
+    pasteBtn.addEventListener('click', async () => {
         const pos = lastContextPosClient
-        if (pos) handlePaste(pos.x, pos.y)
+        if (!pos) return
+        // 시스템 클립보드의 조각을 우선 사용 (다른 탭/로직에서 복사한 경우)
+        const fragment = (await readFragmentFromClipboard()) || clipboard
+        if (fragment) await handlePaste(pos.x, pos.y, fragment)
+        else closeMenu()
     })
 
     // 잘라내기: 선택된 노드를 복사한 뒤 제거
@@ -843,17 +1133,7 @@ export async function createAppEditor(container: HTMLElement): Promise<{
         await handleCopy()
         // 2) 삭제 (선택된 전체)
         const targetIds: string[] = Array.from(selectedNodeIds)
-        for (const id of targetIds) {
-            try {
-                const cons = editor
-                    .getConnections()
-                    .filter((c: any) => c.source === id || c.target === id)
-                for (const c of cons) {
-                    try { await (editor as any).removeConnection(c.id) } catch { /* noop */ }
-                }
-                await (editor as any).removeNode(id)
-            } catch { /* noop */ }
-        }
+        await deleteNodes(targetIds)
         selectedNodeIds.clear()
         applySelectionOutline()
     // 잘라내기 완료
@@ -866,15 +1146,24 @@ export async function createAppEditor(container: HTMLElement): Promise<{
         lastContextPosClient = { x: e.clientX, y: e.clientY }
         const node = findNodeAt(e.clientX, e.clientY)
         const hasSelection = selectedNodeIds.size > 0
-    const hasClipboard = !!(clipboard && clipboard.nodes && clipboard.nodes.length)
+        // 시스템 클립보드 내용은 붙여넣기 시점에 읽는다 (메뉴를 열 때 권한 요청을 피함)
+        const hasClipboard = !!(clipboard && clipboard.nodes && clipboard.nodes.length) || canReadSystemClipboard()
         if (node) {
-            // 노드 위: 삭제 + (선택 존재 시) 복사/잘라내기
-            rebuildMenuButtons({ allowDelete: true, allowCopy: hasSelection, allowPaste: false, allowCut: hasSelection })
+            // 노드 위: 삭제 + (선택 존재 시) 복사/잘라내기 + 그룹 묶기/빼기
+            rebuildMenuButtons({
+                allowDelete: true,
+                allowCopy: hasSelection,
+                allowPaste: false,
+                allowCut: hasSelection,
+                allowGroup: hasSelection,
+                allowUngroup: !!node.parent,
+                toggleDisabled: node instanceof GroupNode || node instanceof NoteNode ? undefined : (node.disabled ? 'enable' : 'disable')
+            })
             openMenu(e.clientX, e.clientY, node)
         } else {
-            // 빈 공간: 선택이 있다면 복사/잘라내기, 클립보드가 있으면 붙여넣기
+            // 빈 공간: 선택이 있다면 복사/잘라내기/그룹 묶기, 클립보드가 있으면 붙여넣기
             if (hasSelection || hasClipboard) {
-                rebuildMenuButtons({ allowDelete: false, allowCopy: hasSelection, allowPaste: hasClipboard, allowCut: hasSelection })
+                rebuildMenuButtons({ allowDelete: false, allowCopy: hasSelection, allowPaste: hasClipboard, allowCut: hasSelection, allowGroup: hasSelection })
                 openMenu(e.clientX, e.clientY, null as any)
             } else {
                 closeMenu()
@@ -882,7 +1171,7 @@ export async function createAppEditor(container: HTMLElement): Promise<{
         }
     })
 
-    // 키보드 복사/붙여넣기/잘라내기 지원 (인스턴스 로컬 클립보드 기반)
+    // 키보드 복사/잘라내기 지원 (붙여넣기는 아래 paste 이벤트에서 처리)
     const onKeyCopyPaste = (e: KeyboardEvent) => {
         if (!isActive) return
         const ae = document.activeElement as HTMLElement | null
@@ -900,38 +1189,73 @@ export async function createAppEditor(container: HTMLElement): Promise<{
                 // copy then delete selection
                 void (async () => {
                     await handleCopy()
-                    const ids = Array.from(selectedNodeIds)
-                    for (const id of ids) {
-                        try {
-                            const cons = editor
-                                .getConnections()
-                                .filter((c: any) => c.source === id || c.target === id)
-                            for (const c of cons) {
-                                try { await (editor as any).removeConnection(c.id) } catch { /* noop */ }
-                            }
-                            await (editor as any).removeNode(id)
-                        } catch { /* noop */ }
-                    }
+                    await deleteNodes(Array.from(selectedNodeIds))
                     selectedNodeIds.clear(); applySelectionOutline()
                 })()
             }
-        } else if (key === 'v') {
-            const hasClipboard = !!(clipboard && clipboard.nodes && clipboard.nodes.length)
-            if (hasClipboard) {
-                e.preventDefault(); e.stopPropagation()
-                const rect = container.getBoundingClientRect()
-                const cx = rect.left + rect.width / 2
-                const cy = rect.top + rect.height / 2
-                const pos = lastContextPosClient || { x: cx, y: cy }
-                void handlePaste(pos.x, pos.y)
-            }
         }
     }
     window.addEventListener('keydown', onKeyCopyPaste, true)
 
+    // Ctrl/Cmd+V: 브라우저 paste 이벤트의 텍스트에서 조각을 읽는다 (권한 요청 없음)
+    const onPasteEvent = (e: ClipboardEvent) => {
+        if (!isActive) return
+        const ae = document.activeElement as HTMLElement | null
+        if (ae && (ae.tagName === 'INPUT' || ae.tagName === 'TEXTAREA' || (ae as any).isContentEditable)) return
+        const fragment = decodeFragment(e.clipboardData?.getData('text/plain')) || clipboard
+        if (!fragment || !fragment.nodes?.length) return
+        e.preventDefault(); e.stopPropagation()
+        const rect = container.getBoundingClientRect()
+        const cx = rect.left + rect.width / 2
+        const cy = rect.top + rect.height / 2
+        const pos = lastContextPosClient || { x: cx, y: cy }
+        void handlePaste(pos.x, pos.y, fragment)
+    }
+    window.addEventListener('paste', onPasteEvent, true)
+
+    // Ctrl/Cmd+Z 실행 취소, Ctrl/Cmd+Shift+Z 또는 Ctrl+Y 다시 실행
+    const onKeyHistory = (e: KeyboardEvent) => {
+        if (!isActive) return
+        const ae = document.activeElement as HTMLElement | null
+        if (ae && (ae.tagName === 'INPUT' || ae.tagName === 'TEXTAREA' || (ae as any).isContentEditable)) return
+        const key = String(e.key || '').toLowerCase()
+        const ctrl = e.ctrlKey || e.metaKey
+        if (!ctrl) return
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault(); e.stopPropagation(); void history.undo()
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault(); e.stopPropagation(); void history.redo()
+        }
+    }
+    window.addEventListener('keydown', onKeyHistory, true)
+
+    // 노드로 이동: 접힌 상위 그룹을 펼치고 선택한 뒤 현재 배율 그대로 화면 중앙에 둔다
+    async function focusNode(id: string) {
+        const node = editor.getNode(id) as TradeNode | undefined
+        if (!node) return
+        let cur = node.parent ? editor.getNode(node.parent) as TradeNode | undefined : undefined
+        while (cur) {
+            if (cur instanceof GroupNode && cur.collapsed) await toggleGroupCollapse(cur.id)
+            cur = cur.parent ? editor.getNode(cur.parent) as TradeNode | undefined : undefined
+        }
+        selectedNodeIds.clear()
+        selectedNodeIds.add(id)
+        applySelectionOutline()
+        const view = area.nodeViews.get(id)
+        if (!view) return
+        const { k } = area.area.transform
+        const rect = container.getBoundingClientRect()
+        const cx = view.position.x + node.width / 2
+        const cy = view.position.y + node.height / 2
+        await area.area.translate(rect.width / 2 - cx * k, rect.height / 2 - cy * k)
+    }
+
     return {
         editor,
         area,
+        history,
+        validation,
+        focusNode,
         destroy: () => {
             // cleanup
             container.removeEventListener('pointerdown', onPointerDownCapture, { capture: true } as any)
@@ -943,41 +1267,37 @@ export async function createAppEditor(container: HTMLElement): Promise<{
             closeMenu()
             menu.remove()
             marquee.remove()
+            sizeObserver.disconnect()
+            validation.destroy()
                 ; (area as any).destroy()
-            // 히스토리 단축키 리스너 제거 불필요(등록 안 함)
             window.removeEventListener('keydown', onKeyCopyPaste, true)
+            window.removeEventListener('paste', onPasteEvent, true)
+            window.removeEventListener('keydown', onKeyHistory, true)
         }
     }
 }
 
 // -------------------- 노드 생성 유틸리티 --------------------
-// kind 식별자를 실제 노드 인스턴스로 생성
-export function createNodeByKind(kind: NodeKind): TradeNode {
-    switch (kind) {
-        // ML Pipeline Nodes
-        case 'dataLoader':
-            return new DataLoaderNode()
-        case 'dataSplit':
-            return new DataSplitNode()
-        case 'scaler':
-            return new ScalerNode()
-        case 'featureSelection':
-            return new FeatureSelectionNode()
-        case 'classifier':
-            return new ClassifierNode()
-        case 'regressor':
-            return new RegressorNode()
-        case 'neuralNet':
-            return new NeuralNetNode()
-        case 'evaluate':
-            return new EvaluateNode()
-        case 'predict':
-            return new PredictNode()
-        case 'hyperparamTune':
-            return new HyperparamTuneNode()
-        default:
-            throw new Error('Unknown node kind: ' + (kind as string))
-    }
+// 전용 뷰/상태가 필요한 캔버스 노드 (나머지는 레지스트리 정의로 SpecNode 생성)
+const CUSTOM_NODE_CLASSES: Partial<Record<NodeKind, new () => TradeNode>> = {
+    group: GroupNode,
+    note: NoteNode
+}
+
+// kind 식별자를 실제 노드 인스턴스로 생성 (restored: 저장된 값을 복원할 노드, 컬럼 자동 선택 안 함)
+export function createNodeByKind(kind: NodeKind, restored = false): TradeNode {
+    const NodeClass = CUSTOM_NODE_CLASSES[kind]
+    if (NodeClass) return new NodeClass()
+    const spec = getNodeSpec(kind)
+    if (!spec) throw new Error('Unknown node kind: ' + (kind as string))
+    return new SpecNode(spec, restored)
+}
+
+// 보이는 노드 전체가 화면에 들어오도록 줌/팬 조정
+export async function zoomToFit(editor: any, area: any): Promise<void> {
+    const nodes = (editor.getNodes() as TradeNode[]).filter(n => !isHiddenByGroup(editor, n.id))
+    if (!nodes.length) return
+    await AreaExtensions.zoomAt(area, nodes)
 }
 
 // 화면 좌표(client) → 에디터 공간(world) 좌표 변환 (줌/팬 반영)
@@ -1004,72 +1324,132 @@ export function clientToWorld(
     return { x: (sx - x) / k, y: (sy - y) / k }
 }
 
-// 라벨 문자열을 kind 로 역매핑 (과거 데이터 호환)
-const labelToKind = (label: string): NodeKind | undefined => {
-    switch (label) {
-        // ML Pipeline Nodes
-        case '데이터 로더':
-        case 'Data Loader':
-        case 'DataLoader':
-            return 'dataLoader'
-        case '데이터 분할':
-        case 'Data Split':
-        case 'DataSplit':
-            return 'dataSplit'
-        case '정규화':
-        case 'Scaler':
-            return 'scaler'
-        case '피처 선택':
-        case 'Feature Selection':
-        case 'FeatureSelection':
-            return 'featureSelection'
-        case '분류기':
-        case 'Classifier':
-            return 'classifier'
-        case '회귀':
-        case 'Regressor':
-            return 'regressor'
-        case '신경망':
-        case 'Neural Network':
-        case 'NeuralNet':
-            return 'neuralNet'
-        case '평가':
-        case 'Evaluate':
-            return 'evaluate'
-        case '예측':
-        case 'Predict':
-            return 'predict'
-        case '하이퍼파라미터 튜닝':
-        case 'Hyperparameter Tuning':
-        case 'HyperparamTune':
-            return 'hyperparamTune'
-        default:
-            return undefined
+// 타입 검사 없이 복원하는 연결: 소켓 타입 도입 이전(version 없음)에 저장된 그래프, 실행 취소/다시 실행
+const uncheckedConnections = new WeakSet<object>()
+
+// -------------------- 그룹(스코프) 유틸 --------------------
+// 그룹 중첩 깊이 (최상위 = 0)
+function groupDepth(editor: any, node: TradeNode): number {
+    let depth = 0
+    let cur: TradeNode | undefined = node
+    const seen = new Set<string>()
+    while (cur && cur.parent && !seen.has(cur.parent)) {
+        seen.add(cur.parent)
+        depth++
+        cur = editor.getNode(cur.parent)
+    }
+    return depth
+}
+
+function isDescendantOf(editor: any, id: string, ancestorId: string): boolean {
+    let cur: TradeNode | undefined = editor.getNode(id)
+    const seen = new Set<string>()
+    while (cur && cur.parent && !seen.has(cur.parent)) {
+        if (cur.parent === ancestorId) return true
+        seen.add(cur.parent)
+        cur = editor.getNode(cur.parent)
+    }
+    return false
+}
+
+// 조상 그룹 중 하나라도 접혀 있으면 숨김 대상
+function isHiddenByGroup(editor: any, id: string): boolean {
+    let cur: TradeNode | undefined = editor.getNode(id)
+    const seen = new Set<string>()
+    while (cur && cur.parent && !seen.has(cur.parent)) {
+        seen.add(cur.parent)
+        cur = editor.getNode(cur.parent)
+        if (cur instanceof GroupNode && cur.collapsed) return true
+    }
+    return false
+}
+
+// 접힌 그룹의 하위 노드와 그 연결을 화면에서 숨기거나 다시 표시
+export function applyGroupVisibility(editor: any, area: any): void {
+    for (const n of editor.getNodes()) {
+        const view: any = area.nodeViews.get(n.id)
+        if (view) view.element.style.display = isHiddenByGroup(editor, n.id) ? 'none' : ''
+    }
+    for (const c of editor.getConnections()) {
+        const view: any = area.connectionViews.get(c.id)
+        const hidden = isHiddenByGroup(editor, c.source) || isHiddenByGroup(editor, c.target)
+        if (view) view.element.style.display = hidden ? 'none' : ''
+    }
+}
+
+// 그룹은 하위 노드보다 뒤에 그려야 하므로 바깥 그룹이 가장 뒤에 오도록 재정렬
+function orderGroupViews(editor: any, area: any): void {
+    const content = area.area.content
+    const groups = (editor.getNodes() as TradeNode[])
+        .filter(n => n instanceof GroupNode)
+        .sort((a, b) => groupDepth(editor, b) - groupDepth(editor, a))
+    for (const g of groups) {
+        const view: any = area.nodeViews.get(g.id)
+        if (view) content.reorder(view.element, content.holder.firstChild)
     }
 }
 
+// 부모(그룹)가 자식보다 먼저 오도록 정렬 (스코프 플러그인은 없는 부모를 허용하지 않음)
+function sortParentsFirst<T extends { id: string; parent?: string }>(nodes: T[]): T[] {
+    const byId = new Map(nodes.map(n => [n.id, n]))
+    const sorted: T[] = []
+    const visited = new Set<string>()
+    const visit = (n: T) => {
+        if (visited.has(n.id)) return
+        visited.add(n.id)
+        const parent = n.parent ? byId.get(n.parent) : undefined
+        if (parent) visit(parent)
+        sorted.push(n)
+    }
+    nodes.forEach(visit)
+    return sorted
+}
+
+// 시스템 클립보드 읽기 지원 여부 (보안 컨텍스트에서만 사용 가능)
+function canReadSystemClipboard(): boolean {
+    return typeof navigator !== 'undefined' && !!navigator.clipboard?.readText && window.isSecureContext
+}
+
 // -------------------- 그래프 내보내기, JSON 직렬화 (Export) --------------------
-export function exportGraph(editor: any, area: any): SerializedGraph {
-    const nodes = editor.getNodes().map((node: TradeNode) => {
-        const view = (area as any).nodeViews.get((node as any).id)
-        const position = view && view.position ? view.position : { x: 0, y: 0 }
-        const controls: Record<string, any> = {}
-        if (node.controls) {
-            for (const key of Object.keys(node.controls)) {
-                const ctrl = (node.controls as any)[key]
-                if (ctrl && Object.prototype.hasOwnProperty.call(ctrl, 'value')) {
-                    controls[key] = ctrl.value
-                }
+// 단일 노드 직렬화 (exportGraph/히스토리 공용)
+export function serializeNode(node: TradeNode, area: any): SerializedGraph['nodes'][number] {
+    const view = (area as any).nodeViews.get((node as any).id)
+    const position = view && view.position ? { x: view.position.x, y: view.position.y } : { x: 0, y: 0 }
+    const controls: Record<string, any> = {}
+    if (node.controls) {
+        for (const key of Object.keys(node.controls)) {
+            const ctrl = (node.controls as any)[key]
+            if (ctrl && Object.prototype.hasOwnProperty.call(ctrl, 'value')) {
+                controls[key] = ctrl.value
             }
         }
-        return {
-            id: (node as any).id,
-            label: node.label,
-            kind: (node as TradeNode).kind || labelToKind(node.label),
-            position,
-            controls
-        }
-    })
+    }
+    return {
+        id: (node as any).id,
+        label: node.label,
+        kind: (node as TradeNode).kind || labelToKind(node.label),
+        position,
+        controls,
+        ...(node.parent ? { parent: node.parent } : {}),
+        ...(node instanceof GroupNode ? { collapsed: node.collapsed } : {}),
+        ...(node.comment ? { comment: node.comment } : {}),
+        ...(node.disabled ? { disabled: true } : {})
+    }
+}
+
+// 직렬화된 컨트롤 값을 노드에 복원
+function applyControlValues(node: TradeNode, controls: Record<string, any> | undefined): void {
+    if (!controls) return
+    for (const key of Object.keys(controls)) {
+        const ctrl = (node.controls as any)[key]
+        const val = (controls as any)[key]
+        if (ctrl && typeof ctrl.setValue === 'function') ctrl.setValue(val)
+        else if (ctrl && 'value' in ctrl) ctrl.value = val
+    }
+}
+
+export function exportGraph(editor: any, area: any): SerializedGraph {
+    const nodes = editor.getNodes().map((node: TradeNode) => serializeNode(node, area))
 
     const connections = editor.getConnections().map((c: any) => ({
         id: c.id,
@@ -1087,18 +1467,32 @@ export function exportGraph(editor: any, area: any): SerializedGraph {
         }
     } catch { /* noop */ }
 
-    return { nodes, connections, viewport }
+    return { version: GRAPH_VERSION, nodes, connections, viewport, settings: getPipelineSettings(editor) }
+}
+
+// -------------------- 파이프라인 설정 --------------------
+// 에디터에 보관하고 exportGraph/importGraph로 그래프와 함께 저장/복원
+export function getPipelineSettings(editor: any): PipelineSettings {
+    return editor.pipelineSettings || normalizePipelineSettings()
+}
+
+export function setPipelineSettings(editor: any, settings: Partial<PipelineSettings> | undefined): PipelineSettings {
+    editor.pipelineSettings = normalizePipelineSettings(settings)
+    return editor.pipelineSettings
 }
 
 // -------------------- 그래프 불러오기 (Import) --------------------
 export async function importGraph(editor: any, area: any, graph: SerializedGraph | undefined | null): Promise<void> {
     if (!graph) return
     await editor.clear()
+    setPipelineSettings(editor, graph.settings)
 
     const idMap = new Map<string, TradeNode>()
+    // 위치 정보가 없는 노드가 있으면 불러온 뒤 자동 배치
+    const needsLayout = (graph.nodes || []).some(n => !n.position)
 
-    // 1. 노드 생성 및 값 복원
-    for (const n of graph.nodes || []) {
+    // 1. 노드 생성 및 값 복원 (그룹이 하위 노드보다 먼저 생성되도록 정렬)
+    for (const n of sortParentsFirst(graph.nodes || [])) {
         const kind = n.kind || labelToKind(n.label)
         if (!kind) {
             console.warn('[importGraph] Unknown node kind, skipping:', n)
@@ -1107,20 +1501,18 @@ export async function importGraph(editor: any, area: any, graph: SerializedGraph
         
         let node: TradeNode
         try {
-            node = createNodeByKind(kind as NodeKind)
+            node = createNodeByKind(kind as NodeKind, true)
         } catch (err) {
             console.warn('[importGraph] Failed to create node:', n, err)
             continue
         }
 
-        if (n.controls) {
-            for (const key of Object.keys(n.controls)) {
-                const ctrl = (node.controls as any)[key]
-                const val = (n.controls as any)[key]
-                if (ctrl && typeof ctrl.setValue === 'function') ctrl.setValue(val)
-                else if (ctrl && 'value' in ctrl) ctrl.value = val
-            }
-        }
+        applyControlValues(node, n.controls)
+        const parent = n.parent ? idMap.get(n.parent) : undefined
+        if (parent) node.parent = parent.id
+        if (node instanceof GroupNode) node.collapsed = !!n.collapsed
+        node.comment = n.comment || undefined
+        node.disabled = !!n.disabled
 
         await editor.addNode(node)
         idMap.set(n.id, node)
@@ -1135,10 +1527,24 @@ export async function importGraph(editor: any, area: any, graph: SerializedGraph
         const target = idMap.get(con.target)
 
         if (source && target) {
-            await editor.addConnection(new ClassicPreset.Connection(source, con.sourceOutput, target, con.targetInput))
+            const connection = new ClassicPreset.Connection(source, con.sourceOutput, target, con.targetInput)
+            if (!graph.version) uncheckedConnections.add(connection)
+            await editor.addConnection(connection)
         }
     }
 
+    if (needsLayout) {
+        try {
+            await arrangeNodes(editor, area)
+        } catch (err) {
+            console.warn('[importGraph] 자동 배치 실패:', err)
+        }
+    }
+
+    // 그룹: 그리기 순서와 접힌 그룹의 하위 노드 숨김 적용 (크기는 하위 노드 이동 시 플러그인이 맞춤)
+    orderGroupViews(editor, area)
+    applyGroupVisibility(editor, area)
+
     // 3. 뷰포트(줌/팬) 복원
     if (graph.viewport && area && area.area && typeof area.area.translate === 'function') {
         try {
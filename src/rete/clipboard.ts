@@ -0,0 +1,69 @@
+// 시스템 클립보드용 그래프 조각 직렬화
+// 복사한 노드/연결/컨트롤 값을 버전이 붙은 JSON 텍스트로 만들어 다른 로직·탭·메신저로 옮길 수 있게 한다.
+// 붙여넣을 때 id 재매핑은 app-editor.ts 의 handlePaste 가 담당한다.
+import type { SerializedGraph } from './app-editor'
+
+export const FRAGMENT_FORMAT = 'creative-ai-lite/graph-fragment'
+export const FRAGMENT_VERSION = 1
+
+export type GraphFragment = Pick<SerializedGraph, 'nodes' | 'connections'>
+
+export function encodeFragment(fragment: GraphFragment): string {
+    return JSON.stringify({
+        format: FRAGMENT_FORMAT,
+        version: FRAGMENT_VERSION,
+        nodes: fragment.nodes,
+        connections: fragment.connections
+    }, null, 2)
+}
+
+// 클립보드 텍스트를 조각으로 해석 (형식이 다르거나 더 새로운 버전이면 null)
+export function decodeFragment(text: string | null | undefined): GraphFragment | null {
+    if (!text) return null
+    const trimmed = text.trim()
+    if (!trimmed.startsWith('{')) return null
+    let data: any
+    try { data = JSON.parse(trimmed) } catch { return null }
+    if (!data || data.format !== FRAGMENT_FORMAT) return null
+    if (typeof data.version !== 'number' || data.version > FRAGMENT_VERSION) return null
+    if (!Array.isArray(data.nodes) || !data.nodes.length) return null
+
+    const nodes = data.nodes.filter((n: any) =>
+        n && typeof n.id === 'string' && (typeof n.kind === 'string' || typeof n.label === 'string')
+    ).map((n: any) => ({
+        ...n,
+        label: typeof n.label === 'string' ? n.label : '',
+        position: {
+            x: Number(n.position?.x) || 0,
+            y: Number(n.position?.y) || 0
+        },
+        controls: n.controls && typeof n.controls === 'object' ? n.controls : undefined
+    }))
+    if (!nodes.length) return null
+    const ids = new Set(nodes.map((n: any) => n.id))
+    const connections = (Array.isArray(data.connections) ? data.connections : []).filter((c: any) =>
+        c && ids.has(c.source) && ids.has(c.target) &&
+        typeof c.sourceOutput === 'string' && typeof c.targetInput === 'string'
+    )
+    return { nodes, connections }
+}
+
+// 시스템 클립보드 쓰기/읽기 (권한이 없거나 비보안 컨텍스트면 실패를 false/null로 알림)
+export async function writeFragmentToClipboard(fragment: GraphFragment): Promise<boolean> {
+    try {
+        if (!navigator.clipboard?.writeText) return false
+        await navigator.clipboard.writeText(encodeFragment(fragment))
+        return true
+    } catch {
+        return false
+    }
+}
+
+export async function readFragmentFromClipboard(): Promise<GraphFragment | null> {
+    try {
+        if (!navigator.clipboard?.readText) return null
+        return decodeFragment(await navigator.clipboard.readText())
+    } catch {
+        return null
+    }
+}
@@ -0,0 +1,338 @@
+// 캔버스 편집 히스토리 (Undo/Redo)
+// 에디터/영역 이벤트를 구독하여 노드·연결·이동·컨트롤 값 변경을 기록한다.
+// 모든 기록은 객체 참조가 아닌 id 기준으로 저장되므로, 되돌린 뒤 다시 만든 노드도 같은 id를 유지한다.
+import { ClassicPreset } from 'rete'
+
+export type HistoryNodeData = {
+    id: string
+    label: string
+    kind?: string
+    position: { x: number; y: number }
+    controls?: Record<string, any>
+    parent?: string
+    collapsed?: boolean
+    comment?: string
+    disabled?: boolean
+}
+
+export type HistoryConnectionData = {
+    id: string
+    source: string
+    target: string
+    sourceOutput: string
+    targetInput: string
+}
+
+type HistoryAction =
+    | { type: 'addNode'; id: string; data?: HistoryNodeData }
+    | { type: 'removeNode'; data: HistoryNodeData }
+    | { type: 'addConnection'; data: HistoryConnectionData }
+    | { type: 'removeConnection'; data: HistoryConnectionData }
+    | { type: 'move'; id: string; from: { x: number; y: number }; to: { x: number; y: number } }
+    | { type: 'control'; id: string; key: string; from: any; to: any; time: number }
+    | { type: 'parent'; id: string; from?: string; to?: string }
+    | { type: 'comment'; id: string; from?: string; to?: string }
+    | { type: 'disabled'; id: string; from: boolean; to: boolean }
+
+type HistoryEntry = HistoryAction[]
+
+// 노드 직렬화/복원은 app-editor.ts 가 담당 (노드 클래스 의존성 분리)
+export type HistoryAdapter = {
+    serializeNode: (id: string) => HistoryNodeData | undefined
+    restoreNode: (data: HistoryNodeData) => Promise<void>
+    // 이미 한 번 허용된 연결 복원 (소켓 타입 검사 생략)
+    restoreConnection: (con: ClassicPreset.Connection<any, any>) => Promise<void>
+    setControlValue: (id: string, key: string, value: any) => Promise<void>
+    setParent: (id: string, parent: string | undefined) => Promise<void>
+    setComment: (id: string, comment: string | undefined) => Promise<void>
+    setDisabled: (id: string, disabled: boolean) => Promise<void>
+}
+
+export type EditorHistory = {
+    undo: () => Promise<void>
+    redo: () => Promise<void>
+    canUndo: () => boolean
+    canRedo: () => boolean
+    batch: <T>(fn: () => Promise<T>) => Promise<T>
+    recordMove: (id: string, from: { x: number; y: number }, to: { x: number; y: number }) => void
+    recordControl: (id: string, key: string, from: any, to: any) => void
+    recordParent: (id: string, from: string | undefined, to: string | undefined) => void
+    recordComment: (id: string, from: string | undefined, to: string | undefined) => void
+    recordDisabled: (id: string, from: boolean, to: boolean) => void
+    clear: () => void
+    subscribe: (listener: () => void) => () => void
+}
+
+// 같은 컨트롤의 연속 입력(타이핑)을 하나의 기록으로 합치는 시간 간격(ms)
+const CONTROL_MERGE_WINDOW = 800
+const MAX_ENTRIES = 200
+
+export function createHistory(editor: any, area: any, adapter: HistoryAdapter): EditorHistory {
+    const undoStack: HistoryEntry[] = []
+    const redoStack: HistoryEntry[] = []
+    const listeners = new Set<() => void>()
+    let applying = false
+    let batchDepth = 0
+    let pending: HistoryEntry | null = null
+
+    const notify = () => {
+        for (const l of Array.from(listeners)) {
+            try { l() } catch { /* noop */ }
+        }
+    }
+
+    function push(action: HistoryAction) {
+        if (applying) return
+        if (pending) {
+            pending.push(action)
+            return
+        }
+        // 같은 컨트롤에 대한 연속 변경은 직전 기록에 병합
+        const last = undoStack[undoStack.length - 1]
+        const prev = last && last.length === 1 ? last[0] : undefined
+        if (action.type === 'control' && prev && prev.type === 'control'
+            && prev.id === action.id && prev.key === action.key
+            && action.time - prev.time < CONTROL_MERGE_WINDOW) {
+            prev.to = action.to
+            prev.time = action.time
+        } else {
+            undoStack.push([action])
+            if (undoStack.length > MAX_ENTRIES) undoStack.shift()
+        }
+        redoStack.length = 0
+        notify()
+    }
+
+    // -------------------- 이벤트 구독 --------------------
+    editor.addPipe((context: any) => {
+        if (!context || typeof context !== 'object' || applying) return context
+        switch (context.type) {
+            case 'nodecreated':
+                push({ type: 'addNode', id: String(context.data.id) })
+                break
+            case 'noderemove': {
+                // 제거 직전에 위치/컨트롤 값을 캡처해야 복원 가능
+                const data = adapter.serializeNode(String(context.data.id))
+                if (data) push({ type: 'removeNode', data })
+                break
+            }
+            case 'connectioncreated':
+                push({ type: 'addConnection', data: toConnectionData(context.data) })
+                break
+            case 'connectionremoved':
+                push({ type: 'removeConnection', data: toConnectionData(context.data) })
+                break
+        }
+        return context
+    })
+
+    // 단일 노드 드래그: 집은 위치와 놓은 위치를 비교하여 이동으로 기록
+    const picked = new Map<string, { x: number; y: number }>()
+    area.addPipe((context: any) => {
+        if (!context || typeof context !== 'object') return context
+        if (context.type === 'nodepicked') {
+            const view = area.nodeViews.get(context.data.id)
+            if (view) picked.set(context.data.id, { ...view.position })
+        } else if (context.type === 'nodedragged') {
+            const id = String(context.data.id)
+            const from = picked.get(id)
+            picked.delete(id)
+            const view = area.nodeViews.get(id)
+            if (from && view) recordMove(id, from, { ...view.position })
+        }
+        return context
+    })
+
+    // -------------------- 적용 (undo/redo) --------------------
+    async function removeNodeById(id: string) {
+        if (!editor.getNode(id)) return
+        for (const c of editor.getConnections().filter((c: any) => c.source === id || c.target === id)) {
+            try { await editor.removeConnection(c.id) } catch { /* noop */ }
+        }
+        await editor.removeNode(id)
+    }
+
+    async function addConnectionFromData(data: HistoryConnectionData) {
+        const source = editor.getNode(data.source)
+        const target = editor.getNode(data.target)
+        if (!source || !target || editor.getConnection(data.id)) return
+        const con = new ClassicPreset.Connection(source, data.sourceOutput as never, target, data.targetInput as never)
+        con.id = data.id
+        await adapter.restoreConnection(con)
+    }
+
+    async function revert(action: HistoryAction) {
+        switch (action.type) {
+            case 'addNode':
+                // 되돌리는 시점의 상태를 캡처해 두면 redo 시 최종 위치/값까지 복원된다
+                action.data = adapter.serializeNode(action.id) || action.data
+                await removeNodeById(action.id)
+                break
+            case 'removeNode':
+                await adapter.restoreNode(action.data)
+                break
+            case 'addConnection':
+                if (editor.getConnection(action.data.id)) await editor.removeConnection(action.data.id)
+                break
+            case 'removeConnection':
+                await addConnectionFromData(action.data)
+                break
+            case 'move':
+                if (editor.getNode(action.id)) await area.translate(action.id, action.from)
+                break
+            case 'control':
+                await adapter.setControlValue(action.id, action.key, action.from)
+                break
+            case 'parent':
+                await adapter.setParent(action.id, action.from)
+                break
+            case 'comment':
+                await adapter.setComment(action.id, action.from)
+                break
+            case 'disabled':
+                await adapter.setDisabled(action.id, action.from)
+                break
+        }
+    }
+
+    async function replay(action: HistoryAction) {
+        switch (action.type) {
+            case 'addNode':
+                if (action.data) await adapter.restoreNode(action.data)
+                break
+            case 'removeNode':
+                await removeNodeById(action.data.id)
+                break
+            case 'addConnection':
+                await addConnectionFromData(action.data)
+                break
+            case 'removeConnection':
+                if (editor.getConnection(action.data.id)) await editor.removeConnection(action.data.id)
+                break
+            case 'move':
+                if (editor.getNode(action.id)) await area.translate(action.id, action.to)
+                break
+            case 'control':
+                await adapter.setControlValue(action.id, action.key, action.to)
+                break
+            case 'parent':
+                await adapter.setParent(action.id, action.to)
+                break
+            case 'comment':
+                await adapter.setComment(action.id, action.to)
+                break
+            case 'disabled':
+                await adapter.setDisabled(action.id, action.to)
+                break
+        }
+    }
+
+    async function undo() {
+        const entry = undoStack.pop()
+        if (!entry) return
+        applying = true
+        try {
+            for (const action of entry.slice().reverse()) {
+                try { await revert(action) } catch (e) { console.warn('[history] undo 실패', action, e) }
+            }
+        } finally {
+            applying = false
+        }
+        redoStack.push(entry)
+        notify()
+    }
+
+    async function redo() {
+        const entry = redoStack.pop()
+        if (!entry) return
+        applying = true
+        try {
+            for (const action of entry) {
+                try { await replay(action) } catch (e) { console.warn('[history] redo 실패', action, e) }
+            }
+        } finally {
+            applying = false
+        }
+        undoStack.push(entry)
+        notify()
+    }
+
+    // 여러 편집(붙여넣기, 다중 삭제, 가져오기 등)을 하나의 기록으로 묶는다
+    async function batch<T>(fn: () => Promise<T>): Promise<T> {
+        const outer = batchDepth === 0
+        if (outer) pending = []
+        batchDepth++
+        try {
+            return await fn()
+        } finally {
+            batchDepth--
+            if (outer) {
+                const entry = pending
+                pending = null
+                if (entry && entry.length) {
+                    undoStack.push(entry)
+                    if (undoStack.length > MAX_ENTRIES) undoStack.shift()
+                    redoStack.length = 0
+                    notify()
+                }
+            }
+        }
+    }
+
+    function recordMove(id: string, from: { x: number; y: number }, to: { x: number; y: number }) {
+        if (from.x === to.x && from.y === to.y) return
+        push({ type: 'move', id, from, to })
+    }
+
+    function recordControl(id: string, key: string, from: any, to: any) {
+        if (from === to) return
+        push({ type: 'control', id, key, from, to, time: Date.now() })
+    }
+
+    function recordParent(id: string, from: string | undefined, to: string | undefined) {
+        if (from === to) return
+        push({ type: 'parent', id, from, to })
+    }
+
+    function recordComment(id: string, from: string | undefined, to: string | undefined) {
+        if ((from || '') === (to || '')) return
+        push({ type: 'comment', id, from, to })
+    }
+
+    function recordDisabled(id: string, from: boolean, to: boolean) {
+        if (from === to) return
+        push({ type: 'disabled', id, from, to })
+    }
+
+    return {
+        undo,
+        redo,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        batch,
+        recordMove,
+        recordControl,
+        recordParent,
+        recordComment,
+        recordDisabled,
+        clear: () => {
+            undoStack.length = 0
+            redoStack.length = 0
+            notify()
+        },
+        subscribe: (listener: () => void) => {
+            listeners.add(listener)
+            return () => { listeners.delete(listener) }
+        }
+    }
+}
+
+function toConnectionData(c: any): HistoryConnectionData {
+    return {
+        id: String(c.id),
+        source: String(c.source),
+        target: String(c.target),
+        sourceOutput: String(c.sourceOutput),
+        targetInput: String(c.targetInput)
+    }
+}
@@ -0,0 +1,239 @@
+// 자동 배치 (계층형 DAG 레이아웃, Sugiyama 방식)
+// 1) 순환 간선 뒤집기 → 2) 계층 배정(최장 경로) → 3) 긴 간선에 더미 노드 삽입
+// → 4) 바리센터 스윕으로 교차 최소화 → 5) 좌→우 좌표 계산
+import type { EditorHistory } from './history'
+
+export type LayoutNode = { id: string; width: number; height: number }
+export type LayoutEdge = { source: string; target: string }
+export type LayoutOptions = {
+    layerGap?: number   // 계층(열) 사이 가로 간격
+    nodeGap?: number    // 같은 계층 노드 사이 세로 간격
+    origin?: { x: number; y: number }
+    sweeps?: number     // 교차 최소화 반복 횟수
+}
+
+type Position = { x: number; y: number }
+
+const DEFAULT_NODE_WIDTH = 220
+const DEFAULT_NODE_HEIGHT = 160
+const DUMMY_HEIGHT = 16
+
+export function computeLayeredLayout(
+    nodes: LayoutNode[],
+    edges: LayoutEdge[],
+    options: LayoutOptions = {}
+): Map<string, Position> {
+    const layerGap = options.layerGap ?? 120
+    const nodeGap = options.nodeGap ?? 48
+    const origin = options.origin ?? { x: 80, y: 80 }
+    const sweeps = options.sweeps ?? 8
+
+    const result = new Map<string, Position>()
+    if (nodes.length === 0) return result
+
+    const ids = nodes.map(n => n.id)
+    const idSet = new Set(ids)
+    const sizeOf = new Map(nodes.map(n => [n.id, n]))
+
+    // 유효 간선만 (자기 자신/중복/없는 노드 제외)
+    const seen = new Set<string>()
+    let dag: LayoutEdge[] = []
+    for (const e of edges) {
+        if (!idSet.has(e.source) || !idSet.has(e.target) || e.source === e.target) continue
+        const key = `${e.source}->${e.target}`
+        if (seen.has(key)) continue
+        seen.add(key)
+        dag.push({ source: e.source, target: e.target })
+    }
+
+    // 1) 순환 제거: DFS 중 스택에 있는 노드로 향하는 간선을 뒤집는다
+    dag = breakCycles(ids, dag)
+
+    // 2) 계층 배정
+    const layerOf = assignLayers(ids, dag)
+
+    // 3) 더미 노드 삽입 (한 계층씩만 잇는 간선으로 분해)
+    const succ = new Map<string, string[]>()
+    const pred = new Map<string, string[]>()
+    const addLink = (u: string, v: string) => {
+        if (!succ.has(u)) succ.set(u, [])
+        if (!pred.has(v)) pred.set(v, [])
+        succ.get(u)!.push(v)
+        pred.get(v)!.push(u)
+    }
+    const dummies = new Set<string>()
+    let dummySeq = 0
+    for (const e of dag) {
+        let prev = e.source
+        for (let l = layerOf.get(e.source)! + 1; l < layerOf.get(e.target)!; l++) {
+            const d = `__dummy_${dummySeq++}`
+            dummies.add(d)
+            layerOf.set(d, l)
+            addLink(prev, d)
+            prev = d
+        }
+        addLink(prev, e.target)
+    }
+
+    const layerCount = Math.max(...Array.from(layerOf.values())) + 1
+    const layers: string[][] = Array.from({ length: layerCount }, () => [])
+    // 초기 순서: 입력 순서를 유지하되 더미는 생성 순서대로
+    for (const id of ids) layers[layerOf.get(id)!].push(id)
+    for (const d of dummies) layers[layerOf.get(d)!].push(d)
+
+    // 4) 교차 최소화 (위→아래, 아래→위 바리센터 스윕, 가장 좋은 순서 유지)
+    let best = layers.map(l => l.slice())
+    let bestCrossings = countAllCrossings(best, succ)
+    for (let i = 0; i < sweeps && bestCrossings > 0; i++) {
+        for (let l = 1; l < layerCount; l++) reorderByBarycenter(layers, l, l - 1, pred)
+        for (let l = layerCount - 2; l >= 0; l--) reorderByBarycenter(layers, l, l + 1, succ)
+        const crossings = countAllCrossings(layers, succ)
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings
+            best = layers.map(l => l.slice())
+        }
+    }
+
+    // 5) 좌표 계산: 계층별 최대 폭으로 열을 나누고, 각 열은 세로 중앙 정렬
+    const heightOf = (id: string) => dummies.has(id) ? DUMMY_HEIGHT : (sizeOf.get(id)?.height || DEFAULT_NODE_HEIGHT)
+    const widthOf = (id: string) => dummies.has(id) ? 0 : (sizeOf.get(id)?.width || DEFAULT_NODE_WIDTH)
+    const columnHeights = best.map(layer =>
+        layer.reduce((sum, id) => sum + heightOf(id), 0) + Math.max(0, layer.length - 1) * nodeGap
+    )
+    const maxColumnHeight = Math.max(...columnHeights)
+
+    let x = origin.x
+    best.forEach((layer, l) => {
+        let y = origin.y + (maxColumnHeight - columnHeights[l]) / 2
+        for (const id of layer) {
+            if (!dummies.has(id)) result.set(id, { x, y })
+            y += heightOf(id) + nodeGap
+        }
+        x += Math.max(0, ...layer.map(widthOf)) + layerGap
+    })
+
+    return result
+}
+
+function breakCycles(ids: string[], edges: LayoutEdge[]): LayoutEdge[] {
+    const out = new Map<string, LayoutEdge[]>()
+    for (const e of edges) {
+        if (!out.has(e.source)) out.set(e.source, [])
+        out.get(e.source)!.push(e)
+    }
+    const state = new Map<string, 1 | 2>() // 1: 방문 중, 2: 완료
+    const reversed = new Set<LayoutEdge>()
+    const visit = (id: string) => {
+        state.set(id, 1)
+        for (const e of out.get(id) || []) {
+            const s = state.get(e.target)
+            if (s === 1) reversed.add(e)
+            else if (!s) visit(e.target)
+        }
+        state.set(id, 2)
+    }
+    for (const id of ids) if (!state.has(id)) visit(id)
+    return edges.map(e => reversed.has(e) ? { source: e.target, target: e.source } : e)
+}
+
+function assignLayers(ids: string[], edges: LayoutEdge[]): Map<string, number> {
+    const indeg = new Map(ids.map(id => [id, 0]))
+    const out = new Map<string, string[]>(ids.map(id => [id, []]))
+    const inc = new Map<string, string[]>(ids.map(id => [id, []]))
+    for (const e of edges) {
+        out.get(e.source)!.push(e.target)
+        inc.get(e.target)!.push(e.source)
+        indeg.set(e.target, indeg.get(e.target)! + 1)
+    }
+
+    // 최장 경로 계층화 (Kahn 위상 정렬 순서)
+    const layer = new Map(ids.map(id => [id, 0]))
+    const queue = ids.filter(id => indeg.get(id) === 0)
+    const order: string[] = []
+    while (queue.length) {
+        const id = queue.shift()!
+        order.push(id)
+        for (const t of out.get(id)!) {
+            layer.set(t, Math.max(layer.get(t)!, layer.get(id)! + 1))
+            indeg.set(t, indeg.get(t)! - 1)
+            if (indeg.get(t) === 0) queue.push(t)
+        }
+    }
+
+    // 입력이 없는 노드는 첫 후속 노드 바로 앞 계층으로 당겨 긴 간선을 줄인다
+    for (const id of order.slice().reverse()) {
+        const targets = out.get(id)!
+        if (inc.get(id)!.length === 0 && targets.length > 0) {
+            layer.set(id, Math.min(...targets.map(t => layer.get(t)!)) - 1)
+        }
+    }
+    return layer
+}
+
+function reorderByBarycenter(
+    layers: string[][],
+    l: number,
+    fixed: number,
+    neighbours: Map<string, string[]>
+) {
+    const pos = new Map(layers[fixed].map((id, i) => [id, i]))
+    const keyed = layers[l].map((id, i) => {
+        const ns = (neighbours.get(id) || []).filter(n => pos.has(n))
+        const bary = ns.length ? ns.reduce((s, n) => s + pos.get(n)!, 0) / ns.length : i
+        return { id, bary, i }
+    })
+    keyed.sort((a, b) => a.bary - b.bary || a.i - b.i)
+    layers[l] = keyed.map(k => k.id)
+}
+
+function countAllCrossings(layers: string[][], succ: Map<string, string[]>): number {
+    let total = 0
+    for (let l = 0; l < layers.length - 1; l++) {
+        const lower = new Map(layers[l + 1].map((id, i) => [id, i]))
+        const segs: Array<[number, number]> = []
+        layers[l].forEach((id, i) => {
+            for (const t of succ.get(id) || []) {
+                const j = lower.get(t)
+                if (j !== undefined) segs.push([i, j])
+            }
+        })
+        for (let a = 0; a < segs.length; a++) {
+            for (let b = a + 1; b < segs.length; b++) {
+                if ((segs[a][0] - segs[b][0]) * (segs[a][1] - segs[b][1]) < 0) total++
+            }
+        }
+    }
+    return total
+}
+
+// -------------------- 에디터 적용 --------------------
+// 현재 캔버스의 노드를 계층형으로 재배치 (history 전달 시 하나의 실행 취소 단위로 기록)
+export async function arrangeNodes(editor: any, area: any, history?: EditorHistory | null): Promise<void> {
+    // 방금 추가된 노드가 렌더링되어 크기를 측정할 수 있도록 한 프레임 대기
+    await new Promise<void>(resolve => requestAnimationFrame(() => resolve()))
+
+    // 그룹 프레임(스코프 플러그인이 하위 노드에 맞춰 다시 감쌈)과 자유 배치 메모는 배치 대상에서 제외
+    const nodes: LayoutNode[] = editor.getNodes().filter((n: any) => n.kind !== 'group' && n.kind !== 'note').map((n: any) => {
+        const view: any = area.nodeViews.get(n.id)
+        const el: HTMLElement | undefined = view && view.element
+        return {
+            id: n.id,
+            width: (el && el.offsetWidth) || n.width || DEFAULT_NODE_WIDTH,
+            height: (el && el.offsetHeight) || n.height || DEFAULT_NODE_HEIGHT
+        }
+    })
+    const edges: LayoutEdge[] = editor.getConnections().map((c: any) => ({ source: c.source, target: c.target }))
+    const positions = computeLayeredLayout(nodes, edges)
+
+    const apply = async () => {
+        for (const [id, to] of positions) {
+            const view: any = area.nodeViews.get(id)
+            if (!view) continue
+            const from = { x: view.position.x, y: view.position.y }
+            await area.translate(id, to)
+            if (history) history.recordMove(id, from, to)
+        }
+    }
+    if (history) await history.batch(apply)
+    else await apply()
+}
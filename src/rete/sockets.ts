@@ -0,0 +1,47 @@
+// ML 파이프라인 소켓 타입 정의 및 연결 호환 규칙
+import { ClassicPreset } from 'rete'
+
+export type SocketType =
+    'dataframe'     // 원본 데이터프레임 (DataLoader 출력)
+    | 'split'       // train/test 로 분할된 데이터
+    | 'data'        // 전처리 노드가 통과시키는 데이터 (dataframe/split 모두 허용)
+    | 'model'
+    | 'prediction'
+    | 'metrics'
+
+export const dataframeSocket = new ClassicPreset.Socket('dataframe')
+export const splitSocket = new ClassicPreset.Socket('split')
+export const dataSocket = new ClassicPreset.Socket('data')
+export const modelSocket = new ClassicPreset.Socket('model')
+export const predictionSocket = new ClassicPreset.Socket('prediction')
+export const metricsSocket = new ClassicPreset.Socket('metrics')
+
+// 출력 소켓 타입 → 연결 가능한 입력 소켓 타입
+const SOCKET_COMPATIBILITY: Record<SocketType, SocketType[]> = {
+    dataframe: ['dataframe', 'data'],
+    split: ['split', 'data'],
+    data: ['data', 'dataframe', 'split'],
+    model: ['model'],
+    prediction: ['prediction'],
+    metrics: ['metrics']
+}
+
+export const SOCKET_LABELS: Record<SocketType, string> = {
+    dataframe: '데이터프레임',
+    split: '분할 데이터',
+    data: '데이터',
+    model: '모델',
+    prediction: '예측결과',
+    metrics: '평가결과'
+}
+
+// 출력 → 입력 방향 연결 가능 여부 (알 수 없는 타입은 이름이 같을 때만 허용)
+export function isSocketCompatible(sourceType: string, targetType: string): boolean {
+    const allowed = SOCKET_COMPATIBILITY[sourceType as SocketType]
+    if (!allowed) return sourceType === targetType
+    return allowed.includes(targetType as SocketType)
+}
+
+export function getSocketLabel(type: string): string {
+    return SOCKET_LABELS[type as SocketType] || type
+}
@@ -0,0 +1,80 @@
+// 실시간 파이프라인 검증
+// 그래프가 바뀔 때마다 (디바운스) 전체 문제를 수집하여 노드에 배지용 issues를 달고 구독자에게 알린다.
+// 코드 생성 시점의 throw 검증과 같은 규칙(collectPipelineIssues)을 사용한다.
+import { collectPipelineIssues, type GraphData, type PipelineIssue } from '../utils/pipelineToCode'
+
+export type LiveValidation = {
+    getIssues: () => PipelineIssue[]
+    schedule: () => void
+    subscribe: (listener: (issues: PipelineIssue[]) => void) => () => void
+    destroy: () => void
+}
+
+const VALIDATE_DELAY = 150
+
+const GRAPH_EVENTS = new Set(['nodecreated', 'noderemoved', 'connectioncreated', 'connectionremoved', 'cleared'])
+
+export function createLiveValidation(editor: any, area: any, getGraph: () => GraphData): LiveValidation {
+    let issues: PipelineIssue[] = []
+    let timer: ReturnType<typeof setTimeout> | null = null
+    const listeners = new Set<(issues: PipelineIssue[]) => void>()
+    // 노드별로 마지막으로 표시한 문제 (바뀐 노드만 다시 그림)
+    const shown = new Map<string, string>()
+
+    function run() {
+        timer = null
+        try {
+            issues = collectPipelineIssues(getGraph())
+        } catch (e) {
+            console.warn('[validation] 검증 실패', e)
+            issues = []
+        }
+
+        const byNode = new Map<string, PipelineIssue[]>()
+        for (const issue of issues) {
+            if (!issue.nodeId) continue
+            const list = byNode.get(issue.nodeId) || []
+            list.push(issue)
+            byNode.set(issue.nodeId, list)
+        }
+        for (const node of editor.getNodes() as any[]) {
+            const list = byNode.get(node.id) || []
+            const key = list.map(i => `${i.severity}:${i.message}`).join('\n')
+            if ((shown.get(node.id) || '') === key) continue
+            shown.set(node.id, key)
+            node.issues = list.length ? list : undefined
+            void area.update('node', node.id)
+        }
+        for (const id of Array.from(shown.keys())) {
+            if (!editor.getNode(id)) shown.delete(id)
+        }
+
+        for (const l of Array.from(listeners)) {
+            try { l(issues) } catch { /* noop */ }
+        }
+    }
+
+    function schedule() {
+        if (timer) clearTimeout(timer)
+        timer = setTimeout(run, VALIDATE_DELAY)
+    }
+
+    editor.addPipe((context: any) => {
+        if (context && typeof context === 'object' && GRAPH_EVENTS.has(context.type)) schedule()
+        return context
+    })
+
+    return {
+        getIssues: () => issues,
+        schedule,
+        subscribe: (listener) => {
+            listeners.add(listener)
+            return () => { listeners.delete(listener) }
+        },
+        destroy: () => {
+            if (timer) clearTimeout(timer)
+            timer = null
+            listeners.clear()
+        }
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * 빠른 추가/명령 팔레트용 퍼지 검색 (한글 초성 검색 지원)
+ */
+
+const CHOSUNG = [
+    'ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ',
+    'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'
+]
+const HANGUL_START = 0xac00
+const HANGUL_END = 0xd7a3
+
+function normalize(text: string): string {
+    return text.toLowerCase().replace(/[\s_\-.]+/g, '')
+}
+
+// 한글 음절을 초성으로 변환 ("데이터 로더" → "ㄷㅇㅌㄹㄷ")
+export function toChosung(text: string): string {
+    let out = ''
+    for (const ch of text) {
+        const code = ch.charCodeAt(0)
+        if (code >= HANGUL_START && code <= HANGUL_END) {
+            out += CHOSUNG[Math.floor((code - HANGUL_START) / 588)]
+        } else {
+            out += ch
+        }
+    }
+    return out
+}
+
+// 정규화된 문자열에서 단어가 시작하는 위치 (공백/구분자 뒤, camelCase 대문자)
+function wordStarts(text: string): Set<number> {
+    const starts = new Set<number>()
+    let index = 0
+    let prev = ''
+    for (const ch of text) {
+        if (/[\s_\-.]/.test(ch)) {
+            prev = ch
+            continue
+        }
+        if (index === 0 || /[\s_\-.]/.test(prev) || (/[A-Z]/.test(ch) && /[a-z]/.test(prev))) starts.add(index)
+        prev = ch
+        index++
+    }
+    return starts
+}
+
+function isChosungOnly(text: string): boolean {
+    return text.length > 0 && Array.from(text).every(ch => CHOSUNG.includes(ch))
+}
+
+// 순서대로 등장하는 글자 매칭 점수 (연속·단어 시작 매칭일수록 높음, 불일치 시 null)
+function subsequenceScore(query: string, target: string, starts: Set<number>): number | null {
+    let score = 0
+    let ti = 0
+    let prev = -2
+    for (const ch of query) {
+        const found = target.indexOf(ch, ti)
+        if (found === -1) return null
+        score += found === prev + 1 ? 3 : 1
+        if (starts.has(found)) score += 2
+        prev = found
+        ti = found + 1
+    }
+    // 짧은 대상일수록 가산
+    return score - (target.length - query.length) * 0.05
+}
+
+/**
+ * 검색어와 후보 문자열들의 최고 일치 점수 (일치하지 않으면 null)
+ */
+export function fuzzyScore(query: string, candidates: string[]): number | null {
+    const q = normalize(query)
+    if (!q) return 0
+    let best: number | null = null
+    const consider = (score: number | null) => {
+        if (score !== null && (best === null || score > best)) best = score
+    }
+    for (const candidate of candidates) {
+        const target = normalize(candidate)
+        if (!target) continue
+        const index = target.indexOf(q)
+        if (index === 0) consider(100 - target.length * 0.1)
+        else if (index > 0) consider(60 - index)
+        else consider(subsequenceScore(q, target, wordStarts(candidate)))
+        if (isChosungOnly(q)) {
+            const initials = normalize(toChosung(candidate))
+            const ci = initials.indexOf(q)
+            if (ci >= 0) consider(50 - ci)
+        }
+    }
+    return best
+}
+
+/**
+ * 후보 목록을 점수 순으로 필터링 (검색어가 비어 있으면 원래 순서 유지)
+ */
+export function fuzzyFilter<T>(query: string, items: T[], getText: (item: T) => string[]): T[] {
+    if (!normalize(query)) return items.slice()
+    return items
+        .map((item, index) => ({ item, index, score: fuzzyScore(query, getText(item)) }))
+        .filter((entry): entry is { item: T; index: number; score: number } => entry.score !== null)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(entry => entry.item)
+}
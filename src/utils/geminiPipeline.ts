@@ -39,7 +39,7 @@ USER INPUT (free-form Korean text):
 ${userPrompt}
 
 Your task:
-1. Extract: CSV file, columns, target, task type (classification/regression/clustering)
+1. Extract: CSV file, columns, target, task type (classification/regression/clustering/forecasting), date column
 2. Generate ML pipeline JSON with Korean descriptions (brief)
 
 OUTPUT JSON:
@@ -47,7 +47,7 @@ OUTPUT JSON:
 {"code":"Python code","nodeGuide":[{"step":1,"nodeType":"dataLoader","nodeName":"Name (한글)","description":"간단설명","reason":"이유","settings":{},"connections":{"from":[],"to":[{"step":2,"output":"data","input":"data"}]}}]}
 \`\`\`
 
-NODES: dataLoader→data, dataSplit:data→train/test, scaler:data→data, classifier/regressor:train→model, predict:model+test→prediction, evaluate:prediction+test→metrics
+NODES: dataLoader→data, dataSplit:data→train/test, scaler:data→data, classifier/regressor:train→model, predict:model+test→prediction, evaluate:prediction+test→metrics, cluster/reduceDimensions:data→data (clustering, no target: leave dataSplit targetColumn empty or connect dataLoader directly), lagFeatures/rollingFeatures:data→data (forecasting: settings columns=target, before dataSplit; set dataSplit dateColumn to split chronologically, then regressor)
 
 SOCKETS: data,train,test,model,prediction,metrics (English only)
 
@@ -0,0 +1,108 @@
+// 내보낸 노트북/스크립트에 그래프를 함께 담아 다시 가져올 수 있게 한다.
+// 노트북은 metadata, 스크립트는 맨 끝 주석 블록에 저장하고,
+// 내보낼 때의 코드 해시로 이후 손으로 수정되었는지 판별한다.
+import type { GraphData } from './pipelineToCode'
+
+export const EMBED_FORMAT = 'creative-ai-lite/pipeline'
+export const EMBED_VERSION = 1
+
+// 노트북 metadata 키
+export const NOTEBOOK_METADATA_KEY = 'creative_ai_lite'
+
+const SCRIPT_MARKER = '# ==== creative-ai-lite pipeline graph (do not edit) ===='
+
+export interface EmbeddedPipeline {
+    format: string
+    version: number
+    name: string
+    graph: GraphData
+    codeHash: string
+}
+
+export interface ImportedPipeline {
+    name: string
+    graph: GraphData
+    edited: boolean     // 내보낸 뒤 코드가 수정됨
+}
+
+// 줄 끝 공백/개행 차이는 무시하는 FNV-1a 해시
+function hashCode(code: string): string {
+    const text = code.replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim()
+    let hash = 0x811c9dc5
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+function createEmbed(graph: GraphData, name: string, code: string): EmbeddedPipeline {
+    return { format: EMBED_FORMAT, version: EMBED_VERSION, name, graph, codeHash: hashCode(code) }
+}
+
+function notebookCode(notebook: any): string {
+    return (Array.isArray(notebook?.cells) ? notebook.cells : [])
+        .filter((cell: any) => cell?.cell_type === 'code')
+        .map((cell: any) => Array.isArray(cell.source) ? cell.source.join('') : String(cell.source ?? ''))
+        .join('\n\n')
+}
+
+/**
+ * 노트북 metadata에 그래프 저장 (코드 셀 내용으로 해시)
+ */
+export function embedGraphInNotebook(notebook: any, graph: GraphData, name: string): any {
+    return {
+        ...notebook,
+        metadata: {
+            ...notebook.metadata,
+            [NOTEBOOK_METADATA_KEY]: createEmbed(graph, name, notebookCode(notebook))
+        }
+    }
+}
+
+/**
+ * 스크립트 끝에 그래프 주석 블록 추가 (마커 위 코드로 해시)
+ */
+export function appendGraphToScript(script: string, graph: GraphData, name: string): string {
+    const code = script.replace(/\n*$/, '\n')
+    return `${code}
+${SCRIPT_MARKER}
+# ${JSON.stringify(createEmbed(graph, name, code))}
+`
+}
+
+function toImported(embed: any, code: string): ImportedPipeline {
+    if (!embed || embed.format !== EMBED_FORMAT) {
+        throw new Error('이 앱에서 내보낸 파일이 아닙니다. (그래프 정보 없음)')
+    }
+    if (typeof embed.version !== 'number' || embed.version > EMBED_VERSION) {
+        throw new Error('더 새로운 버전에서 내보낸 파일이라 가져올 수 없습니다.')
+    }
+    if (!embed.graph || !Array.isArray(embed.graph.nodes) || !Array.isArray(embed.graph.connections)) {
+        throw new Error('그래프 정보가 손상되었습니다.')
+    }
+    return {
+        name: typeof embed.name === 'string' ? embed.name : '',
+        graph: embed.graph,
+        edited: embed.codeHash !== hashCode(code)
+    }
+}
+
+/**
+ * 내보낸 .ipynb / .py 파일에서 그래프 복원 (형식이 맞지 않으면 Error)
+ */
+export function readEmbeddedPipeline(text: string, fileName: string): ImportedPipeline {
+    if (fileName.toLowerCase().endsWith('.ipynb')) {
+        let notebook: any
+        try { notebook = JSON.parse(text) } catch { throw new Error('노트북(.ipynb) 파일을 읽을 수 없습니다.') }
+        return toImported(notebook?.metadata?.[NOTEBOOK_METADATA_KEY], notebookCode(notebook))
+    }
+
+    const normalized = text.replace(/\r\n/g, '\n')
+    const markerAt = normalized.lastIndexOf(`\n${SCRIPT_MARKER}\n`)
+    if (markerAt < 0) throw new Error('이 앱에서 내보낸 파일이 아닙니다. (그래프 정보 없음)')
+    const line = normalized.slice(markerAt + SCRIPT_MARKER.length + 2).split('\n')[0].replace(/^#\s?/, '')
+    let embed: any
+    try { embed = JSON.parse(line) } catch { throw new Error('그래프 정보가 손상되었습니다.') }
+    return toImported(embed, normalized.slice(0, markerAt + 1))
+}
@@ -0,0 +1,77 @@
+/**
+ * 캔버스 메모용 간단한 마크다운 → HTML 변환
+ * 제목(#~###), 목록(-, *, 1.), 굵게/기울임, 인라인 코드, http(s) 링크만 지원한다.
+ * 입력은 먼저 HTML 이스케이프되므로 결과를 innerHTML로 넣어도 안전하다.
+ */
+
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+}
+
+function renderInline(text: string): string {
+    // 인라인 코드는 다른 서식보다 먼저 분리해 내부 서식을 적용하지 않음
+    return escapeHtml(text)
+        .split(/(`[^`]+`)/g)
+        .map(part => {
+            if (part.length > 1 && part.startsWith('`') && part.endsWith('`')) {
+                return `<code>${part.slice(1, -1)}</code>`
+            }
+            return part
+                .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+                .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+                .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+        })
+        .join('')
+}
+
+export function renderMarkdownLite(source: string): string {
+    const out: string[] = []
+    let list: 'ul' | 'ol' | null = null
+    let paragraph: string[] = []
+
+    const flushParagraph = () => {
+        if (paragraph.length) out.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`)
+        paragraph = []
+    }
+    const closeList = () => {
+        if (list) out.push(`</${list}>`)
+        list = null
+    }
+
+    for (const raw of source.split(/\r?\n/)) {
+        const line = raw.trimEnd()
+        const heading = /^(#{1,3})\s+(.*)$/.exec(line)
+        const bullet = /^\s*[-*]\s+(.*)$/.exec(line)
+        const ordered = /^\s*\d+\.\s+(.*)$/.exec(line)
+
+        if (!line.trim()) {
+            flushParagraph()
+            closeList()
+        } else if (heading) {
+            flushParagraph()
+            closeList()
+            const level = heading[1].length + 2   // 메모 안에서는 h3~h5로 작게
+            out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`)
+        } else if (bullet || ordered) {
+            flushParagraph()
+            const kind = bullet ? 'ul' : 'ol'
+            if (list !== kind) {
+                closeList()
+                out.push(`<${kind}>`)
+                list = kind
+            }
+            out.push(`<li>${renderInline((bullet || ordered)![1])}</li>`)
+        } else {
+            closeList()
+            paragraph.push(line)
+        }
+    }
+    flushParagraph()
+    closeList()
+    return out.join('')
+}
@@ -1,6 +1,10 @@
 /**
  * ML Pipeline 노드 그래프를 Python 코드로 변환
  */
+import { getNodeSpec, NODE_SPECS, type CodegenContext, type InputOrigin, type SplitVars, type ValidationContext } from '../nodes'
+import { dataFileName, readStoredCsv } from '../nodes/data'
+import type { SocketType } from '../rete/sockets'
+import { appendGraphToScript, embedGraphInNotebook } from './graphEmbed'
 
 export interface NodeData {
     id: string
@@ -8,6 +12,8 @@ export interface NodeData {
     kind: string
     controls?: Record<string, any>
     position: { x: number; y: number }
+    comment?: string
+    disabled?: boolean      // 우회(bypass): 입력을 그대로 다음 노드로 전달
 }
 
 export interface ConnectionData {
@@ -21,6 +27,60 @@ export interface ConnectionData {
 export interface GraphData {
     nodes: NodeData[]
     connections: ConnectionData[]
+    settings?: Partial<PipelineSettings>     // 로직별 파이프라인 설정 (없으면 기본값)
+}
+
+// 출력 수준
+// quiet: 결과(평가/비교) 외 print 생략, normal: 단계별 요약 출력, verbose: 학습 로그까지 출력
+export type Verbosity = 'quiet' | 'normal' | 'verbose'
+
+// 로직별 파이프라인 설정 (그래프와 함께 저장, 코드 생성 전체에 적용)
+export interface PipelineSettings {
+    seed: number                  // 난수 시드 (random_state 등)
+    testSize: number              // 학습 비율이 비어 있는 Data Split의 테스트 비율
+    stratify: boolean             // Data Split 층화 추출 기본값
+    nJobs: number                 // 병렬 작업 수 기본값 (-1: 모든 CPU 코어)
+    verbosity: Verbosity
+    showPreview: boolean          // 데이터 로드 후 head() 미리보기 출력
+}
+
+export const DEFAULT_PIPELINE_SETTINGS: PipelineSettings = {
+    seed: 42,
+    testSize: 0.2,
+    stratify: false,
+    nJobs: -1,
+    verbosity: 'normal',
+    showPreview: true
+}
+
+/**
+ * 저장된(또는 부분) 설정을 기본값으로 채우고 범위를 벗어난 값은 기본값으로 되돌림
+ */
+export function normalizePipelineSettings(raw?: Partial<PipelineSettings> | null): PipelineSettings {
+    const defaults = DEFAULT_PIPELINE_SETTINGS
+    const seed = Number(raw?.seed)
+    const testSize = Number(raw?.testSize)
+    const nJobs = Number(raw?.nJobs)
+    return {
+        seed: Number.isInteger(seed) && seed >= 0 ? seed : defaults.seed,
+        testSize: testSize > 0 && testSize < 1 ? testSize : defaults.testSize,
+        stratify: typeof raw?.stratify === 'boolean' ? raw.stratify : defaults.stratify,
+        nJobs: Number.isInteger(nJobs) && nJobs !== 0 ? nJobs : defaults.nJobs,
+        verbosity: raw?.verbosity === 'quiet' || raw?.verbosity === 'verbose' ? raw.verbosity : defaults.verbosity,
+        showPreview: typeof raw?.showPreview === 'boolean' ? raw.showPreview : defaults.showPreview
+    }
+}
+
+// 코드 생성 방식
+// script: 전처리 노드가 분기별 X_train_<변수명>/X_test_<변수명>을 만들고 뒤 노드는 자기 분기의 변수를 사용 (기본값)
+// pipeline: 전처리 체인을 모델마다 sklearn Pipeline으로 묶어 재사용 가능한 단일 추정기로 만듦
+export type CodegenMode = 'script' | 'pipeline'
+
+export interface CodegenOptions {
+    mode?: CodegenMode
+    dataDir?: string              // 설정 시 CSV를 이 폴더(파이썬 식)에서 읽음 (내장 base64 대신)
+    omitEmbeddedData?: boolean    // 내장 CSV 데이터를 자리표시자로 대체 (미리보기용, 실행 불가)
+    seed?: string                 // 난수 시드 파이썬 식 (기본: 파이프라인 설정의 seed)
 }
 
 export class PipelineValidationError extends Error {
@@ -30,14 +90,54 @@ export class PipelineValidationError extends Error {
     }
 }
 
+export type IssueSeverity = 'error' | 'warning'
+
+// 검증 문제 (error: 코드 생성 불가, warning: 생성은 되지만 확인 필요)
+export interface PipelineIssue {
+    code: 'no-data-loader' | 'orphan' | 'missing-input' | 'missing-value' | 'invalid-value' | 'unused-output' | 'not-bypassable'
+    severity: IssueSeverity
+    message: string
+    nodeId?: string     // 그래프 전체 문제는 없음
+}
+
+// 코드 생성 대상 노드 종류 (그룹 등 캔버스 전용 노드 제외)
+export const ML_NODE_KINDS: string[] = NODE_SPECS.filter(spec => spec.codegen).map(spec => spec.kind)
+
+function nodeRole(node: NodeData | undefined) {
+    return node ? getNodeSpec(node.kind)?.codegen?.role : undefined
+}
+
 /**
- * 파이프라인 사전 검증
+ * 노드 아래쪽에 목표 변수(y)를 쓰는 노드가 있는지 (지도 학습 모델, 타겟을 쓰는 전처리)
+ * 군집/차원 축소 노드만 이어진 Data Split은 타겟 컬럼 없이 분할한다.
  */
-function validatePipelineStructure(nodes: NodeData[], connections: ConnectionData[]): void {
-    // 1. DataLoader 노드 필수
-    const hasDataLoader = nodes.some(n => n.kind === 'dataLoader')
-    if (!hasDataLoader) {
-        throw new PipelineValidationError('파이프라인에 DataLoader 노드가 필요합니다.')
+function requiresTarget(nodeId: string, connections: ConnectionData[], nodeMap: Map<string, NodeData>): boolean {
+    const seen = new Set<string>([nodeId])
+    const queue = [nodeId]
+    while (queue.length > 0) {
+        const id = queue.shift()!
+        for (const conn of connections) {
+            if (conn.source !== id || seen.has(conn.target)) continue
+            seen.add(conn.target)
+            const target = nodeMap.get(conn.target)
+            const codegen = target ? getNodeSpec(target.kind)?.codegen : undefined
+            if (target && codegen && (codegen.role === 'model' || codegen.usesTarget?.(target))) return true
+            queue.push(conn.target)
+        }
+    }
+    return false
+}
+
+/**
+ * 파이프라인 구조의 모든 문제 수집 (첫 문제에서 멈추지 않음)
+ */
+function collectStructureIssues(nodes: NodeData[], connections: ConnectionData[]): PipelineIssue[] {
+    const issues: PipelineIssue[] = []
+
+    // 1. DataLoader 등 데이터 소스 노드 필수
+    const hasSource = nodes.some(n => nodeRole(n) === 'source')
+    if (!hasSource) {
+        issues.push({ code: 'no-data-loader', severity: 'error', message: '파이프라인에 DataLoader 노드가 필요합니다.' })
     }
 
     // 2. 고립된 노드 검사
@@ -47,63 +147,144 @@ function validatePipelineStructure(nodes: NodeData[], connections: ConnectionDat
         connectedNodes.add(conn.target)
     })
     
-    const orphanedNodes = nodes.filter(n => 
-        n.kind !== 'dataLoader' && !connectedNodes.has(n.id)
-    )
-    
-    if (orphanedNodes.length > 0) {
-        const orphanLabels = orphanedNodes.map(n => n.label).join(', ')
-        throw new PipelineValidationError(
-            `연결되지 않은 노드가 있습니다: ${orphanLabels}`
-        )
-    }
+    nodes.forEach(n => {
+        if (nodeRole(n) !== 'source' && !connectedNodes.has(n.id)) {
+            issues.push({ code: 'orphan', severity: 'error', nodeId: n.id, message: `${n.label}: 연결되지 않은 노드입니다.` })
+        }
+    })
 
-    // 3. 기본 연결 검증
+    // 3. 노드 종류별 규칙 (레지스트리 정의)
+    const nodeMap = new Map(nodes.map(n => [n.id, n]))
+    const connectionIndex = indexConnections(connections)
     nodes.forEach(node => {
+        const codegen = getNodeSpec(node.kind)?.codegen
+        if (!codegen) return
         const incoming = connections.filter(c => c.target === node.id)
-        
-        // DataSplit은 데이터 입력 필요
-        if (node.kind === 'dataSplit' && incoming.length === 0) {
-            throw new PipelineValidationError(
-                `${node.label}: 데이터를 입력해주세요.`
-            )
+        const outgoing = connections.filter(c => c.source === node.id)
+        const validationContext: ValidationContext = {
+            getSourceNode: (inputKey, from = node) => {
+                const conn = connections.find(c => c.target === from.id && c.targetInput === inputKey)
+                return conn ? nodeMap.get(conn.source) : undefined
+            },
+            isRegression: isRegressionModel,
+            isSklearnEstimator: model => getNodeSpec(model.kind)?.codegen?.isSklearnEstimator?.(model) ?? true,
+            requiresTarget: () => requiresTarget(node.id, connections, nodeMap),
+            isDataFrameInput: () => getPreprocessingSteps(node, connectionIndex, nodeMap).frame
         }
         
-        // 모델 노드는 훈련 데이터 필요
-        if (['classifier', 'regressor', 'neuralNet', 'hyperparamTune'].includes(node.kind || '')) {
-            const hasTrain = incoming.some(c => c.targetInput === 'train')
-            
-            if (!hasTrain) {
-                throw new PipelineValidationError(
-                    `${node.label}: 훈련용 데이터를 연결해주세요.`
-                )
-            }
+        // 필수 입력 연결
+        const required = codegen.requiredInputs
+        if (required && !required.inputs.every(key => incoming.some(c => c.targetInput === key))) {
+            issues.push({ code: 'missing-input', severity: 'error', nodeId: node.id, message: `${node.label}: ${required.message}` })
         }
-        
-        // Predict 노드는 모델과 테스트 데이터 필요
-        if (node.kind === 'predict') {
-            const hasModel = incoming.some(c => c.targetInput === 'model')
-            const hasTest = incoming.some(c => c.targetInput === 'test')
-            
-            if (!hasModel || !hasTest) {
-                throw new PipelineValidationError(
-                    `${node.label}: 모델과 테스트용 데이터를 모두 연결해주세요.`
-                )
-            }
+
+        // 값 검증 (값 미입력 경고, 잘못된 값 오류)
+        for (const issue of codegen.validate?.(node, validationContext) || []) {
+            issues.push({ code: issue.code, severity: issue.severity, nodeId: node.id, message: `${node.label}: ${issue.message}` })
         }
-        
-        // Evaluate 노드는 예측결과와 테스트 데이터 필요
-        if (node.kind === 'evaluate') {
-            const hasPrediction = incoming.some(c => c.targetInput === 'prediction')
-            const hasTest = incoming.some(c => c.targetInput === 'test')
-            
-            if (!hasPrediction || !hasTest) {
-                throw new PipelineValidationError(
-                    `${node.label}: 예측결과와 테스트용 데이터를 모두 연결해주세요.`
-                )
-            }
+
+        // 4. 경고: 사용되지 않는 출력 (코드는 생성됨)
+        if (codegen.unusedOutput && incoming.length > 0 && outgoing.length === 0) {
+            issues.push({ code: 'unused-output', severity: 'warning', nodeId: node.id, message: `${node.label}: ${codegen.unusedOutput}` })
         }
     })
+
+    return issues
+}
+
+// 우회 시 출력으로 전달할 입력 (입력/출력 소켓이 같은 통과형 노드만, 출력과 이름이 같은 입력 우선)
+function bypassInput(node: NodeData | undefined, output: string): string | undefined {
+    const spec = node && getNodeSpec(node.kind)
+    const socket = spec?.outputs?.find(port => port.key === output)?.socket
+    if (!socket) return undefined
+    const inputs = (spec.inputs || []).filter(port => port.socket === socket)
+    return (inputs.find(port => port.key === output) || inputs[0])?.key
+}
+
+/**
+ * 우회할 수 없는 비활성 노드 (출력이 연결돼 있는데 같은 종류의 입력이 없음, 예: Data Split, 모델)
+ */
+function collectBypassIssues(graph: GraphData): PipelineIssue[] {
+    const nodes = graph.nodes || []
+    const connections = graph.connections || []
+    return nodes
+        .filter(n => n.disabled && connections.some(c => c.source === n.id && !bypassInput(n, c.sourceOutput)))
+        .map(n => ({
+            code: 'not-bypassable',
+            severity: 'error',
+            nodeId: n.id,
+            message: `${n.label}: 입력과 출력의 종류가 달라 우회할 수 없습니다. 노드를 활성화하거나 삭제해주세요.`
+        }))
+}
+
+/**
+ * 비활성화(우회)된 노드를 제거하고 그 입력을 출력 쪽 노드에 직접 연결한 그래프 반환
+ * 같은 소켓의 입력을 그대로 전달하는 통과형 노드만 우회하고, 나머지는 연결을 끊는다. (연속된 우회 노드도 따라감)
+ */
+export function bypassDisabledNodes(graph: GraphData): GraphData {
+    const nodes = graph.nodes || []
+    const connections = graph.connections || []
+    const nodeMap = new Map(nodes.map(n => [n.id, n]))
+    const disabled = new Set(nodes.filter(n => n.disabled).map(n => n.id))
+    if (disabled.size === 0) return graph
+
+    // 우회 노드의 출력 → 실제 상류 출력 (없으면 null: 연결 끊김)
+    const resolve = (nodeId: string, output: string, seen: Set<string>): { source: string; sourceOutput: string } | null => {
+        if (seen.has(nodeId)) return null
+        seen.add(nodeId)
+        const input = bypassInput(nodeMap.get(nodeId), output)
+        const through = input && connections.find(c => c.target === nodeId && c.targetInput === input)
+        if (!through) return null
+        if (disabled.has(through.source)) return resolve(through.source, through.sourceOutput, seen)
+        return { source: through.source, sourceOutput: through.sourceOutput }
+    }
+
+    const rewired: ConnectionData[] = []
+    for (const c of connections) {
+        if (disabled.has(c.target)) continue
+        if (!disabled.has(c.source)) {
+            rewired.push(c)
+            continue
+        }
+        const upstream = resolve(c.source, c.sourceOutput, new Set())
+        if (upstream) rewired.push({ ...c, ...upstream })
+    }
+
+    return {
+        nodes: nodes.filter(n => !disabled.has(n.id)),
+        connections: rewired
+    }
+}
+
+/**
+ * 실시간 검증용: 그래프의 모든 문제 수집 (ML 노드가 없으면 빈 목록)
+ */
+export function collectPipelineIssues(graph: GraphData): PipelineIssue[] {
+    // 비활성화된 노드는 투명하게 취급 (입력이 그대로 다음 노드로 이어진 것으로 검사)
+    const effective = bypassDisabledNodes(graph)
+    const mlNodes = (effective.nodes || []).filter(n => ML_NODE_KINDS.includes(n.kind))
+    if (mlNodes.length === 0) return []
+    // 오류를 경고보다 먼저 (같은 심각도 안에서는 검사 순서 유지)
+    const issues = [...collectBypassIssues(graph), ...collectStructureIssues(mlNodes, effective.connections || [])]
+    return [...issues.filter(i => i.severity === 'error'), ...issues.filter(i => i.severity === 'warning')]
+}
+
+/**
+ * 파이프라인 사전 검증 (코드 생성 시 첫 오류를 throw)
+ */
+function validatePipelineStructure(nodes: NodeData[], connections: ConnectionData[]): void {
+    const errors = collectStructureIssues(nodes, connections).filter(i => i.severity === 'error')
+    if (errors.length === 0) return
+
+    // 고립된 노드는 한 번에 모아서 안내
+    if (errors[0].code === 'orphan') {
+        const orphanIds = new Set(errors.filter(i => i.code === 'orphan').map(i => i.nodeId))
+        const orphanLabels = nodes.filter(n => orphanIds.has(n.id)).map(n => n.label).join(', ')
+        throw new PipelineValidationError(
+            `연결되지 않은 노드가 있습니다: ${orphanLabels}`
+        )
+    }
+    throw new PipelineValidationError(errors[0].message)
 }
 
 /**
@@ -169,356 +350,276 @@ function indexConnections(connections: ConnectionData[]): Map<string, Map<string
  * 노드 종류에 따른 간단한 변수명 생성
  */
 function getSimpleVarName(node: NodeData, nodeIndex: Map<string, number>): string {
-    const kindMap: Record<string, string> = {
-        'dataLoader': 'data',
-        'dataSplit': 'split',
-        'scaler': 'scaler',
-        'featureSelection': 'selector',
-        'classifier': 'model',
-        'regressor': 'model',
-        'neuralNet': 'nn',
-        'evaluation': 'metrics',
-        'tuning': 'tuner',
-        'predict': 'pred',
-        'evaluate': 'eval'
-    }
-    
-    const baseName = kindMap[node.kind] || 'step'
-    const index = nodeIndex.get(node.kind) || 0
-    nodeIndex.set(node.kind, index + 1)
+    const baseName = getNodeSpec(node.kind)?.codegen?.varName || 'step'
+    // 분류기/회귀 모델이 같은 이름(model)을 쓰므로 kind가 아닌 변수명 기준으로 번호를 매김
+    const index = nodeIndex.get(baseName) || 0
+    nodeIndex.set(baseName, index + 1)
     
     return index === 0 ? baseName : `${baseName}${index + 1}`
 }
 
+// 연결이 나오는 출력 포트의 소켓 종류
+function outputSocket(conn: ConnectionData, nodeMap: Map<string, NodeData>): SocketType | undefined {
+    const source = nodeMap.get(conn.source)
+    return source ? getNodeSpec(source.kind)?.outputs?.find(o => o.key === conn.sourceOutput)?.socket : undefined
+}
+
 /**
- * 노드를 Python 코드로 변환
+ * 모델 노드의 훈련 입력(군집/차원 축소 노드는 데이터 입력)에서 거슬러 올라간 전처리 노드 목록 (실행 순서)
+ * origin: 첫 전처리 노드 앞의 연결 (전처리가 없으면 노드 자신의 입력 연결)
+ * frame: 체인이 Data Split 앞의 데이터프레임에서 시작 → 전처리 노드마다 데이터프레임을 직접 변환하므로
+ *        단계로 묶지 않고 origin은 바로 앞 노드의 연결
  */
-function nodeToCode(
-    node: NodeData, 
+function getPreprocessingSteps(
+    node: NodeData,
     connectionIndex: Map<string, Map<string, ConnectionData>>,
-    nodeMap: Map<string, NodeData>, 
-    varName: string,
-    varNameMap: Map<string, string>,
-    logicId?: string
-): string {
-    
-    // Helper: 연결된 소스 노드의 변수명 가져오기
-    const getSourceVarName = (inputKey: string): string => {
-        const conn = connectionIndex.get(node.id)?.get(inputKey)
-        if (!conn) return 'data'
-        return varNameMap.get(conn.source) || 'data'
+    nodeMap: Map<string, NodeData>
+): { steps: NodeData[]; origin?: ConnectionData; frame: boolean } {
+    const steps: NodeData[] = []
+    const seen = new Set<string>()
+    const inputs = connectionIndex.get(node.id)
+    const input = inputs?.get('train') || inputs?.get('data')
+    let conn = input
+    while (conn) {
+        const source = nodeMap.get(conn.source)
+        if (!source || seen.has(source.id) || nodeRole(source) !== 'preprocessing') break
+        seen.add(source.id)
+        steps.unshift(source)
+        conn = connectionIndex.get(source.id)?.get('data')
+    }
+    const frame = !!conn && outputSocket(conn, nodeMap) !== 'split'
+    return frame ? { steps: [], origin: input, frame } : { steps, origin: conn, frame }
+}
+
+/**
+ * 노드 아래쪽 Data Split 등이 쓰는 타겟 컬럼 (데이터프레임 전처리에서 타겟은 변환하지 않음)
+ */
+function downstreamTargetColumns(nodeId: string, connections: ConnectionData[], nodeMap: Map<string, NodeData>): string[] {
+    const columns = new Set<string>()
+    const seen = new Set<string>([nodeId])
+    const queue = [nodeId]
+    while (queue.length > 0) {
+        const id = queue.shift()!
+        for (const conn of connections) {
+            if (conn.source !== id || seen.has(conn.target)) continue
+            seen.add(conn.target)
+            const controls = nodeMap.get(conn.target)?.controls
+            if (controls && 'targetColumn' in controls) columns.add(String(controls.targetColumn || 'target'))
+            queue.push(conn.target)
+        }
     }
+    return Array.from(columns)
+}
+
+// 비교표/주석에 쓰는 모델 이름 (예: "model2 (LogisticRegression)")
+function describeModel(modelNode: NodeData, varNameMap: Map<string, string>): string {
+    const varName = varNameMap.get(modelNode.id) || 'model'
+    const algorithm = modelNode.controls?.algorithm || modelNode.controls?.estimator || modelNode.label
+    return `${varName} (${algorithm})`
+}
+
+/**
+ * 모든 결과 노드(Evaluate, CrossValidate 등)의 지표를 모은 비교표 코드 (결과 노드가 2개 이상일 때)
+ */
+function generateComparisonCode(sortedNodes: NodeData[], graph: CodegenGraph): string | null {
+    const { connectionIndex, varNameMap } = graph
+    // 필수 입력이 모두 연결된 결과 노드만 (연결이 빠진 노드는 지표 변수를 만들지 않음)
+    const results = sortedNodes.flatMap(n => {
+        const codegen = getNodeSpec(n.kind)?.codegen
+        const connected = (codegen?.requiredInputs?.inputs || []).every(key => connectionIndex.get(n.id)?.get(key))
+        return codegen?.comparisonLabel && connected ? [{ node: n, comparisonLabel: codegen.comparisonLabel }] : []
+    })
+    if (results.length < 2) return null
+    
+    const rows = results.map(({ node, comparisonLabel }) => {
+        const label = comparisonLabel(createCodegenContext(node, graph))
+        return `    '${label.replace(/'/g, "\\'")}': ${varNameMap.get(node.id) || 'eval'}_metrics,`
+    })
+    
+    const table = `# 모델 비교 (모든 평가 노드의 지표)
+comparison = pd.DataFrame({
+${rows.join('\n')}
+}).T
+print(comparison.round(4))`
+    
+    return `${table}
+
+# 모델 비교 차트 (matplotlib이 없으면 건너뜀)
+try:
+    import matplotlib.pyplot as plt
+    comparison.plot(kind='bar', figsize=(8, 4), rot=0, title='Model Comparison')
+    plt.tight_layout()
+    plt.show()
+except ImportError:
+    print("matplotlib이 설치되어 있지 않아 차트를 건너뜁니다")`
+}
+
+// 코드 생성 중 노드들이 공유하는 그래프 상태
+interface CodegenGraph {
+    connections: ConnectionData[]
+    connectionIndex: Map<string, Map<string, ConnectionData>>
+    nodeMap: Map<string, NodeData>
+    varNameMap: Map<string, string>
+    logicId?: string
+    options: CodegenOptions
+    settings: PipelineSettings
+}
+
+// 모델 노드가 회귀 모델인지 (평가 지표 선택용)
+function isRegressionModel(node: NodeData | undefined): boolean {
+    const isRegression = node ? getNodeSpec(node.kind)?.codegen?.isRegression : undefined
+    return !!node && !!isRegression?.(node)
+}
+
+/**
+ * 노드 하나의 코드 생성 컨텍스트 (레지스트리의 toCode에 전달)
+ */
+function createCodegenContext(node: NodeData, graph: CodegenGraph): CodegenContext {
+    const { connections, connectionIndex, nodeMap, varNameMap, options } = graph
+    const pipelineMode = options.mode === 'pipeline'
+    const varName = varNameMap.get(node.id) || 'data'
     
-    // Helper: 연결 확인
     const getConnection = (inputKey: string): ConnectionData | undefined => {
         return connectionIndex.get(node.id)?.get(inputKey)
     }
-    
-    switch (node.kind) {
-        case 'dataLoader': {
-            // exportGraph는 이미 .value를 추출해서 controls에 저장함
-            const fileName = node.controls?.fileName || 'data.csv'
-            
-            // localStorage에서 실제 CSV 데이터 확인 (로직별로 분리된 데이터 사용)
-            const storageKey = logicId ? `csv_data_${logicId}_${fileName}` : `csv_data_global_${fileName}`
-            const storedData = typeof window !== 'undefined' ? localStorage.getItem(storageKey) : null
-            
-            if (storedData) {
-                // 실제 업로드된 CSV 데이터를 Base64로 인코딩하여 포함
-                const base64Content = typeof btoa !== 'undefined' 
-                    ? btoa(unescape(encodeURIComponent(storedData)))
-                    : Buffer.from(storedData).toString('base64')
-                
-                return `# Load Data from uploaded CSV: ${fileName}
-import io
-import base64
-
-# Embedded CSV data (uploaded from browser)
-csv_content = base64.b64decode('${base64Content}').decode('utf-8')
-${varName} = pd.read_csv(io.StringIO(csv_content))
-
-# 컬럼명 정리 (공백 및 특수문자 제거)
-${varName}.columns = ${varName}.columns.str.strip()
-${varName}.columns = [col.split('(')[0].strip().replace('#', '').replace(' ', '_').lower() for col in ${varName}.columns]
-
-print(f"Data loaded from ${fileName}: {${varName}.shape}")
-print(f"Columns: {${varName}.columns.tolist()}")
-print("\\nFirst 5 rows:")
-print(${varName}.head())`
-            } else {
-                // 파일 경로만 있는 경우 (기존 방식)
-                return `# Load Data from file
-${varName} = pd.read_csv('${fileName}')
-
-# 컬럼명 정리 (공백 및 특수문자 제거)
-${varName}.columns = ${varName}.columns.str.strip()
-${varName}.columns = [col.split('(')[0].strip().replace('#', '').replace(' ', '_').lower() for col in ${varName}.columns]
-
-print(f"Data loaded: {${varName}.shape}")
-print(f"Columns: {${varName}.columns.tolist()}")
-print("\\nFirst 5 rows:")
-print(${varName}.head())`
-            }
-        }
-        
-        case 'dataSplit': {
-            const ratio = node.controls?.ratio || 0.8
-            const targetColumn = node.controls?.targetColumn || 'target'
-            const sourceVar = getSourceVarName('data')
-            
-            return `# 훈련/테스트 데이터 분할
-# 목표 변수: '${targetColumn}'
-X = ${sourceVar}.drop('${targetColumn}', axis=1)
-y = ${sourceVar}['${targetColumn}']
-X_train, X_test, y_train, y_test = train_test_split(
-    X, y, test_size=${(1 - ratio).toFixed(2)}, random_state=42
-)
-print(f"훈련 데이터: {len(X_train)}개, 테스트 데이터: {len(X_test)}개")
-print(f"목표 변수: '${targetColumn}'")`
-        }
-        
-        case 'scaler': {
-            const method = node.controls?.method || 'StandardScaler'
-            
-            return `# 데이터 스케일링 (${method})
-${varName} = ${method}()
-X_train_scaled = ${varName}.fit_transform(X_train)
-X_test_scaled = ${varName}.transform(X_test)
-print("${method}로 스케일링 완료")
-print(f"훈련 데이터 크기: {X_train_scaled.shape}")
-
-# 변수 업데이트
-X_train = X_train_scaled
-X_test = X_test_scaled`
-        }
-        
-        case 'featureSelection': {
-            const method = node.controls?.method || 'SelectKBest'
-            const k = node.controls?.k || 10
-            
-            return `# 특성 선택 (${method})
-${varName} = ${method}(k=${k})
-X_train_selected = ${varName}.fit_transform(X_train, y_train)
-X_test_selected = ${varName}.transform(X_test)
-print(f"{X_train.shape[1]}개 특성 중 {k}개 선택")
-
-# 변수 업데이트
-X_train = X_train_selected
-X_test = X_test_selected`
-        }
-        
-        case 'classifier': {
-            const algorithm = node.controls?.algorithm || 'RandomForest'
-            const nEstimators = node.controls?.n_estimators || 100
-            
-            let modelCode = ''
-            if (algorithm === 'RandomForest') {
-                modelCode = `RandomForestClassifier(n_estimators=${nEstimators}, random_state=42)`
-            } else if (algorithm === 'LogisticRegression') {
-                modelCode = `LogisticRegression(random_state=42, max_iter=1000)`
-            } else if (algorithm === 'SVM') {
-                modelCode = `SVC(random_state=42)`
-            } else if (algorithm === 'DecisionTree') {
-                modelCode = `DecisionTreeClassifier(random_state=42)`
-            } else if (algorithm === 'KNN') {
-                modelCode = `KNeighborsClassifier(n_neighbors=5)`
-            } else if (algorithm === 'GradientBoosting') {
-                modelCode = `GradientBoostingClassifier(n_estimators=${nEstimators}, random_state=42)`
-            } else {
-                modelCode = `RandomForestClassifier(n_estimators=${nEstimators}, random_state=42)`
-            }
-            
-            return `# 모델 훈련 (${algorithm})
-${varName} = ${modelCode}
-${varName}.fit(X_train, y_train)
-print("모델 훈련 완료: ${algorithm}")
-print(f"훈련 정확도: {${varName}.score(X_train, y_train):.4f}")`
-        }
-        
-        case 'regressor': {
-            const algorithm = node.controls?.algorithm || 'LinearRegression'
-            
-            let modelCode = ''
-            if (algorithm === 'LinearRegression') {
-                modelCode = `LinearRegression()`
-            } else if (algorithm === 'Ridge') {
-                modelCode = `Ridge(random_state=42)`
-            } else if (algorithm === 'Lasso') {
-                modelCode = `Lasso(random_state=42)`
-            } else if (algorithm === 'RandomForestRegressor') {
-                modelCode = `RandomForestRegressor(random_state=42)`
-            } else if (algorithm === 'SVR') {
-                modelCode = `SVR()`
-            } else if (algorithm === 'GradientBoostingRegressor') {
-                modelCode = `GradientBoostingRegressor(random_state=42)`
-            } else {
-                modelCode = `LinearRegression()`
-            }
-            
-            return `# 모델 훈련 (${algorithm})
-${varName} = ${modelCode}
-${varName}.fit(X_train, y_train)
-print("모델 훈련 완료: ${algorithm}")
-print(f"훈련 R² 점수: {${varName}.score(X_train, y_train):.4f}")`
-        }
-        
-        case 'neuralNet': {
-            const layers = node.controls?.layers || '64,32'
-            const epochs = node.controls?.epochs || 50
-            
-            return `# 신경망 모델 훈련
-${varName} = MLPClassifier(hidden_layer_sizes=(${layers}), max_iter=${epochs}, random_state=42)
-${varName}.fit(X_train, y_train)
-print("신경망 훈련 완료: [${layers}] 레이어")
-print(f"훈련 정확도: {${varName}.score(X_train, y_train):.4f}")`
-        }
-        
-        case 'evaluate': {
-            // v4.0 단순화: 'test' 소켓 이름 사용
-            const testConn = getConnection('test')
-            const predictionConn = getConnection('prediction')
-            
-            const hasPrediction = !!predictionConn
-            const hasTest = !!testConn
-            
-            if (!hasTest) {
-                return `# ⚠️ Warning: Test data not connected to evaluate node\nprint("⚠️ 경고: 테스트용 데이터가 연결되지 않았습니다")`
-            }
-            
-            if (!hasPrediction) {
-                return `# ⚠️ Warning: No predictions connected to evaluate\nprint("⚠️ 경고: 예측 결과가 연결되지 않았습니다")`
-            }
-            
-            // 모델 종류 확인 (회귀 vs 분류) - prediction의 source 노드 추적
-            let isRegression = false
-            if (predictionConn) {
-                // Predict 노드를 찾고, 그 노드가 받는 model의 source를 추적
-                const predictNode = nodeMap.get(predictionConn.source)
-                if (predictNode) {
-                    const predictModelConn = connectionIndex.get(predictNode.id)?.get('model')
-                    if (predictModelConn) {
-                        const modelNode = nodeMap.get(predictModelConn.source)
-                        isRegression = modelNode?.kind === 'regressor'
-                    }
-                }
-            }
-            
-            let evaluationCode = ''
-            
-            // v4.0에서는 항상 prediction을 통해 평가 (predict 노드 필수)
-            if (isRegression) {
-                evaluationCode = `# 모델 평가 (회귀)\nfrom sklearn.metrics import mean_squared_error, r2_score, mean_absolute_error\nmse = mean_squared_error(y_test, y_pred)\nrmse = np.sqrt(mse)\nmae = mean_absolute_error(y_test, y_pred)\nr2 = r2_score(y_test, y_pred)\nprint(f"Mean Squared Error (MSE): {mse:.4f}")\nprint(f"Root Mean Squared Error (RMSE): {rmse:.4f}")\nprint(f"Mean Absolute Error (MAE): {mae:.4f}")\nprint(f"R² Score: {r2:.4f}")`
-            } else {
-                evaluationCode = `# 모델 평가 (분류)\naccuracy = accuracy_score(y_test, y_pred)\nprint(f"Accuracy: {accuracy:.4f}")\nprint("\\nClassification Report:")\nprint(classification_report(y_test, y_pred))\nprint("\\nConfusion Matrix:")\nprint(confusion_matrix(y_test, y_pred))`
-            }
-            
-            return evaluationCode
-        }
-        
-        case 'predict': {
-            // v4.0 단순화: 'model', 'test' 소켓 사용
-            const modelConn = getConnection('model')
-            const testConn = getConnection('test')
-            
-            if (!modelConn) {
-                return `# TODO: 모델을 연결해주세요
-y_pred = None
-print("⚠️ 경고: 모델이 연결되지 않음")`
-            }
-            
-            if (!testConn) {
-                return `# TODO: 테스트용 데이터를 연결해주세요
-y_pred = None
-print("⚠️ 경고: 테스트 데이터가 연결되지 않음")`
-            }
-            
-            const modelVar = varNameMap.get(modelConn.source) || 'model'
-            
-            return `# 예측 수행
-y_pred = ${modelVar}.predict(X_test)
-print(f"예측 완료: {len(y_pred)}개 샘플")
-print(f"처음 10개 예측: {y_pred[:10]}")`
+    const preprocessingSteps = (): string[] => {
+        return getPreprocessingSteps(node, connectionIndex, nodeMap).steps.map(step => varNameMap.get(step.id) || 'step')
+    }
+    const inputOrigin = (): InputOrigin | undefined => {
+        const { origin, frame } = getPreprocessingSteps(node, connectionIndex, nodeMap)
+        const source = origin ? nodeMap.get(origin.source) : undefined
+        if (!origin || !source) return undefined
+        return {
+            varName: outputVarOf(source, graph),
+            output: origin.sourceOutput,
+            // 데이터프레임을 변환한 전처리 노드의 출력도 데이터프레임
+            socket: frame ? 'dataframe' : outputSocket(origin, nodeMap)
         }
-        
-        case 'hyperparamTune': {
-            return `# 하이퍼파라미터 틜닝
-param_grid = {
-    'n_estimators': [50, 100, 200],
-    'max_depth': [10, 20, 30]
-}
-grid_search = GridSearchCV(RandomForestClassifier(random_state=42), param_grid, cv=5)
-grid_search.fit(X_train, y_train)
-${varName} = grid_search.best_estimator_
-print(f"최적 파라미터: {grid_search.best_params_}")
-print(f"최고 점수: {grid_search.best_score_:.4f}")`
+    }
+    const splitVars = (): SplitVars => {
+        const { steps } = getPreprocessingSteps(node, connectionIndex, nodeMap)
+        const last = steps[steps.length - 1]
+        if (pipelineMode || !last) return { train: 'X_train', test: 'X_test' }
+        const stepVar = varNameMap.get(last.id) || 'step'
+        return { train: `X_train_${stepVar}`, test: `X_test_${stepVar}` }
+    }
+    
+    return {
+        node,
+        varName,
+        logicId: graph.logicId,
+        options,
+        settings: graph.settings,
+        seed: options.seed || String(graph.settings.seed),
+        pipelineMode,
+        pipelineNote: pipelineMode
+            ? `\n# 전처리 포함 파이프라인: 새 데이터에 바로 ${varName}.predict(new_X) 사용 가능`
+            : '',
+        getConnection,
+        getSourceNode: inputKey => {
+            const conn = getConnection(inputKey)
+            return conn ? nodeMap.get(conn.source) : undefined
+        },
+        // 연결이 없으면 'data'
+        getSourceVarName: inputKey => {
+            const conn = getConnection(inputKey)
+            const source = conn && nodeMap.get(conn.source)
+            return source ? outputVarOf(source, graph) : 'data'
+        },
+        varNameOf: nodeId => varNameMap.get(nodeId),
+        preprocessingSteps,
+        inputOrigin,
+        splitVars,
+        requiresTarget: () => requiresTarget(node.id, connections, nodeMap),
+        targetColumns: () => downstreamTargetColumns(node.id, connections, nodeMap),
+        wrapEstimator: estimator => {
+            if (!pipelineMode) return estimator
+            const lines = [
+                ...preprocessingSteps().map(step => `    ('${step}', clone(${step})),`),
+                `    ('model', ${estimator}),`
+            ]
+            return `Pipeline([\n${lines.join('\n')}\n])`
+        },
+        contextOf: other => createCodegenContext(other, graph),
+        isRegression: isRegressionModel,
+        describeModel: model => describeModel(model, varNameMap),
+        predictCode: (modelNode, predVar) => {
+            const predictCode = getNodeSpec(modelNode.kind)?.codegen?.predictCode
+            return predictCode ? predictCode(createCodegenContext(modelNode, graph), predVar) : null
+        },
+        saveCode: (modelNode, pathVar) => {
+            const saveCode = getNodeSpec(modelNode.kind)?.codegen?.saveCode
+            return saveCode ? saveCode(createCodegenContext(modelNode, graph), pathVar) : null
         }
-        
-        default:
-            return `# Unknown node type: ${node.kind}`
     }
 }
 
+// 노드 출력 데이터를 담는 변수 (기본: 노드 변수명)
+function outputVarOf(node: NodeData, graph: CodegenGraph): string {
+    const outputVar = getNodeSpec(node.kind)?.codegen?.outputVar
+    return outputVar?.(createCodegenContext(node, graph)) || graph.varNameMap.get(node.id) || 'data'
+}
+
+/**
+ * 노드를 Python 코드로 변환
+ */
+function nodeToCode(node: NodeData, graph: CodegenGraph): string {
+    const codegen = getNodeSpec(node.kind)?.codegen
+    if (!codegen) return `# Unknown node type: ${node.kind}`
+    return codegen.toCode(createCodegenContext(node, graph))
+}
+
 /**
  * 필요한 import 문 생성
  */
-function generateImports(nodes: NodeData[]): string {
+function generateImports(nodes: NodeData[], options: CodegenOptions = {}): string {
     const imports = new Set<string>()
     
     imports.add('import pandas as pd')
     imports.add('import numpy as np')
     
+    if (options.mode === 'pipeline') {
+        imports.add('from sklearn.pipeline import Pipeline')
+        imports.add('from sklearn.base import clone')
+    }
+    
     nodes.forEach(node => {
-        switch (node.kind) {
-            case 'dataSplit':
-                imports.add('from sklearn.model_selection import train_test_split')
-                break
-            case 'scaler':
-                imports.add('from sklearn.preprocessing import StandardScaler, MinMaxScaler, RobustScaler, MaxAbsScaler')
-                break
-            case 'featureSelection':
-                imports.add('from sklearn.feature_selection import SelectKBest, f_classif')
-                break
-            case 'classifier':
-                imports.add('from sklearn.ensemble import RandomForestClassifier, GradientBoostingClassifier')
-                imports.add('from sklearn.linear_model import LogisticRegression')
-                imports.add('from sklearn.svm import SVC')
-                imports.add('from sklearn.tree import DecisionTreeClassifier')
-                imports.add('from sklearn.neighbors import KNeighborsClassifier')
-                break
-            case 'regressor':
-                imports.add('from sklearn.linear_model import LinearRegression, Ridge, Lasso')
-                imports.add('from sklearn.ensemble import RandomForestRegressor, GradientBoostingRegressor')
-                imports.add('from sklearn.svm import SVR')
-                break
-            case 'neuralNet':
-                imports.add('from sklearn.neural_network import MLPClassifier')
-                break
-            case 'evaluate':
-                imports.add('from sklearn.metrics import accuracy_score, classification_report, confusion_matrix')
-                break
-            case 'hyperparamTune':
-                imports.add('from sklearn.model_selection import GridSearchCV')
-                break
+        for (const line of getNodeSpec(node.kind)?.codegen?.imports?.(node, options) || []) {
+            imports.add(line)
         }
     })
     
     return Array.from(imports).join('\n')
 }
 
-/**
- * 전체 파이프라인을 Python 코드로 변환
- */
-export function generatePythonCode(graph: GraphData, logicId?: string): string {
-    if (!graph.nodes || graph.nodes.length === 0) {
+// 노드별 코드 블록 (노트북에서 노드 코멘트/메모 셀을 끼워 넣기 위해 분리)
+interface PipelineCodeParts {
+    imports: string
+    blocks: Array<{ node: NodeData; code: string }>
+    summary: string | null      // 모델 비교표 (없으면 null)
+}
+
+const CODE_HEADER = `# ========================================
+# ML Pipeline Auto-Generated Code
+# ========================================`
+
+const CODE_FOOTER = `# ========================================
+# Pipeline Complete!
+# ========================================
+`
+
+function buildPipelineCode(source: GraphData, logicId?: string, options: CodegenOptions = {}): PipelineCodeParts {
+    if (!source.nodes || source.nodes.length === 0) {
         throw new PipelineValidationError('파이프라인에 노드가 없습니다.')
     }
     
+    // 비활성화된 노드는 건너뛰고 데이터를 다음 노드로 전달 (통과형이 아니면 오류)
+    const [bypassError] = collectBypassIssues(source)
+    if (bypassError) throw new PipelineValidationError(bypassError.message)
+    const graph = bypassDisabledNodes(source)
+    
     // ML 노드만 필터링
-    const mlNodes = graph.nodes.filter(n => 
-        ['dataLoader', 'dataSplit', 'scaler', 'featureSelection', 
-         'classifier', 'regressor', 'neuralNet', 'evaluate', 
-         'predict', 'hyperparamTune'].includes(n.kind)
-    )
+    const mlNodes = graph.nodes.filter(n => ML_NODE_KINDS.includes(n.kind))
     
     if (mlNodes.length === 0) {
         throw new PipelineValidationError('파이프라인에 ML 노드가 없습니다.')
@@ -544,37 +645,133 @@ export function generatePythonCode(graph: GraphData, logicId?: string): string {
     })
     
     // Import 문 생성
-    const imports = generateImports(mlNodes)
+    const imports = generateImports(mlNodes, options)
     
     // 각 노드를 코드로 변환
-    const codeBlocks = sortedNodes.map(node => {
-        const varName = varNameMap.get(node.id) || 'data'
-        return nodeToCode(node, connectionIndex, nodeMap, varName, varNameMap, logicId)
+    const settings = normalizePipelineSettings(source.settings)
+    // quiet: 결과 노드가 아니면 최상위 print 문 제거 (들여쓴 print는 블록 본문일 수 있어 유지)
+    const withVerbosity = (node: NodeData, code: string) => settings.verbosity === 'quiet' && !getNodeSpec(node.kind)?.codegen?.reportsResults
+        ? code.split('\n').filter(line => !/^print\(.*\)$/.test(line)).join('\n').replace(/\n{3,}/g, '\n\n').trimEnd()
+        : code
+    const codegenGraph: CodegenGraph = { connections: graph.connections, connectionIndex, nodeMap, varNameMap, logicId, options, settings }
+    const blocks = sortedNodes.map(node => ({ node, code: withVerbosity(node, nodeToCode(node, codegenGraph)) }))
+    
+    const summary = generateComparisonCode(sortedNodes, codegenGraph)
+    
+    return { imports, blocks, summary }
+}
+
+/**
+ * 전체 파이프라인을 Python 코드로 변환
+ */
+export function generatePythonCode(graph: GraphData, logicId?: string, options: CodegenOptions = {}): string {
+    return generateMappedPythonCode(graph, logicId, options).code
+}
+
+// 노드별 코드 블록 위치 (1부터 시작하는 줄 번호, 끝 줄 포함)
+export interface CodeSourceRange {
+    nodeId: string
+    startLine: number
+    endLine: number
+}
+
+export interface MappedPythonCode {
+    code: string
+    ranges: CodeSourceRange[]
+}
+
+/**
+ * Python 코드 + 노드별 줄 범위 (미리보기에서 코드 ↔ 노드 이동용)
+ */
+export function generateMappedPythonCode(graph: GraphData, logicId?: string, options: CodegenOptions = {}): MappedPythonCode {
+    const { imports, blocks, summary } = buildPipelineCode(graph, logicId, options)
+    const lineCount = (text: string) => text.split('\n').length
+    
+    // import + 빈 줄 + 헤더 + 빈 줄 다음부터 노드 블록이 시작
+    let line = lineCount(imports) + lineCount(CODE_HEADER) + 3
+    const ranges: CodeSourceRange[] = blocks.map(({ node, code }) => {
+        const range = { nodeId: node.id, startLine: line, endLine: line + lineCount(code) - 1 }
+        line = range.endLine + 2
+        return range
     })
+    const body = [...blocks.map(b => b.code), ...(summary ? [summary] : [])]
     
     // 전체 코드 조립
-    return `${imports}
+    const code = `${imports}
 
-# ========================================
-# ML Pipeline Auto-Generated Code
-# ========================================
+${CODE_HEADER}
 
-${codeBlocks.join('\n\n')}
+${body.join('\n\n')}
 
-# ========================================
-# Pipeline Complete!
-# ========================================
-`
+${CODE_FOOTER}`
+    return { code, ranges }
 }
 
 /**
- * Jupyter Notebook JSON 생성
+ * 노드별 마크다운 메모 수집: 노드 코멘트 + 가장 가까운 ML 노드에 붙는 캔버스 메모
  */
-export function generateJupyterNotebook(graph: GraphData, pipelineName: string = 'ML Pipeline', logicId?: string): string {
-    const pythonCode = generatePythonCode(graph, logicId)
+function collectNodeNotes(graph: GraphData, mlNodes: NodeData[]): Map<string, string[]> {
+    const notes = new Map<string, string[]>()
+    const add = (id: string, text: string) => {
+        const list = notes.get(id) || []
+        list.push(text)
+        notes.set(id, list)
+    }
     
-    // 코드를 논리적 섹션으로 분할
-    const sections = pythonCode.split('\n\n')
+    for (const node of mlNodes) {
+        if (node.comment?.trim()) add(node.id, `**💬 ${node.label}**\n\n${node.comment.trim()}`)
+    }
+    
+    for (const note of graph.nodes.filter(n => n.kind === 'note')) {
+        const text = String(note.controls?.text ?? '').trim()
+        if (!text || mlNodes.length === 0) continue
+        let nearest = mlNodes[0]
+        let best = Infinity
+        for (const node of mlNodes) {
+            const dx = (node.position?.x ?? 0) - (note.position?.x ?? 0)
+            const dy = (node.position?.y ?? 0) - (note.position?.y ?? 0)
+            const dist = dx * dx + dy * dy
+            if (dist < best) {
+                best = dist
+                nearest = node
+            }
+        }
+        add(nearest.id, text)
+    }
+    
+    return notes
+}
+
+// 코드 셀/마크다운 셀 생성 (노트북 source는 줄 단위 배열)
+function toSourceLines(text: string): string[] {
+    return text.split('\n').map(line => line + '\n')
+}
+
+// 빈 줄 단위로 셀을 나눔 (시각화 노드는 그림 사이에만 빈 줄을 두어 그림마다 한 셀)
+function codeCells(code: string) {
+    return code.split('\n\n').map(section => ({
+        cell_type: 'code',
+        execution_count: null,
+        metadata: {},
+        outputs: [],
+        source: toSourceLines(section)
+    }))
+}
+
+function markdownCell(text: string) {
+    return {
+        cell_type: 'markdown',
+        metadata: {},
+        source: toSourceLines(text)
+    }
+}
+
+/**
+ * Jupyter Notebook JSON 생성
+ */
+export function generateJupyterNotebook(graph: GraphData, pipelineName: string = 'ML Pipeline', logicId?: string, options: CodegenOptions = {}): string {
+    const { imports, blocks, summary } = buildPipelineCode(graph, logicId, options)
+    const notes = collectNodeNotes(graph, blocks.map(b => b.node))
     
     const cells = [
         {
@@ -588,13 +785,14 @@ export function generateJupyterNotebook(graph: GraphData, pipelineName: string =
                 `Generated on: ${new Date().toLocaleString('ko-KR')}\n`
             ]
         },
-        ...sections.map(section => ({
-            cell_type: 'code',
-            execution_count: null,
-            metadata: {},
-            outputs: [],
-            source: section.split('\n').map(line => line + '\n')
-        }))
+        ...codeCells(`${imports}\n\n${CODE_HEADER}`),
+        // 노드 코멘트/메모는 해당 노드 코드 바로 앞에 마크다운 셀로
+        ...blocks.flatMap(({ node, code }) => [
+            ...(notes.get(node.id) || []).map(markdownCell),
+            ...codeCells(code)
+        ]),
+        ...(summary ? [markdownCell('## 모델 비교'), ...codeCells(summary)] : []),
+        ...codeCells(CODE_FOOTER)
     ]
     
     const notebook = {
@@ -614,14 +812,15 @@ export function generateJupyterNotebook(graph: GraphData, pipelineName: string =
         nbformat_minor: 4
     }
     
-    return JSON.stringify(notebook, null, 2)
+    // 다시 가져오기(LogicListPage)용 그래프 포함
+    return JSON.stringify(embedGraphInNotebook(notebook, graph, pipelineName), null, 2)
 }
 
 /**
  * Python 스크립트 파일 생성 (.py)
  */
-export function generatePythonScript(graph: GraphData, pipelineName: string = 'ML Pipeline', logicId?: string): string {
-    const pythonCode = generatePythonCode(graph, logicId)
+export function generatePythonScript(graph: GraphData, pipelineName: string = 'ML Pipeline', logicId?: string, options: CodegenOptions = {}): string {
+    const pythonCode = generatePythonCode(graph, logicId, options)
     
     const header = `"""
 ${pipelineName}
@@ -634,5 +833,158 @@ This script was created from a visual ML pipeline builder.
 
 `
     
-    return header + pythonCode
+    // 다시 가져오기(LogicListPage)용 그래프를 끝 주석 블록으로 포함
+    return appendGraphToScript(header + pythonCode, graph, pipelineName)
+}
+
+// -------------------- 프로젝트 번들 --------------------
+
+// requirements.txt 고정 버전 (import 최상위 모듈 → pip 패키지)
+const PACKAGE_PINS: Record<string, string> = {
+    pandas: 'pandas==2.2.3',
+    numpy: 'numpy==1.26.4',
+    sklearn: 'scikit-learn==1.5.2',
+    scipy: 'scipy==1.13.1',
+    matplotlib: 'matplotlib==3.9.2',
+    seaborn: 'seaborn==0.13.2',
+    joblib: 'joblib==1.4.2',
+    skl2onnx: 'skl2onnx==1.17.0',
+    tensorflow: 'tensorflow==2.17.1',
+    torch: 'torch==2.5.1'
+}
+
+// 코드 블록의 최상위(들여쓰기 없는) 대입으로 만들어지는 이름 → 함수 안에서 global 선언
+function assignedNames(code: string): string[] {
+    const names = new Set<string>()
+    for (const line of code.split('\n')) {
+        const match = /^([A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)\s*(?:[-+*/]|\/\/)?=(?!=)/.exec(line)
+        match?.[1].split(',').forEach(name => names.add(name.trim()))
+    }
+    return Array.from(names)
+}
+
+function toStepFunction(name: string, doc: string, code: string): string {
+    const globals = assignedNames(code)
+    const body = code.split('\n').map(line => line ? `    ${line}` : '').join('\n')
+    return `def ${name}():
+    """${doc.replace(/\\/g, '\\\\').replace(/"""/g, '\\"\\"\\"')}"""
+${globals.length ? `    global ${globals.join(', ')}\n` : ''}${body}`
+}
+
+// 최상위 import만 필수 패키지, 들여쓴 import(try 안의 선택 의존성, 예: skl2onnx)는 주석으로 안내
+function requirementsFor(code: string): string {
+    const modules = new Set<string>()
+    const optional = new Set<string>()
+    for (const match of code.matchAll(/^([ \t]*)(?:from|import)\s+([A-Za-z_]\w*)/gm)) {
+        (match[1] ? optional : modules).add(match[2])
+    }
+    return Object.keys(PACKAGE_PINS)
+        .filter(module => modules.has(module) || optional.has(module))
+        .map(module => modules.has(module) ? PACKAGE_PINS[module] : `# ${PACKAGE_PINS[module]}  (선택)`)
+        .join('\n') + '\n'
+}
+
+/**
+ * 실행 가능한 Python 프로젝트 파일 구성 (경로 → 내용)
+ * pipeline.py(노드별 함수 + argparse main), requirements.txt, README.md, data/*.csv
+ */
+export function generatePythonProject(graph: GraphData, pipelineName: string = 'ML Pipeline', logicId?: string, options: CodegenOptions = {}): Record<string, string> {
+    const { imports, blocks, summary } = buildPipelineCode(graph, logicId, { ...options, dataDir: 'DATA_DIR', seed: 'SEED' })
+    const { seed } = normalizePipelineSettings(graph.settings)
+    
+    // 함수 이름: 실행 순서 + 노드 종류 (예: step_1_data_loader), 노드 코멘트는 docstring으로
+    const steps = blocks.map(({ node, code }, index) => {
+        const name = `step_${index + 1}_${node.kind.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)}`
+        const doc = node.comment?.trim()
+            ? `${node.label}\n\n    ${node.comment.trim().replace(/\n/g, '\n    ')}`
+            : node.label
+        return { name, code: toStepFunction(name, doc, code) }
+    })
+    if (summary) steps.push({ name: 'compare_models', code: toStepFunction('compare_models', '모델 비교', summary) })
+    
+    const pipeline = `"""
+${pipelineName}
+
+Auto-generated ML Pipeline Project
+Generated on: ${new Date().toLocaleString('ko-KR')}
+
+실행: python pipeline.py [--data-dir DATA_DIR] [--seed SEED]
+"""
+
+import argparse
+import os
+${imports.split('\n').filter(line => line !== 'import os').join('\n')}
+
+# 데이터 폴더와 난수 시드 (명령행 옵션으로 변경 가능)
+DATA_DIR = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'data')
+SEED = ${seed}
+
+
+${steps.map(step => step.code).join('\n\n\n')}
+
+
+def main():
+    global DATA_DIR, SEED
+    parser = argparse.ArgumentParser(description=${JSON.stringify(pipelineName)})
+    parser.add_argument('--data-dir', default=DATA_DIR, help='CSV 파일이 있는 폴더 (기본: data/)')
+    parser.add_argument('--seed', type=int, default=SEED, help='난수 시드 (기본: ${seed})')
+    args = parser.parse_args()
+    DATA_DIR = args.data_dir
+    SEED = args.seed
+    np.random.seed(SEED)
+
+${steps.map(step => `    ${step.name}()`).join('\n')}
+    print("Pipeline Complete!")
+
+
+if __name__ == '__main__':
+    main()
+`
+    
+    // 업로드된 CSV는 data/ 폴더로, 없는 파일은 README에 안내
+    const files: Record<string, string> = {}
+    const missing: string[] = []
+    for (const { node } of blocks) {
+        const fileName = getNodeSpec(node.kind)?.codegen?.dataFile?.(node)
+        if (!fileName) continue
+        const csv = readStoredCsv(fileName, logicId)
+        if (csv) files[`data/${dataFileName(fileName)}`] = csv
+        else missing.push(dataFileName(fileName))
+    }
+    
+    const readme = `# ${pipelineName}
+
+시각적 ML 파이프라인 빌더에서 내보낸 Python 프로젝트입니다.
+
+## 실행 방법
+
+\`\`\`bash
+pip install -r requirements.txt
+python pipeline.py
+\`\`\`
+
+| 옵션 | 설명 | 기본값 |
+| --- | --- | --- |
+| \`--data-dir\` | CSV 파일이 있는 폴더 | \`data/\` |
+| \`--seed\` | 난수 시드 (데이터 분할, 모델 초기화) | \`${seed}\` |
+
+## 구성
+
+- \`pipeline.py\`: 노드마다 하나의 함수(\`step_N_...\`)로 나뉜 파이프라인과 \`main\` 진입점
+- \`requirements.txt\`: 필요한 패키지 (버전 고정)
+- \`data/\`: 입력 CSV 파일
+${missing.length ? `
+## ⚠️ 데이터 파일 필요
+
+다음 파일은 브라우저에 업로드된 데이터가 없어 포함되지 않았습니다. \`data/\` 폴더에 직접 넣어주세요.
+
+${missing.map(name => `- \`${name}\``).join('\n')}
+` : ''}`
+    
+    return {
+        'pipeline.py': pipeline,
+        'requirements.txt': requirementsFor(pipeline),
+        'README.md': readme,
+        ...files
+    }
 }